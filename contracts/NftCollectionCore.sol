@@ -0,0 +1,958 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts-upgradeable/token/ERC721/ERC721Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/extensions/AccessControlDefaultAdminRulesUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC721/extensions/ERC721BurnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC721/extensions/ERC721EnumerableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/common/ERC2981Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/EIP712Upgradeable.sol";
+import "@openzeppelin/contracts/interfaces/IERC4906.sol";
+import "./libraries/CollectionMetadata.sol";
+import "./libraries/CollectionSale.sol";
+import "./libraries/CollectionSignatures.sol";
+
+/**
+ * @title NftCollectionCore
+ * @dev A complete ERC721 NFT collection contract with minting, burning, and metadata support
+ * Features: owner-controlled minting, max supply enforcement, token burning, ERC2981 royalties,
+ * on-chain enumeration, role-based access control, an emergency pause, ERC4494 permits, signed lazy-mint
+ * vouchers, ERC4907 rentals, ERC5192 locked tokens, optional on-chain SVG metadata, and full ERC721 compliance
+ *
+ * Shared by NftCollection, deployed directly, and NftCollectionUpgradeable, deployed behind a proxy.
+ * Built on the upgradeable OpenZeppelin contracts, which keep their state in ERC-7201 namespaces, so the
+ * variables declared here are the only sequential storage. New variables must be appended after the
+ * last one; never reorder, retype or remove existing ones, including fields of the library layouts.
+ *
+ * Metadata, sale and signature logic live in the CollectionMetadata, CollectionSale and
+ * CollectionSignatures libraries, which must be linked at deployment (see lib/deployments.js).
+ */
+abstract contract NftCollectionCore is
+    Initializable,
+    ERC721Upgradeable,
+    ERC721EnumerableUpgradeable,
+    ERC721BurnableUpgradeable,
+    ERC2981Upgradeable,
+    PausableUpgradeable,
+    AccessControlDefaultAdminRulesUpgradeable,
+    EIP712Upgradeable,
+    IERC4906
+{
+    // Roles granted and revoked by the default admin, who also handles sale, funds and royalties
+    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
+    bytes32 public constant METADATA_ADMIN_ROLE = keccak256("METADATA_ADMIN_ROLE");
+    bytes32 public constant BURNER_ROLE = keccak256("BURNER_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    // Not granted at deployment: the key signing vouchers usually lives on a sale backend
+    bytes32 public constant VOUCHER_SIGNER_ROLE = keccak256("VOUCHER_SIGNER_ROLE");
+
+    // State variables
+    // totalSupply() comes from ERC721Enumerable and counts existing tokens
+    uint256 public maxSupply;
+
+    // Base URI, token URIs, reveal and freeze state, managed by CollectionMetadata
+    CollectionMetadata.Layout private _metadata;
+
+    // Sale phase, price, caps, allowlist root and per-wallet counts, checked by CollectionSale
+    CollectionSale.Layout private _sale;
+
+    // Whether the admin may approve, and burners may burn, tokens they do not hold
+    bool public overrideEnabled;
+    // Set once the override is renounced, after which it can never be enabled again
+    bool public overrideRenounced;
+
+    // Next candidate ID for automatically assigned mints
+    uint256 private _nextTokenId;
+
+    // Unused: existence derives from the ERC721 owner. Kept so the slots after it do not move
+    /// @custom:oz-renamed-from _tokenExists
+    mapping(uint256 => bool) private __deprecatedTokenExists;
+
+    // Permit nonce of each token, advanced by every permit and every transfer
+    mapping(uint256 => uint256) private _nonces;
+
+    // EIP-712 digests of redeemed vouchers, so a voucher cannot mint again after a burn
+    mapping(bytes32 => bool) public voucherRedeemed;
+
+    // Accounts that can still mint, transfer, approve and burn while paused, e.g. a rescue address
+    mapping(address => bool) public pauseExempt;
+
+    // ERC-4907 renter of a token and the end of the rental, and its ERC-5192 lock
+    // Packed into one slot, so transfers read a single slot for both
+    struct TokenState {
+        address user;
+        uint64 expires;
+        bool locked;
+    }
+
+    // Rental and lock of each token, both cleared by a burn and the rental also when the token changes hands
+    /// @custom:oz-renamed-from _users
+    mapping(uint256 => TokenState) private _tokenStates;
+
+    // Whether tokenURI returns on-chain SVG artwork (see CollectionArt) instead of resolving the base URI
+    bool public onChainMetadata;
+
+    // Events, including those emitted by the linked libraries
+    event BaseURIUpdated(string newBaseURI);
+    event TokenMinted(address indexed to, uint256 indexed tokenId);
+    event TokenBurned(uint256 indexed tokenId);
+    event SaleStateUpdated(CollectionSale.SaleState newState);
+    event MintPriceUpdated(uint256 newPrice);
+    event MintLimitsUpdated(uint256 maxPerTransaction, uint256 maxPerWallet);
+    event MerkleRootUpdated(bytes32 newRoot);
+    event Withdrawn(address indexed to, uint256 amount);
+    event DefaultRoyaltyUpdated(address indexed receiver, uint96 feeNumerator);
+    event TokenRoyaltyUpdated(uint256 indexed tokenId, address indexed receiver, uint96 feeNumerator);
+    event OverrideUpdated(bool enabled);
+    event OverrideRenounced();
+    event OverrideApproval(address indexed holder, uint256 indexed tokenId, address indexed admin, address approved);
+    event OverrideBurn(address indexed holder, uint256 indexed tokenId, address indexed burner);
+    event OverrideSetUser(address indexed holder, uint256 indexed tokenId, address indexed admin, address user);
+    event PauseExemptionUpdated(address indexed account, bool exempt);
+    event TokenURIUpdated(uint256 indexed tokenId, string uri);
+    event MetadataFrozen(string baseURI);
+    event PlaceholderURIUpdated(string uri);
+    event ProvenanceHashSet(bytes32 provenanceHash);
+    event Revealed(string baseURI, uint256 startingIndex);
+    event MetadataModeUpdated(bool onChain);
+    event VoucherRedeemed(bytes32 indexed digest, address indexed redeemer, uint256 indexed tokenId, uint256 price);
+    // ERC-4907
+    event UpdateUser(uint256 indexed tokenId, address indexed user, uint64 expires);
+    // ERC-5192
+    event Locked(uint256 tokenId);
+    event Unlocked(uint256 tokenId);
+
+    /**
+     * @dev Blocks a call while paused unless the caller is exempt
+     */
+    modifier whenNotPausedOrExempt() {
+        _requireNotPausedOrExempt();
+        _;
+    }
+
+    /**
+     * @dev Initializes the NFT collection, from a constructor or a proxy's initializer
+     * The initial owner becomes the default admin and holds every role. Admin handovers are
+     * two-step (beginDefaultAdminTransfer, then acceptDefaultAdminTransfer by the new admin).
+     * @param name_ The name of the collection
+     * @param symbol_ The symbol of the collection
+     * @param maxSupply_ The maximum number of tokens that can be minted
+     * @param baseURI_ The base URI for token metadata
+     * @param initialOwner The default admin, which cannot be the zero address
+     */
+    function __NftCollection_init(
+        string memory name_,
+        string memory symbol_,
+        uint256 maxSupply_,
+        string memory baseURI_,
+        address initialOwner
+    ) internal onlyInitializing {
+        require(maxSupply_ > 0, "Max supply must be greater than 0");
+        require(bytes(baseURI_).length > 0, "Base URI cannot be empty");
+
+        __ERC721_init(name_, symbol_);
+        __ERC721Enumerable_init();
+        __ERC721Burnable_init();
+        __ERC2981_init();
+        __Pausable_init();
+        __AccessControlDefaultAdminRules_init(0, initialOwner);
+
+        maxSupply = maxSupply_;
+        _metadata.baseURI = baseURI_;
+        overrideEnabled = true;
+        _nextTokenId = 1;
+
+        bytes32[4] memory roles = [MINTER_ROLE, METADATA_ADMIN_ROLE, BURNER_ROLE, PAUSER_ROLE];
+        for (uint256 i = 0; i < roles.length; i++) {
+            _grantRole(roles[i], initialOwner);
+        }
+    }
+
+    /**
+     * @dev Returns the base URI for token metadata
+     */
+    function _baseURI() internal view override returns (string memory) {
+        return _metadata.baseURI;
+    }
+
+    /**
+     * @dev Updates the base URI - only metadata admins can call
+     * @param newBaseURI The new base URI
+     */
+    function setBaseURI(string calldata newBaseURI) external onlyRole(METADATA_ADMIN_ROLE) {
+        CollectionMetadata.setBaseURI(_metadata, newBaseURI);
+    }
+
+    /**
+     * @dev Sets the full URI of a single token - only metadata admins can call
+     * The URI takes precedence over the base URI in tokenURI
+     * @param tokenId The ID of the token
+     * @param uri The token URI, or an empty string to fall back to the base URI
+     */
+    function setTokenURI(uint256 tokenId, string calldata uri) external onlyRole(METADATA_ADMIN_ROLE) {
+        CollectionMetadata.setTokenURI(_metadata, tokenId, uri, tokenExists(tokenId));
+    }
+
+    /**
+     * @dev Hides every token behind one URI until reveal - only metadata admins can call
+     * @param uri The placeholder URI, or an empty string to show real metadata again
+     */
+    function setPlaceholderURI(string calldata uri) external onlyRole(METADATA_ADMIN_ROLE) {
+        CollectionMetadata.setPlaceholderURI(_metadata, uri);
+    }
+
+    /**
+     * @dev Commits to the final metadata set before any token is minted - only the default admin can call
+     * @param hash Provenance hash of the metadata files in token ID order
+     */
+    function setProvenanceHash(bytes32 hash) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        CollectionMetadata.setProvenanceHash(_metadata, hash, totalSupply());
+    }
+
+    /**
+     * @dev Ends the pre-reveal phase and switches to the real base URI - only metadata admins can call
+     * @param revealedBaseURI The base URI of the final metadata set
+     * @param shiftIds Whether to apply a pseudo-random starting-index offset to token IDs up to maxSupply
+     */
+    function reveal(string calldata revealedBaseURI, bool shiftIds) external onlyRole(METADATA_ADMIN_ROLE) {
+        CollectionMetadata.reveal(_metadata, revealedBaseURI, shiftIds, totalSupply(), maxSupply);
+    }
+
+    /**
+     * @dev Permanently locks the base URI and every token URI - only the default admin can call
+     */
+    function freezeMetadata() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        CollectionMetadata.freeze(_metadata);
+    }
+
+    /**
+     * @dev Switches tokenURI between the base URI and on-chain SVG artwork until metadata is frozen
+     * - only the default admin can call
+     * @param enabled Whether tokenURI returns the on-chain document
+     */
+    function setOnChainMetadata(bool enabled) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(!_metadata.frozen, "Metadata is frozen");
+        onChainMetadata = enabled;
+        emit MetadataModeUpdated(enabled);
+        emit BatchMetadataUpdate(1, type(uint256).max);
+    }
+
+    /**
+     * @dev Whether the base URI and token URIs are locked for good
+     */
+    function metadataFrozen() external view returns (bool) {
+        return _metadata.frozen;
+    }
+
+    /**
+     * @dev Whether reveal has been called
+     */
+    function revealed() external view returns (bool) {
+        return _metadata.revealed;
+    }
+
+    /**
+     * @dev URI every token returns until reveal, if set
+     */
+    function placeholderURI() external view returns (string memory) {
+        return _metadata.placeholderURI;
+    }
+
+    /**
+     * @dev Commitment to the final metadata set, see scripts/provenance.js
+     */
+    function provenanceHash() external view returns (bytes32) {
+        return _metadata.provenanceHash;
+    }
+
+    /**
+     * @dev Offset applied at reveal: token id shows metadata file ((id - 1 + startingIndex) % maxSupply) + 1
+     */
+    function startingIndex() external view returns (uint256) {
+        return _metadata.startingIndex;
+    }
+
+    /**
+     * @dev Mints a new token - only minters can call
+     * @param to The address to receive the token
+     * @param tokenId The ID of the token to mint
+     */
+    function safeMint(address to, uint256 tokenId) external onlyRole(MINTER_ROLE) {
+        require(to != address(0), "Cannot mint to zero address");
+        _mintToken(to, tokenId);
+    }
+
+    /**
+     * @dev Mints a token that cannot be transferred or approved, e.g. a membership badge - only minters can call
+     * The holder can still burn it, and the default admin can unlock it with setLocked (ERC-5192).
+     * @param to The address to receive the token
+     * @param tokenId The ID of the token to mint
+     */
+    function safeMintLocked(address to, uint256 tokenId) external onlyRole(MINTER_ROLE) {
+        require(to != address(0), "Cannot mint to zero address");
+        // Locked before the receiver hook runs, so the receiver cannot pass the token on
+        _tokenStates[tokenId].locked = true;
+        _mintToken(to, tokenId);
+        emit Locked(tokenId);
+    }
+
+    /**
+     * @dev Mints multiple tokens - only minters can call
+     * @param to The address to receive the tokens
+     * @param tokenIds Array of token IDs to mint
+     */
+    function batchMint(address to, uint256[] calldata tokenIds) external onlyRole(MINTER_ROLE) {
+        require(to != address(0), "Cannot mint to zero address");
+        require(tokenIds.length > 0, "Must mint at least one token");
+        require(totalSupply() + tokenIds.length <= maxSupply, "Batch mint exceeds max supply");
+
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            _mintToken(to, tokenIds[i]);
+        }
+    }
+
+    /**
+     * @dev Mints tokens to multiple recipients in one transaction - only minters can call
+     * @param recipients The addresses to receive the tokens
+     * @param tokenIds Array of token IDs to mint, tokenIds[i] goes to recipients[i]
+     */
+    function airdrop(address[] calldata recipients, uint256[] calldata tokenIds)
+        external
+        onlyRole(MINTER_ROLE)
+    {
+        require(recipients.length == tokenIds.length, "Recipients and token IDs length mismatch");
+        require(tokenIds.length > 0, "Must mint at least one token");
+        require(totalSupply() + tokenIds.length <= maxSupply, "Batch mint exceeds max supply");
+
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            require(recipients[i] != address(0), "Cannot mint to zero address");
+            _mintToken(recipients[i], tokenIds[i]);
+        }
+    }
+
+    /**
+     * @dev Sets the sale phase - only the default admin can call
+     * @param newState The new sale phase
+     */
+    function setSaleState(CollectionSale.SaleState newState) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _sale.state = newState;
+        emit SaleStateUpdated(newState);
+    }
+
+    /**
+     * @dev Sets the price per token for paid mints - only the default admin can call
+     * @param newPrice The new price in wei
+     */
+    function setMintPrice(uint256 newPrice) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _sale.mintPrice = newPrice;
+        emit MintPriceUpdated(newPrice);
+    }
+
+    /**
+     * @dev Sets the public sale caps - only the default admin can call
+     * @param maxPerTransaction_ Maximum tokens per publicMint call, 0 for unlimited
+     * @param maxPerWallet_ Maximum tokens a wallet can buy in the public sale, 0 for unlimited
+     */
+    function setMintLimits(uint256 maxPerTransaction_, uint256 maxPerWallet_)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        _sale.maxPerTransaction = maxPerTransaction_;
+        _sale.maxPerWallet = maxPerWallet_;
+        emit MintLimitsUpdated(maxPerTransaction_, maxPerWallet_);
+    }
+
+    /**
+     * @dev Mints tokens to the caller during the public sale
+     * Token IDs are assigned automatically, skipping IDs that already exist
+     * @param quantity The number of tokens to mint
+     */
+    function publicMint(uint256 quantity) external payable {
+        CollectionSale.recordPublicMint(_sale, msg.sender, quantity, msg.value, remainingSupply());
+        _mintSequential(msg.sender, quantity);
+    }
+
+    /**
+     * @dev Sets the presale allowlist root - only the default admin can call
+     * @param newRoot Root of a tree whose leaves are keccak256(keccak256(abi.encode(account, allocation)))
+     */
+    function setMerkleRoot(bytes32 newRoot) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _sale.merkleRoot = newRoot;
+        emit MerkleRootUpdated(newRoot);
+    }
+
+    /**
+     * @dev Mints tokens to an allowlisted caller during the presale
+     * @param quantity The number of tokens to mint
+     * @param allocation The caller's total presale allocation, as committed in the allowlist
+     * @param proof Merkle proof of the caller's (address, allocation) leaf
+     */
+    function presaleMint(uint256 quantity, uint256 allocation, bytes32[] calldata proof) external payable {
+        CollectionSale.recordPresaleMint(_sale, msg.sender, quantity, allocation, proof, msg.value, remainingSupply());
+        _mintSequential(msg.sender, quantity);
+    }
+
+    /**
+     * @dev Current sale phase
+     */
+    function saleState() external view returns (CollectionSale.SaleState) {
+        return _sale.state;
+    }
+
+    /**
+     * @dev Price per token of paid mints, in wei
+     */
+    function mintPrice() external view returns (uint256) {
+        return _sale.mintPrice;
+    }
+
+    /**
+     * @dev Maximum tokens per publicMint call, 0 for unlimited
+     */
+    function maxPerTransaction() external view returns (uint256) {
+        return _sale.maxPerTransaction;
+    }
+
+    /**
+     * @dev Maximum tokens a wallet can buy in the public sale, 0 for unlimited
+     */
+    function maxPerWallet() external view returns (uint256) {
+        return _sale.maxPerWallet;
+    }
+
+    /**
+     * @dev Root of the presale allowlist
+     */
+    function merkleRoot() external view returns (bytes32) {
+        return _sale.merkleRoot;
+    }
+
+    /**
+     * @dev Number of tokens a wallet has bought in the public sale
+     */
+    function publicMinted(address account) external view returns (uint256) {
+        return _sale.publicMinted[account];
+    }
+
+    /**
+     * @dev Number of tokens a wallet has claimed from its presale allocation
+     */
+    function presaleMinted(address account) external view returns (uint256) {
+        return _sale.presaleMinted[account];
+    }
+
+    /**
+     * @dev Mints the token of a voucher signed by a voucher signer to the caller, who pays its price
+     * Any account can redeem a voucher, once; minting follows the same rules as safeMint.
+     * @param tokenId The ID of the token to mint
+     * @param price The price in wei
+     * @param signature EIP-712 signature of MintVoucher(tokenId, price)
+     */
+    function redeemVoucher(uint256 tokenId, uint256 price, bytes calldata signature) external payable {
+        (bytes32 digest, address signer) = CollectionSignatures.recoverVoucher(
+            _domainSeparatorV4(),
+            tokenId,
+            price,
+            signature
+        );
+        require(!voucherRedeemed[digest], "Voucher already redeemed");
+        require(hasRole(VOUCHER_SIGNER_ROLE, signer), "Invalid voucher signature");
+        require(msg.value == price, "Incorrect payment amount");
+
+        voucherRedeemed[digest] = true;
+        _mintToken(msg.sender, tokenId);
+        emit VoucherRedeemed(digest, msg.sender, tokenId, price);
+    }
+
+    /**
+     * @dev Sends the contract balance to an address - only the default admin can call
+     * @param to The address to receive the funds
+     */
+    function withdraw(address payable to) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(to != address(0), "Cannot withdraw to zero address");
+        uint256 amount = address(this).balance;
+        require(amount > 0, "No funds to withdraw");
+
+        (bool success, ) = to.call{value: amount}("");
+        require(success, "Withdrawal failed");
+        emit Withdrawn(to, amount);
+    }
+
+    /**
+     * @dev Sets the royalty applied to tokens without an override - only the default admin can call
+     * @param receiver The address to receive royalties
+     * @param feeNumerator The royalty in basis points of the sale price
+     */
+    function setDefaultRoyalty(address receiver, uint96 feeNumerator)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        _setDefaultRoyalty(receiver, feeNumerator);
+        emit DefaultRoyaltyUpdated(receiver, feeNumerator);
+    }
+
+    /**
+     * @dev Removes the default royalty - only the default admin can call
+     */
+    function deleteDefaultRoyalty() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _deleteDefaultRoyalty();
+        emit DefaultRoyaltyUpdated(address(0), 0);
+    }
+
+    /**
+     * @dev Overrides the royalty of a single token - only the default admin can call
+     * @param tokenId The ID of the token
+     * @param receiver The address to receive royalties
+     * @param feeNumerator The royalty in basis points of the sale price
+     */
+    function setTokenRoyalty(uint256 tokenId, address receiver, uint96 feeNumerator)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        require(tokenExists(tokenId), "Token does not exist");
+        _setTokenRoyalty(tokenId, receiver, feeNumerator);
+        emit TokenRoyaltyUpdated(tokenId, receiver, feeNumerator);
+    }
+
+    /**
+     * @dev Removes a token royalty override so the default applies again - only the default admin can call
+     * @param tokenId The ID of the token
+     */
+    function resetTokenRoyalty(uint256 tokenId) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _resetTokenRoyalty(tokenId);
+        emit TokenRoyaltyUpdated(tokenId, address(0), 0);
+    }
+
+    /**
+     * @dev Turns the admin approve and burner burn override on or off - only the default admin can call
+     * @param enabled Whether the override may be used
+     */
+    function setOverrideEnabled(bool enabled) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(!overrideRenounced, "Override renounced");
+        overrideEnabled = enabled;
+        emit OverrideUpdated(enabled);
+    }
+
+    /**
+     * @dev Permanently disables the approve and burn override - only the default admin can call
+     */
+    function renounceOverride() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(!overrideRenounced, "Override renounced");
+        overrideEnabled = false;
+        overrideRenounced = true;
+        emit OverrideUpdated(false);
+        emit OverrideRenounced();
+    }
+
+    /**
+     * @dev Stops minting, transfers, approvals and burns for every non-exempt caller - only pausers can call
+     */
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+
+    /**
+     * @dev Lifts the emergency stop - only pausers can call
+     */
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        _unpause();
+    }
+
+    /**
+     * @dev Adds an account to or removes it from the pause exemption list - only the default admin can call
+     * @param account The account to update
+     * @param exempt Whether the account may act while paused
+     */
+    function setPauseExempt(address account, bool exempt) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        pauseExempt[account] = exempt;
+        emit PauseExemptionUpdated(account, exempt);
+    }
+
+    /**
+     * @dev Locks a token in its holder's wallet or unlocks it again - only the default admin can call
+     * @param tokenId The ID of the token
+     * @param locked_ Whether the token may no longer be transferred or approved
+     */
+    function setLocked(uint256 tokenId, bool locked_) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _requireOwned(tokenId);
+        TokenState storage state = _tokenStates[tokenId];
+        require(state.locked != locked_, locked_ ? "Token is locked" : "Token is not locked");
+        state.locked = locked_;
+        if (locked_) {
+            emit Locked(tokenId);
+        } else {
+            emit Unlocked(tokenId);
+        }
+    }
+
+    /**
+     * @dev Returns whether a token is locked (ERC-5192), reverting for tokens that do not exist
+     */
+    function locked(uint256 tokenId) external view returns (bool) {
+        _requireOwned(tokenId);
+        return _tokenStates[tokenId].locked;
+    }
+
+    /**
+     * @dev Reverts while paused unless the caller is exempt
+     * Kept out of the modifier so its body is not inlined into every entry point. The exemption
+     * list is only read while paused, which keeps it off the gas cost of normal operation.
+     */
+    function _requireNotPausedOrExempt() private view {
+        if (paused() && !pauseExempt[msg.sender]) {
+            revert EnforcedPause();
+        }
+    }
+
+    /**
+     * @dev Mints tokens with automatically assigned IDs, starting at 1 and skipping existing IDs
+     * The caller checks the quantity against the remaining supply.
+     * @param to The address to receive the tokens
+     * @param quantity The number of tokens to mint
+     */
+    function _mintSequential(address to, uint256 quantity) private {
+        uint256 tokenId = _nextTokenId;
+        for (uint256 i = 0; i < quantity; i++) {
+            while (_ownerOf(tokenId) != address(0)) {
+                tokenId++;
+            }
+            // Advance before minting so a reentrant mint cannot reuse the ID
+            _nextTokenId = tokenId + 1;
+            _mintToken(to, tokenId);
+            tokenId = _nextTokenId;
+        }
+    }
+
+    /**
+     * @dev Validates and mints a single token
+     * Existence is read from the ERC721 owner and the supply from ERC721Enumerable, so minting
+     * keeps no bookkeeping of its own. The supply is checked for every token, even after a batch
+     * was checked as a whole: _safeMint calls the receiver, which may mint again before the next token.
+     * @param to The address to receive the token
+     * @param tokenId The ID of the token to mint
+     */
+    function _mintToken(address to, uint256 tokenId) private {
+        require(_ownerOf(tokenId) == address(0), "Token already minted");
+        require(tokenId > 0, "Token ID must be greater than 0");
+        require(totalSupply() < maxSupply, "Max supply reached");
+
+        _safeMint(to, tokenId);
+        emit TokenMinted(to, tokenId);
+    }
+
+    /**
+     * @dev Checks if a token exists
+     * @param tokenId The ID of the token
+     * @return True if the token exists, false otherwise
+     */
+    function tokenExists(uint256 tokenId) public view returns (bool) {
+        return _ownerOf(tokenId) != address(0);
+    }
+
+    /**
+     * @dev Burns a token - token owner, or burners while the override is enabled, can call
+     * @param tokenId The ID of the token to burn
+     */
+    function burn(uint256 tokenId) public override {
+        address tokenOwner = _ownerOf(tokenId);
+        bool isOverride = tokenOwner != msg.sender;
+        require(
+            !isOverride || (overrideEnabled && hasRole(BURNER_ROLE, msg.sender)),
+            "Not authorized to burn"
+        );
+
+        // A reminted token starts from the default royalty and the base URI
+        _resetTokenRoyalty(tokenId);
+        delete _metadata.tokenURIs[tokenId];
+
+        // Directly call _burn without requiring approval
+        _burn(tokenId);
+        emit TokenBurned(tokenId);
+        if (isOverride) {
+            emit OverrideBurn(tokenOwner, tokenId, msg.sender);
+        }
+    }
+
+    /**
+     * @dev Transfers a token with proper validation
+     */
+    function transferFrom(address from, address to, uint256 tokenId) 
+        public 
+        override(ERC721Upgradeable, IERC721)
+    {
+        require(to != address(0), "Cannot transfer to zero address");
+        require(_ownerOf(tokenId) == from, "Transfer from incorrect owner");
+        super.transferFrom(from, to, tokenId);
+    }
+
+    /**
+     * @dev Approves an address to transfer a token
+     * The default admin can approve any token while the override is enabled
+     */
+    function approve(address to, uint256 tokenId) 
+        public 
+        override(ERC721Upgradeable, IERC721)
+        whenNotPausedOrExempt
+    {
+        address tokenOwner = _ownerOf(tokenId);
+        bool isOverride = _checkApprover(tokenOwner, "Not authorized to approve");
+        // Authorization is checked above; ERC721.approve would also reject the admin
+        _approve(to, tokenId, address(0));
+        if (isOverride) {
+            emit OverrideApproval(tokenOwner, tokenId, msg.sender, to);
+        }
+    }
+
+    /**
+     * @dev Checks the caller may approve, or rent out, a token of tokenOwner
+     * The holder and its operators may; the default admin may while the override is enabled.
+     * @return isOverride Whether the caller relies on the admin override
+     */
+    function _checkApprover(address tokenOwner, string memory message) private view returns (bool isOverride) {
+        isOverride = tokenOwner != msg.sender && !isApprovedForAll(tokenOwner, msg.sender);
+        require(!isOverride || (overrideEnabled && hasRole(DEFAULT_ADMIN_ROLE, msg.sender)), message);
+    }
+
+    /**
+     * @dev Approves a spender with a signature from the token owner or one of its operators (ERC-4494)
+     * The signer faces the same checks as the caller of approve, minus the admin override.
+     * @param spender The address to approve
+     * @param tokenId The ID of the token
+     * @param deadline Timestamp after which the signature is no longer accepted
+     * @param signature EIP-712 signature of Permit(spender, tokenId, nonces(tokenId), deadline)
+     */
+    function permit(address spender, uint256 tokenId, uint256 deadline, bytes calldata signature)
+        external
+        whenNotPausedOrExempt
+    {
+        require(block.timestamp <= deadline, "Permit expired");
+        address tokenOwner = _requireOwned(tokenId);
+
+        address signer = CollectionSignatures.recoverPermit(
+            _domainSeparatorV4(),
+            spender,
+            tokenId,
+            _nonces[tokenId]++,
+            deadline,
+            signature
+        );
+        require(signer == tokenOwner || isApprovedForAll(tokenOwner, signer), "Invalid permit signature");
+
+        _approve(spender, tokenId, address(0));
+    }
+
+    /**
+     * @dev Rejects approvals of locked tokens, from approve, permit and the admin override alike
+     * Clearing an approval stays possible, which transfers and burns rely on.
+     */
+    function _approve(address to, uint256 tokenId, address auth, bool emitEvent) internal override {
+        require(to == address(0) || !_tokenStates[tokenId].locked, "Token is locked");
+        super._approve(to, tokenId, auth, emitEvent);
+    }
+
+    /**
+     * @dev Returns the nonce a permit for a token must be signed with
+     */
+    function nonces(uint256 tokenId) external view returns (uint256) {
+        return _nonces[tokenId];
+    }
+
+    /**
+     * @dev EIP-712 domain name, the collection name rather than a second stored copy of it
+     */
+    function _EIP712Name() internal view override returns (string memory) {
+        return name();
+    }
+
+    /**
+     * @dev EIP-712 domain version
+     */
+    function _EIP712Version() internal pure override returns (string memory) {
+        return "1";
+    }
+
+    /**
+     * @dev Returns the EIP-712 domain separator permits and vouchers are signed under
+     */
+    function DOMAIN_SEPARATOR() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+
+    /**
+     * @dev Approves an operator for all tokens
+     */
+    function setApprovalForAll(address operator, bool approved) 
+        public 
+        override(ERC721Upgradeable, IERC721)
+        whenNotPausedOrExempt
+    {
+        require(operator != msg.sender, "Cannot approve yourself");
+        super.setApprovalForAll(operator, approved);
+    }
+
+    /**
+     * @dev Lends a token to a user until a deadline without transferring it (ERC-4907)
+     * Callers face the same checks as approve. The user is cleared when the token is
+     * transferred or burned.
+     * @param tokenId The ID of the token
+     * @param user The user, or the zero address to end the rental
+     * @param expires Timestamp after which userOf returns the zero address
+     */
+    function setUser(uint256 tokenId, address user, uint64 expires) external whenNotPausedOrExempt {
+        address tokenOwner = _requireOwned(tokenId);
+        bool isOverride = _checkApprover(tokenOwner, "Not authorized to set user");
+        TokenState storage state = _tokenStates[tokenId];
+        state.user = user;
+        state.expires = expires;
+        emit UpdateUser(tokenId, user, expires);
+        if (isOverride) {
+            emit OverrideSetUser(tokenOwner, tokenId, msg.sender, user);
+        }
+    }
+
+    /**
+     * @dev Returns the current user of a token, or the zero address once the rental has expired
+     */
+    function userOf(uint256 tokenId) external view returns (address) {
+        TokenState memory state = _tokenStates[tokenId];
+        return state.expires >= block.timestamp ? state.user : address(0);
+    }
+
+    /**
+     * @dev Returns the timestamp the current rental of a token ends at, even if it has passed
+     */
+    function userExpires(uint256 tokenId) external view returns (uint256) {
+        return _tokenStates[tokenId].expires;
+    }
+
+    /**
+     * @dev Returns the Uniform Resource Identifier (URI) for a token
+     * In on-chain mode this is a base64 data:application/json document with SVG artwork.
+     * Otherwise, before reveal a placeholder URI hides every token; afterwards a URI set with
+     * setTokenURI takes precedence over the base URI and the starting-index offset
+     */
+    function tokenURI(uint256 tokenId) 
+        public 
+        view 
+        override 
+        returns (string memory) 
+    {
+        require(tokenExists(tokenId), "Token does not exist");
+        return CollectionMetadata.tokenURI(_metadata, tokenId, maxSupply, onChainMetadata);
+    }
+
+    /**
+     * @dev Get remaining tokens that can be minted
+     */
+    function remainingSupply() public view returns (uint256) {
+        return maxSupply - totalSupply();
+    }
+
+    /**
+     * @dev Returns a page of existing token IDs in enumeration order
+     * Burning moves the last token into the burned token's index, so pages read in
+     * separate calls can shift between blocks; read every page at the same block.
+     * @param offset Index of the first token to return
+     * @param limit Maximum number of token IDs to return
+     */
+    function tokensPage(uint256 offset, uint256 limit) external view returns (uint256[] memory tokenIds) {
+        uint256 count = _pageLength(totalSupply(), offset, limit);
+        tokenIds = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            tokenIds[i] = tokenByIndex(offset + i);
+        }
+    }
+
+    /**
+     * @dev Returns a page of the token IDs held by an address in enumeration order
+     * @param tokenOwner The address to list tokens of
+     * @param offset Index of the first token to return
+     * @param limit Maximum number of token IDs to return
+     */
+    function tokensOfOwnerPage(address tokenOwner, uint256 offset, uint256 limit)
+        external
+        view
+        returns (uint256[] memory tokenIds)
+    {
+        uint256 count = _pageLength(balanceOf(tokenOwner), offset, limit);
+        tokenIds = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            tokenIds[i] = tokenOfOwnerByIndex(tokenOwner, offset + i);
+        }
+    }
+
+    /**
+     * @dev Number of items a page starting at offset holds out of total
+     */
+    function _pageLength(uint256 total, uint256 offset, uint256 limit) private pure returns (uint256) {
+        if (offset >= total) {
+            return 0;
+        }
+        return total - offset < limit ? total - offset : limit;
+    }
+
+    /**
+     * @dev Check if token ID is valid
+     */
+    function isValidTokenId(uint256 tokenId) public pure returns (bool) {
+        return tokenId > 0;
+    }
+
+    // Required override: ERC721Enumerable tracks every ownership change
+    // Every mint, transfer and burn passes through here, so this is where the pause applies
+    function _update(address to, uint256 tokenId, address auth)
+        internal
+        override(ERC721Upgradeable, ERC721EnumerableUpgradeable)
+        whenNotPausedOrExempt
+        returns (address)
+    {
+        address from = super._update(to, tokenId, auth);
+        // Permits signed before a transfer or burn must not outlive it
+        if (from != address(0)) {
+            _nonces[tokenId]++;
+            TokenState storage state = _tokenStates[tokenId];
+            // Neither does a rental, which the new holder did not agree to
+            if (from != to && state.user != address(0)) {
+                state.user = address(0);
+                state.expires = 0;
+                emit UpdateUser(tokenId, address(0), 0);
+            }
+            // Locked tokens never change hands, but their holder can burn them and a reminted token starts unlocked
+            if (state.locked) {
+                require(to == address(0), "Token is locked");
+                state.locked = false;
+            }
+        }
+        return from;
+    }
+
+    // Required override: ERC721Enumerable rejects batch balance increases
+    function _increaseBalance(address account, uint128 amount)
+        internal
+        override(ERC721Upgradeable, ERC721EnumerableUpgradeable)
+    {
+        super._increaseBalance(account, amount);
+    }
+
+    // Support for ERC721Burnable, ERC721Enumerable, ERC2981, ERC4906, ERC4494, ERC4907, ERC5192 and AccessControl interfaces
+    function supportsInterface(bytes4 interfaceId)
+        public
+        view
+        override(
+            ERC721Upgradeable,
+            ERC721EnumerableUpgradeable,
+            ERC2981Upgradeable,
+            AccessControlDefaultAdminRulesUpgradeable,
+            IERC165
+        )
+        returns (bool)
+    {
+        return
+            interfaceId == bytes4(0x49064906) ||
+            interfaceId == bytes4(0x5604e225) ||
+            interfaceId == bytes4(0xad092b5c) ||
+            interfaceId == bytes4(0xb45a3c0e) ||
+            super.supportsInterface(interfaceId);
+    }
+}
@@ -0,0 +1,96 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/proxy/Clones.sol";
+
+/**
+ * @dev The initializer of NftCollectionUpgradeable, declared here so the factory does not compile the
+ * whole collection
+ */
+interface INftCollectionInitializer {
+    function initialize(
+        string calldata name_,
+        string calldata symbol_,
+        uint256 maxSupply_,
+        string calldata baseURI_,
+        address initialOwner
+    ) external;
+}
+
+/**
+ * @title NftCollectionFactory
+ * @dev Creates collections as EIP-1167 minimal proxies (clones) of one NftCollectionUpgradeable implementation
+ * A clone costs a fraction of a full deployment and delegates every call to the implementation, while
+ * keeping its own storage: each clone has its own name, supply, owner, roles and tokens. Clones cannot be
+ * upgraded; a new implementation needs a new factory.
+ *
+ * The implementation is deployed separately, linked against the collection libraries (see lib/factory.js),
+ * since its bytecode is too large to embed here.
+ */
+contract NftCollectionFactory {
+    // NftCollectionUpgradeable every collection delegates to
+    address public immutable implementation;
+
+    // Collections created by each account, in creation order
+    mapping(address => address[]) private _collectionsByCreator;
+
+    // Account that created each collection, or the zero address for collections not created here
+    mapping(address => address) public creatorOf;
+
+    event CollectionCreated(
+        address indexed creator,
+        address indexed collection,
+        address indexed initialOwner,
+        string name,
+        string symbol,
+        uint256 maxSupply,
+        string baseURI
+    );
+
+    /**
+     * @param implementation_ A deployed NftCollectionUpgradeable, whose own initializers are disabled
+     */
+    constructor(address implementation_) {
+        require(implementation_.code.length > 0, "Implementation is not a contract");
+        implementation = implementation_;
+    }
+
+    /**
+     * @dev Clones the implementation and initializes the clone in the same transaction
+     * Initializing atomically leaves no window in which someone else could initialize the clone.
+     * @param name_ The name of the collection
+     * @param symbol_ The symbol of the collection
+     * @param maxSupply_ The maximum number of tokens that can be minted
+     * @param baseURI_ The base URI for token metadata
+     * @param initialOwner The default admin of the collection, holding every role
+     * @return collection The address of the new collection
+     */
+    function createCollection(
+        string calldata name_,
+        string calldata symbol_,
+        uint256 maxSupply_,
+        string calldata baseURI_,
+        address initialOwner
+    ) external returns (address collection) {
+        collection = Clones.clone(implementation);
+        INftCollectionInitializer(collection).initialize(name_, symbol_, maxSupply_, baseURI_, initialOwner);
+
+        _collectionsByCreator[msg.sender].push(collection);
+        creatorOf[collection] = msg.sender;
+        emit CollectionCreated(msg.sender, collection, initialOwner, name_, symbol_, maxSupply_, baseURI_);
+    }
+
+    /**
+     * @dev Returns the collections an account created, in creation order
+     */
+    function collectionsOf(address creator) external view returns (address[] memory) {
+        return _collectionsByCreator[creator];
+    }
+
+    /**
+     * @dev Returns the number of collections an account created
+     */
+    function collectionCountOf(address creator) external view returns (uint256) {
+        return _collectionsByCreator[creator].length;
+    }
+}
@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./NftCollectionCore.sol";
+
+/**
+ * @title NftCollectionUpgradeable
+ * @dev NftCollectionCore as the implementation of a transparent proxy or of EIP-1167 clones
+ * Deploy and upgrade with scripts/deploy-proxy.js and scripts/upgrade-proxy.js, which check that
+ * the storage layout of a new implementation is compatible with the one behind the proxy.
+ * NftCollectionFactory creates clones, which cannot be upgraded.
+ */
+contract NftCollectionUpgradeable is NftCollectionCore {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        // The implementation itself must never be initialized, only the proxy's storage
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Initializes the proxy or clone in place of the NftCollection constructor, with the same checks
+     * Skips only __EIP712_init, whose stored name and version the _EIP712Name/_EIP712Version overrides replace.
+     * @param name_ The name of the collection
+     * @param symbol_ The symbol of the collection
+     * @param maxSupply_ The maximum number of tokens that can be minted
+     * @param baseURI_ The base URI for token metadata
+     * @param initialOwner The default admin, which holds every role. Passed explicitly because the
+     * caller may be a factory rather than the collection's owner
+     * @custom:oz-upgrades-unsafe-allow missing-initializer-call
+     */
+    function initialize(
+        string memory name_,
+        string memory symbol_,
+        uint256 maxSupply_,
+        string memory baseURI_,
+        address initialOwner
+    ) external initializer {
+        __NftCollection_init(name_, symbol_, maxSupply_, baseURI_, initialOwner);
+    }
+}
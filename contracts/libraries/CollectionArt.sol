@@ -0,0 +1,110 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC721/extensions/IERC721Metadata.sol";
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+
+/**
+ * @title CollectionArt
+ * @dev On-chain SVG artwork and metadata of NftCollection tokens
+ * Internal functions only, compiled into CollectionMetadata. Traits derive from a hash of the
+ * collection address and the token ID, so every token keeps its artwork for as long as the chain
+ * exists and no per-token storage is needed.
+ */
+library CollectionArt {
+    using Strings for uint256;
+
+    struct Traits {
+        // Index into the shape names below
+        uint256 shape;
+        // HSL hues, 0 to 359
+        uint256 hue;
+        uint256 background;
+    }
+
+    /**
+     * @dev Derives the traits of a token
+     * Runs in the collection's context (via DELEGATECALL into CollectionMetadata), so address(this)
+     * is the collection.
+     */
+    function traits(uint256 tokenId) internal view returns (Traits memory) {
+        uint256 seed = uint256(keccak256(abi.encode(address(this), tokenId)));
+        return Traits({shape: seed % 4, hue: (seed >> 8) % 360, background: (seed >> 24) % 360});
+    }
+
+    /**
+     * @dev Returns the token's metadata as a base64 data:application/json URI with the SVG image embedded
+     */
+    function tokenURI(uint256 tokenId) internal view returns (string memory) {
+        Traits memory t = traits(tokenId);
+        string memory name = Strings.escapeJSON(IERC721Metadata(address(this)).name());
+
+        string memory json = string.concat(
+            '{"name":"',
+            name,
+            " #",
+            tokenId.toString(),
+            '","description":"Fully on-chain artwork of ',
+            name,
+            '","image":"data:image/svg+xml;base64,',
+            Base64.encode(bytes(svg(tokenId, t))),
+            '","attributes":[{"trait_type":"Shape","value":"',
+            _shapeName(t.shape),
+            '"},{"trait_type":"Hue","value":',
+            t.hue.toString(),
+            '},{"trait_type":"Background","value":',
+            t.background.toString(),
+            "}]}"
+        );
+        return string.concat("data:application/json;base64,", Base64.encode(bytes(json)));
+    }
+
+    /**
+     * @dev Renders the 350x350 artwork of a token: its shape on a tinted background, captioned with the ID
+     */
+    function svg(uint256 tokenId, Traits memory t) internal pure returns (string memory) {
+        return string.concat(
+            '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 350 350">',
+            '<rect width="350" height="350" fill="hsl(',
+            t.background.toString(),
+            ',40%,20%)"/>',
+            _shape(t.shape),
+            ' fill="hsl(',
+            t.hue.toString(),
+            ',80%,60%)"/>',
+            '<text x="175" y="325" fill="#fff" font-family="monospace" font-size="20" text-anchor="middle">#',
+            tokenId.toString(),
+            "</text></svg>"
+        );
+    }
+
+    function _shapeName(uint256 shape) private pure returns (string memory) {
+        if (shape == 0) {
+            return "Circle";
+        }
+        if (shape == 1) {
+            return "Square";
+        }
+        if (shape == 2) {
+            return "Triangle";
+        }
+        return "Diamond";
+    }
+
+    /**
+     * @dev Opening of the shape element, closed by the caller after its fill
+     */
+    function _shape(uint256 shape) private pure returns (string memory) {
+        if (shape == 0) {
+            return '<circle cx="175" cy="160" r="100"';
+        }
+        if (shape == 1) {
+            return '<rect x="80" y="65" width="190" height="190"';
+        }
+        if (shape == 2) {
+            return '<polygon points="175,55 285,265 65,265"';
+        }
+        return '<polygon points="175,45 290,160 175,275 60,160"';
+    }
+}
@@ -0,0 +1,152 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "./CollectionArt.sol";
+
+/**
+ * @title CollectionMetadata
+ * @dev Base URI, per-token URIs, delayed reveal, on-chain artwork and metadata freeze of NftCollection
+ * Library calls run via DELEGATECALL: they act on the collection's storage, and their events
+ * and reverts come from the collection. Access control stays with the caller.
+ */
+library CollectionMetadata {
+    struct Layout {
+        string baseURI;
+        // Set once by freeze, after which neither the base URI nor token URIs can change
+        bool frozen;
+        // Delayed reveal: until reveal() every token returns placeholderURI, if one is set
+        bool revealed;
+        string placeholderURI;
+        // Commitment to the final metadata set, see scripts/provenance.js
+        bytes32 provenanceHash;
+        // Offset applied at reveal: token id shows metadata file ((id - 1 + startingIndex) % maxSupply) + 1
+        uint256 startingIndex;
+        // Full URIs of tokens whose metadata does not live under the base URI, e.g. 1/1 pieces
+        mapping(uint256 => string) tokenURIs;
+    }
+
+    // Same signatures as the events NftCollectionCore declares for its ABI
+    event BaseURIUpdated(string newBaseURI);
+    event TokenURIUpdated(uint256 indexed tokenId, string uri);
+    event MetadataFrozen(string baseURI);
+    event PlaceholderURIUpdated(string uri);
+    event ProvenanceHashSet(bytes32 provenanceHash);
+    event Revealed(string baseURI, uint256 startingIndex);
+    // ERC-4906
+    event MetadataUpdate(uint256 _tokenId);
+    event BatchMetadataUpdate(uint256 _fromTokenId, uint256 _toTokenId);
+
+    /**
+     * @dev Updates the base URI
+     */
+    function setBaseURI(Layout storage self, string calldata newBaseURI) external {
+        require(!self.frozen, "Metadata is frozen");
+        require(bytes(newBaseURI).length > 0, "Base URI cannot be empty");
+        self.baseURI = newBaseURI;
+        emit BaseURIUpdated(newBaseURI);
+        emit BatchMetadataUpdate(1, type(uint256).max);
+    }
+
+    /**
+     * @dev Sets the full URI of a single token, or clears it with an empty string
+     * @param exists Whether the token exists, checked by the collection
+     */
+    function setTokenURI(Layout storage self, uint256 tokenId, string calldata uri, bool exists) external {
+        require(!self.frozen, "Metadata is frozen");
+        require(exists, "Token does not exist");
+        self.tokenURIs[tokenId] = uri;
+        emit TokenURIUpdated(tokenId, uri);
+        emit MetadataUpdate(tokenId);
+    }
+
+    /**
+     * @dev Hides every token behind one URI until reveal, or shows real metadata again with an empty string
+     */
+    function setPlaceholderURI(Layout storage self, string calldata uri) external {
+        require(!self.revealed, "Already revealed");
+        require(!self.frozen, "Metadata is frozen");
+        self.placeholderURI = uri;
+        emit PlaceholderURIUpdated(uri);
+        emit BatchMetadataUpdate(1, type(uint256).max);
+    }
+
+    /**
+     * @dev Commits to the final metadata set, once and before any token is minted
+     */
+    function setProvenanceHash(Layout storage self, bytes32 hash, uint256 totalSupply) external {
+        require(self.provenanceHash == bytes32(0), "Provenance hash already set");
+        require(hash != bytes32(0), "Provenance hash cannot be empty");
+        require(totalSupply == 0, "Tokens already minted");
+        self.provenanceHash = hash;
+        emit ProvenanceHashSet(hash);
+    }
+
+    /**
+     * @dev Ends the pre-reveal phase and switches to the real base URI
+     * @param shiftIds Whether to draw a pseudo-random starting index for token IDs up to maxSupply
+     */
+    function reveal(
+        Layout storage self,
+        string calldata revealedBaseURI,
+        bool shiftIds,
+        uint256 totalSupply,
+        uint256 maxSupply
+    ) external {
+        require(!self.revealed, "Already revealed");
+        require(!self.frozen, "Metadata is frozen");
+        require(bytes(revealedBaseURI).length > 0, "Base URI cannot be empty");
+
+        self.revealed = true;
+        self.baseURI = revealedBaseURI;
+        if (shiftIds) {
+            // Not secure against validators, but fixed only after the provenance hash and minting
+            self.startingIndex =
+                uint256(keccak256(abi.encode(blockhash(block.number - 1), block.prevrandao, totalSupply))) %
+                maxSupply;
+        }
+
+        emit Revealed(revealedBaseURI, self.startingIndex);
+        emit BaseURIUpdated(revealedBaseURI);
+        emit BatchMetadataUpdate(1, type(uint256).max);
+    }
+
+    /**
+     * @dev Permanently locks the base URI and every token URI
+     */
+    function freeze(Layout storage self) external {
+        require(!self.frozen, "Metadata is frozen");
+        self.frozen = true;
+        emit MetadataFrozen(self.baseURI);
+        emit BatchMetadataUpdate(1, type(uint256).max);
+    }
+
+    /**
+     * @dev Resolves the URI of an existing token
+     * In on-chain mode every token returns its CollectionArt document. Otherwise, before reveal a
+     * placeholder URI hides every token; afterwards a per-token URI takes precedence over the base
+     * URI and the starting-index offset
+     * @param onChain Whether the collection renders metadata on-chain, see NftCollectionCore.setOnChainMetadata
+     */
+    function tokenURI(Layout storage self, uint256 tokenId, uint256 maxSupply, bool onChain)
+        external
+        view
+        returns (string memory)
+    {
+        if (onChain) {
+            return CollectionArt.tokenURI(tokenId);
+        }
+        if (!self.revealed && bytes(self.placeholderURI).length > 0) {
+            return self.placeholderURI;
+        }
+        string memory uri = self.tokenURIs[tokenId];
+        if (bytes(uri).length > 0) {
+            return uri;
+        }
+        uint256 fileId = tokenId;
+        if (self.startingIndex != 0 && tokenId <= maxSupply) {
+            fileId = ((tokenId - 1 + self.startingIndex) % maxSupply) + 1;
+        }
+        return string.concat(self.baseURI, Strings.toString(fileId));
+    }
+}
@@ -0,0 +1,90 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+
+/**
+ * @title CollectionSale
+ * @dev Public sale and allowlist presale rules of NftCollection
+ * The checks run via DELEGATECALL against the collection's storage and record what each wallet
+ * bought; the collection mints afterwards.
+ */
+library CollectionSale {
+    // Sale phases controlled by the default admin
+    enum SaleState {
+        Closed,
+        Presale,
+        Public
+    }
+
+    struct Layout {
+        SaleState state;
+        uint256 mintPrice;
+        // Public sale caps, a limit of 0 means unlimited
+        uint256 maxPerTransaction;
+        uint256 maxPerWallet;
+        // Root of the presale allowlist, leaves are (address, allocation) pairs
+        bytes32 merkleRoot;
+        // Number of tokens each wallet has bought in the public sale
+        mapping(address => uint256) publicMinted;
+        // Number of tokens each wallet has claimed from its presale allocation
+        mapping(address => uint256) presaleMinted;
+    }
+
+    /**
+     * @dev Validates and records a public sale purchase
+     * @param buyer The wallet buying
+     * @param quantity The number of tokens to mint
+     * @param value The payment sent
+     * @param remaining The number of tokens left under maxSupply
+     */
+    function recordPublicMint(
+        Layout storage self,
+        address buyer,
+        uint256 quantity,
+        uint256 value,
+        uint256 remaining
+    ) external {
+        require(self.state == SaleState.Public, "Public sale is not active");
+        require(quantity > 0, "Must mint at least one token");
+        require(self.maxPerTransaction == 0 || quantity <= self.maxPerTransaction, "Exceeds per-transaction limit");
+        require(
+            self.maxPerWallet == 0 || self.publicMinted[buyer] + quantity <= self.maxPerWallet,
+            "Exceeds per-wallet limit"
+        );
+        require(quantity <= remaining, "Exceeds max supply");
+        require(value == self.mintPrice * quantity, "Incorrect payment amount");
+
+        self.publicMinted[buyer] += quantity;
+    }
+
+    /**
+     * @dev Validates and records a presale claim against the allowlist
+     * @param buyer The wallet claiming
+     * @param quantity The number of tokens to mint
+     * @param allocation The buyer's total presale allocation, as committed in the allowlist
+     * @param proof Merkle proof of the buyer's (address, allocation) leaf
+     * @param value The payment sent
+     * @param remaining The number of tokens left under maxSupply
+     */
+    function recordPresaleMint(
+        Layout storage self,
+        address buyer,
+        uint256 quantity,
+        uint256 allocation,
+        bytes32[] calldata proof,
+        uint256 value,
+        uint256 remaining
+    ) external {
+        require(self.state == SaleState.Presale, "Presale is not active");
+        require(quantity > 0, "Must mint at least one token");
+
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(buyer, allocation))));
+        require(MerkleProof.verifyCalldata(proof, self.merkleRoot, leaf), "Invalid Merkle proof");
+        require(self.presaleMinted[buyer] + quantity <= allocation, "Exceeds presale allocation");
+        require(quantity <= remaining, "Exceeds max supply");
+        require(value == self.mintPrice * quantity, "Incorrect payment amount");
+
+        self.presaleMinted[buyer] += quantity;
+    }
+}
@@ -0,0 +1,57 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+
+/**
+ * @title CollectionSignatures
+ * @dev EIP-712 hashing and signature recovery of NftCollection permits and mint vouchers
+ * The collection passes its domain separator and checks the recovered signer itself.
+ */
+library CollectionSignatures {
+    // EIP-712 struct signed by holders for ERC-4494 permit
+    bytes32 private constant PERMIT_TYPEHASH =
+        keccak256("Permit(address spender,uint256 tokenId,uint256 nonce,uint256 deadline)");
+    // EIP-712 struct signed by voucher signers for lazy minting
+    bytes32 private constant VOUCHER_TYPEHASH = keccak256("MintVoucher(uint256 tokenId,uint256 price)");
+
+    /**
+     * @dev Returns the signer of a permit, or the zero address for a malformed signature
+     */
+    function recoverPermit(
+        bytes32 domainSeparator,
+        address spender,
+        uint256 tokenId,
+        uint256 nonce,
+        uint256 deadline,
+        bytes calldata signature
+    ) external pure returns (address) {
+        bytes32 structHash = keccak256(abi.encode(PERMIT_TYPEHASH, spender, tokenId, nonce, deadline));
+        return _recover(MessageHashUtils.toTypedDataHash(domainSeparator, structHash), signature);
+    }
+
+    /**
+     * @dev Returns the digest of a mint voucher, which identifies it once redeemed, and its signer
+     */
+    function recoverVoucher(bytes32 domainSeparator, uint256 tokenId, uint256 price, bytes calldata signature)
+        external
+        pure
+        returns (bytes32 digest, address signer)
+    {
+        digest = MessageHashUtils.toTypedDataHash(
+            domainSeparator,
+            keccak256(abi.encode(VOUCHER_TYPEHASH, tokenId, price))
+        );
+        signer = _recover(digest, signature);
+    }
+
+    /**
+     * @dev Returns the EOA that signed an EIP-712 digest, or the zero address for a malformed signature
+     * The zero address never holds a role, owns a token or is an approved operator.
+     */
+    function _recover(bytes32 digest, bytes calldata signature) private pure returns (address) {
+        (address signer, ECDSA.RecoverError error, ) = ECDSA.tryRecover(digest, signature);
+        return error == ECDSA.RecoverError.NoError ? signer : address(0);
+    }
+}
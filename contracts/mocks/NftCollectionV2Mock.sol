@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../NftCollectionUpgradeable.sol";
+
+/**
+ * @dev Upgrade of NftCollectionUpgradeable used by the upgrade tests
+ * Appends a variable after the existing storage, which keeps the layout compatible.
+ * The proxy is already initialized, initialize is inherited for fresh deployments.
+ * @custom:oz-upgrades-unsafe-allow missing-initializer
+ */
+contract NftCollectionV2Mock is NftCollectionUpgradeable {
+    uint256 public upgradeCounter;
+
+    function bumpUpgradeCounter() external {
+        upgradeCounter++;
+    }
+
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+}
+
+/**
+ * @dev Declares a variable ahead of the collection's storage, shifting every existing slot
+ */
+abstract contract InsertedStorageMock {
+    uint256 internal insertedValue;
+}
+
+/**
+ * @dev Upgrade with an incompatible storage layout, which the upgrade scripts must reject
+ * @custom:oz-upgrades-unsafe-allow missing-initializer
+ */
+contract NftCollectionBadV2Mock is InsertedStorageMock, NftCollectionCore {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+}
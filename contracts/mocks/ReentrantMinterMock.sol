@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC721/IERC721Receiver.sol";
+
+interface IPublicMint {
+    function publicMint(uint256 quantity) external payable;
+}
+
+/**
+ * @dev Receiver that mints one more token through publicMint from inside its first onERC721Received,
+ * used to check the supply cap against mints that re-enter a batch
+ */
+contract ReentrantMinterMock is IERC721Receiver {
+    bool private _reentered;
+
+    function onERC721Received(address, address, uint256, bytes calldata) external returns (bytes4) {
+        if (!_reentered) {
+            _reentered = true;
+            IPublicMint(msg.sender).publicMint(1);
+        }
+        return IERC721Receiver.onERC721Received.selector;
+    }
+}
@@ -0,0 +1,318 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const { parseCsv } = require("./csv");
+
+// Upper bound of rows sent in one airdrop() call before gas estimation narrows it
+const DEFAULT_MAX_BATCH = 100;
+// Gas budget per transaction, kept well below the usual 30M block gas limit
+const DEFAULT_MAX_GAS = 10_000_000n;
+
+/**
+ * @dev Parses an airdrop file into rows of { recipient, tokenId, line }
+ * CSV files hold one `recipient,tokenId` pair per line with an optional header;
+ * JSON files hold an array of { recipient, tokenId } objects.
+ */
+function parseAirdropFile(file) {
+  const content = fs.readFileSync(file, "utf8");
+  if (path.extname(file).toLowerCase() === ".json") {
+    return parseJsonRows(JSON.parse(content));
+  }
+  return parseCsvRows(content);
+}
+
+function parseJsonRows(data) {
+  if (!Array.isArray(data)) {
+    throw new Error("Airdrop JSON must be an array of { recipient, tokenId } objects");
+  }
+  return data.map((entry, i) => ({
+    recipient: String(entry.recipient ?? entry.address ?? ""),
+    tokenId: String(entry.tokenId ?? ""),
+    line: i + 1,
+  }));
+}
+
+function parseCsvRows(content) {
+  const rows = [];
+  for (const { cells, line } of parseCsv(content)) {
+    const [recipient = "", tokenId = ""] = cells;
+    if (recipient.startsWith("#")) {
+      continue;
+    }
+    // Skip a header row such as "recipient,tokenId"
+    if (rows.length === 0 && !ethers.isAddress(recipient) && !/^\d+$/.test(tokenId)) {
+      continue;
+    }
+    rows.push({ recipient, tokenId, line });
+  }
+  return rows;
+}
+
+/**
+ * @dev Checks rows that do not depend on chain state and normalizes them
+ * @return { rows, errors } with recipients checksummed and token IDs as BigInt
+ */
+function checkRows(rows) {
+  const errors = [];
+  const seen = new Map();
+  const normalized = [];
+
+  for (const row of rows) {
+    const where = `line ${row.line}`;
+    let ok = true;
+
+    if (!ethers.isAddress(row.recipient)) {
+      errors.push(`${where}: invalid recipient address "${row.recipient}"`);
+      ok = false;
+    } else if (BigInt(row.recipient) === 0n) {
+      errors.push(`${where}: cannot mint to zero address`);
+      ok = false;
+    }
+
+    if (!/^\d+$/.test(row.tokenId)) {
+      errors.push(`${where}: invalid token ID "${row.tokenId}"`);
+      continue;
+    }
+    const tokenId = BigInt(row.tokenId);
+    if (tokenId === 0n) {
+      errors.push(`${where}: token ID must be greater than 0`);
+      ok = false;
+    }
+    if (seen.has(tokenId)) {
+      errors.push(`${where}: duplicate token ID ${tokenId} (first on line ${seen.get(tokenId)})`);
+      ok = false;
+    } else {
+      seen.set(tokenId, row.line);
+    }
+
+    if (ok) {
+      normalized.push({ recipient: ethers.getAddress(row.recipient), tokenId, line: row.line });
+    }
+  }
+
+  return { rows: normalized, errors };
+}
+
+/**
+ * @dev Validates an airdrop against the input rules and the current contract state
+ * @param contract NftCollection instance
+ * @param rows Parsed rows
+ * @param done Set of token IDs already minted by an earlier run of the same airdrop
+ * @return Normalized rows that still need to be minted
+ */
+async function validateAirdrop(contract, rows, done = new Set()) {
+  const checked = checkRows(rows);
+  const errors = [...checked.errors];
+  const pending = checked.rows.filter((row) => !done.has(row.tokenId));
+
+  for (const row of pending) {
+    if (await contract.tokenExists(row.tokenId)) {
+      errors.push(`line ${row.line}: token ${row.tokenId} already exists`);
+    }
+  }
+
+  const remaining = await contract.remainingSupply();
+  if (BigInt(pending.length) > remaining) {
+    errors.push(`airdrop mints ${pending.length} tokens but only ${remaining} remain`);
+  }
+
+  if (errors.length > 0) {
+    const error = new Error(`Airdrop validation failed:\n  ${errors.join("\n  ")}`);
+    error.errors = errors;
+    throw error;
+  }
+
+  return pending;
+}
+
+/**
+ * @dev Splits rows into chunks whose estimated airdrop() gas stays under maxGas
+ * @return Array of { rows, gas }
+ */
+async function planChunks(contract, rows, options = {}) {
+  const maxGas = BigInt(options.maxGas ?? DEFAULT_MAX_GAS);
+  const maxBatch = options.maxBatch ?? DEFAULT_MAX_BATCH;
+  const chunks = [];
+
+  let start = 0;
+  while (start < rows.length) {
+    let size = Math.min(maxBatch, rows.length - start);
+    for (;;) {
+      const chunk = rows.slice(start, start + size);
+      const gas = await contract.airdrop.estimateGas(
+        chunk.map((row) => row.recipient),
+        chunk.map((row) => row.tokenId)
+      );
+      if (gas <= maxGas) {
+        chunks.push({ rows: chunk, gas });
+        break;
+      }
+      if (size === 1) {
+        throw new Error(`Minting token ${chunk[0].tokenId} needs ${gas} gas, above the ${maxGas} budget`);
+      }
+      // Shrink proportionally to the overshoot, at least by one row
+      size = Math.max(1, Math.min(size - 1, Number((BigInt(size) * maxGas) / gas)));
+    }
+    start += size;
+  }
+
+  return chunks;
+}
+
+/**
+ * @dev Loads a progress journal, or starts an empty one for the contract
+ */
+function readJournal(file, contractAddress, chainId) {
+  if (!fs.existsSync(file)) {
+    return { contract: contractAddress, chainId, batches: [] };
+  }
+  const journal = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (journal.contract.toLowerCase() !== contractAddress.toLowerCase() || journal.chainId !== chainId) {
+    throw new Error(
+      `Journal ${file} belongs to ${journal.contract} on chain ${journal.chainId}; use a different --journal`
+    );
+  }
+  return journal;
+}
+
+function writeJournal(file, journal) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(journal, null, 2) + "\n");
+}
+
+/**
+ * @dev Settles batches left pending by an interrupted run
+ * Waits for transactions still in the mempool and marks reverted ones failed, so their rows are
+ * minted again. A transaction the node does not know is failed only once its sender's nonce has
+ * moved past it; until then it may still be in flight elsewhere and the run stops.
+ */
+async function reconcileJournal(provider, journal) {
+  for (const batch of journal.batches) {
+    if (batch.status !== "pending") {
+      continue;
+    }
+    let receipt = await provider.getTransactionReceipt(batch.txHash);
+    if (!receipt) {
+      const tx = await provider.getTransaction(batch.txHash);
+      if (tx) {
+        receipt = await tx.wait().catch(() => null);
+      } else if (batch.nonce !== undefined && (await provider.getTransactionCount(batch.from)) <= batch.nonce) {
+        throw new Error(
+          `Airdrop transaction ${batch.txHash} is unknown to the node but nonce ${batch.nonce} of ${batch.from} ` +
+            "is unused; wait for it to be mined, or replace it, then re-run"
+        );
+      }
+    }
+    batch.status = receipt && receipt.status === 1 ? "confirmed" : "failed";
+  }
+}
+
+/**
+ * @dev Token IDs minted by earlier batches of the journal
+ * Besides confirmed batches, this covers rows of failed batches whose token is already owned by
+ * its intended recipient: the transaction went through after the run gave up on it.
+ */
+async function journaledTokenIds(contract, journal) {
+  const done = new Set();
+  for (const batch of journal.batches) {
+    for (const [i, id] of batch.tokenIds.entries()) {
+      const tokenId = BigInt(id);
+      if (
+        batch.status === "confirmed" ||
+        ((await contract.tokenExists(tokenId)) &&
+          (await contract.ownerOf(tokenId)).toLowerCase() === batch.recipients[i].toLowerCase())
+      ) {
+        done.add(tokenId);
+      }
+    }
+  }
+  return done;
+}
+
+/**
+ * @dev Runs an airdrop in gas-bounded chunks, journaling progress so it can resume
+ * @param contract NftCollection instance connected to the owner
+ * @param rows Parsed rows
+ * @param options.journal Path of the progress journal
+ * @param options.maxGas Gas budget per transaction
+ * @param options.maxBatch Maximum rows per transaction
+ * @param options.dryRun Validate and plan chunks without sending transactions
+ * @param options.log Progress logger, defaults to console.log
+ * @return { minted, skipped, chunks } counts
+ */
+async function runAirdrop(contract, rows, options = {}) {
+  if (!options.journal) {
+    throw new Error("Airdrop needs a journal path to record progress");
+  }
+  const log = options.log || console.log;
+  const provider = contract.runner.provider;
+  const address = await contract.getAddress();
+  const { chainId } = await provider.getNetwork();
+
+  const journal = readJournal(options.journal, address, Number(chainId));
+  await reconcileJournal(provider, journal);
+  if (!options.dryRun) {
+    writeJournal(options.journal, journal);
+  }
+
+  const done = await journaledTokenIds(contract, journal);
+  const pending = await validateAirdrop(contract, rows, done);
+  const skipped = rows.length - pending.length;
+  if (skipped > 0) {
+    log(`Skipping ${skipped} token(s) already minted by a previous run`);
+  }
+
+  const chunks = await planChunks(contract, pending, options);
+  log(`Minting ${pending.length} token(s) in ${chunks.length} transaction(s)`);
+  if (options.dryRun) {
+    return { minted: 0, skipped, chunks: chunks.length };
+  }
+
+  let minted = 0;
+  for (const [i, chunk] of chunks.entries()) {
+    const recipients = chunk.rows.map((row) => row.recipient);
+    const tokenIds = chunk.rows.map((row) => row.tokenId);
+    const tx = await contract.airdrop(recipients, tokenIds, {
+      gasLimit: (chunk.gas * 12n) / 10n,
+    });
+
+    // Journal the hash before waiting so an interrupted run can find the transaction
+    const batch = {
+      txHash: tx.hash,
+      from: tx.from,
+      nonce: tx.nonce,
+      status: "pending",
+      recipients,
+      tokenIds: tokenIds.map(String),
+    };
+    journal.batches.push(batch);
+    writeJournal(options.journal, journal);
+
+    let receipt;
+    try {
+      receipt = await tx.wait();
+    } catch (error) {
+      batch.status = "failed";
+      writeJournal(options.journal, journal);
+      throw error;
+    }
+    batch.status = "confirmed";
+    batch.blockNumber = receipt.blockNumber;
+    writeJournal(options.journal, journal);
+
+    minted += chunk.rows.length;
+    log(`  chunk ${i + 1}/${chunks.length}: ${chunk.rows.length} token(s) in ${tx.hash}`);
+  }
+
+  return { minted, skipped, chunks: chunks.length };
+}
+
+module.exports = {
+  DEFAULT_MAX_BATCH,
+  DEFAULT_MAX_GAS,
+  parseAirdropFile,
+  planChunks,
+  runAirdrop,
+  validateAirdrop,
+};
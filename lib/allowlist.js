@@ -0,0 +1,105 @@
+const fs = require("fs");
+const path = require("path");
+const { StandardMerkleTree } = require("@openzeppelin/merkle-tree");
+const { ethers } = require("ethers");
+
+const { parseCsv } = require("./csv");
+
+// Leaf encoding checked by NftCollection.presaleMint
+const LEAF_ENCODING = ["address", "uint256"];
+
+/**
+ * @dev Reads an allowlist CSV of `address,allocation` rows with an optional header
+ * @return Array of [checksummed address, allocation as string]
+ */
+function readAllowlist(file) {
+  const errors = [];
+  const seen = new Map();
+  const entries = [];
+
+  for (const { cells, line } of parseCsv(fs.readFileSync(file, "utf8"))) {
+    const [account = "", allocation = ""] = cells;
+    if (account.startsWith("#")) {
+      continue;
+    }
+    // Skip a header row such as "address,allocation"
+    if (entries.length === 0 && errors.length === 0 && !ethers.isAddress(account) && !/^\d+$/.test(allocation)) {
+      continue;
+    }
+
+    const where = `line ${line}`;
+    if (!ethers.isAddress(account) || BigInt(account) === 0n) {
+      errors.push(`${where}: invalid address "${account}"`);
+      continue;
+    }
+    if (!/^\d+$/.test(allocation) || BigInt(allocation) === 0n) {
+      errors.push(`${where}: allocation must be a positive integer`);
+      continue;
+    }
+
+    const address = ethers.getAddress(account);
+    if (seen.has(address)) {
+      errors.push(`${where}: duplicate address ${address} (first on line ${seen.get(address)})`);
+      continue;
+    }
+    seen.set(address, line);
+    entries.push([address, BigInt(allocation).toString()]);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Allowlist validation failed:\n  ${errors.join("\n  ")}`);
+  }
+  if (entries.length === 0) {
+    throw new Error(`${file}: allowlist is empty`);
+  }
+  return entries;
+}
+
+/**
+ * @dev Builds the allowlist tree and per-address proofs
+ * @param entries Array of [address, allocation]
+ * @return { root, claims } where claims maps each address to { allocation, proof }
+ */
+function buildAllowlist(entries) {
+  const tree = StandardMerkleTree.of(entries, LEAF_ENCODING);
+  const claims = {};
+  for (const [i, [address, allocation]] of tree.entries()) {
+    claims[address] = { allocation, proof: tree.getProof(i) };
+  }
+  return { root: tree.root, claims };
+}
+
+/**
+ * @dev Writes the allowlist root and proofs to a JSON file
+ */
+function writeAllowlist(file, allowlist) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(allowlist, null, 2) + "\n");
+}
+
+/**
+ * @dev Reads a file written by writeAllowlist
+ */
+function loadAllowlist(file) {
+  const allowlist = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!/^0x[0-9a-fA-F]{64}$/.test(allowlist.root ?? "")) {
+    throw new Error(`${file}: missing or invalid Merkle root`);
+  }
+  return allowlist;
+}
+
+/**
+ * @dev Returns the claim of an address, or null when it is not allowlisted
+ */
+function claimFor(allowlist, account) {
+  return allowlist.claims[ethers.getAddress(account)] ?? null;
+}
+
+module.exports = {
+  LEAF_ENCODING,
+  buildAllowlist,
+  claimFor,
+  loadAllowlist,
+  readAllowlist,
+  writeAllowlist,
+};
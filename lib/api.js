@@ -0,0 +1,239 @@
+const http = require("http");
+const { ethers } = require("ethers");
+
+const { revertReason } = require("./collection");
+const { sendJson } = require("./http");
+
+// Contract reverts mapped to HTTP responses: require() reasons and OpenZeppelin custom errors
+const REVERTS = {
+  "Token does not exist": { status: 404, error: "Token does not exist" },
+  ERC721NonexistentToken: { status: 404, error: "Token does not exist" },
+  ERC721InvalidOwner: { status: 400, error: "Invalid owner address" },
+};
+
+const ERROR_SCHEMA = {
+  type: "object",
+  properties: { error: { type: "string" } },
+  required: ["error"],
+};
+const UINT256 = { type: "string", pattern: "^\\d+$", description: "uint256 as a decimal string" };
+const ADDRESS = { type: "string", pattern: "^0x[0-9a-fA-F]{40}$" };
+
+function errorResponse(description) {
+  return { description, content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } } };
+}
+
+function jsonResponse(description, ref) {
+  return { description, content: { "application/json": { schema: { $ref: `#/components/schemas/${ref}` } } } };
+}
+
+/**
+ * @dev OpenAPI 3 description of the read-only collection API
+ */
+const openApiSpec = {
+  openapi: "3.0.3",
+  info: {
+    title: "NftCollection API",
+    version: "1.0.0",
+    description: "Read-only JSON API over a deployed NftCollection contract",
+  },
+  paths: {
+    "/collection": {
+      get: {
+        summary: "Collection configuration and supply",
+        responses: { 200: jsonResponse("Collection", "Collection") },
+      },
+    },
+    "/tokens/{id}": {
+      get: {
+        summary: "Owner, approval and token URI of a token",
+        parameters: [{ name: "id", in: "path", required: true, schema: UINT256 }],
+        responses: {
+          200: jsonResponse("Token", "Token"),
+          400: errorResponse("Malformed or out-of-range token ID, or ID 0"),
+          404: errorResponse("Token does not exist"),
+        },
+      },
+    },
+    "/owners/{address}/balance": {
+      get: {
+        summary: "Number of tokens held by an address",
+        parameters: [{ name: "address", in: "path", required: true, schema: ADDRESS }],
+        responses: {
+          200: jsonResponse("Balance", "Balance"),
+          400: errorResponse("Malformed or zero address"),
+        },
+      },
+    },
+  },
+  components: {
+    schemas: {
+      Error: ERROR_SCHEMA,
+      Collection: {
+        type: "object",
+        properties: {
+          address: ADDRESS,
+          name: { type: "string" },
+          symbol: { type: "string" },
+          maxSupply: UINT256,
+          totalSupply: UINT256,
+          remainingSupply: UINT256,
+          owner: ADDRESS,
+        },
+        required: ["address", "name", "symbol", "maxSupply", "totalSupply", "remainingSupply", "owner"],
+      },
+      Token: {
+        type: "object",
+        properties: {
+          tokenId: UINT256,
+          exists: { type: "boolean" },
+          owner: ADDRESS,
+          approved: { ...ADDRESS, nullable: true },
+          tokenURI: { type: "string" },
+        },
+        required: ["tokenId", "exists", "owner", "approved", "tokenURI"],
+      },
+      Balance: {
+        type: "object",
+        properties: { address: ADDRESS, balance: UINT256 },
+        required: ["address", "balance"],
+      },
+    },
+  },
+};
+
+/**
+ * @dev Error carrying the HTTP status it should be reported with
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * @dev Maps a contract call failure to an HTTP status and message
+ * Unknown reverts and transport errors are reported as 502 since the node, not the client, failed.
+ */
+function mapError(error, iface) {
+  if (error instanceof HttpError) {
+    return { status: error.status, error: error.message };
+  }
+  return REVERTS[revertReason(error, iface)] ?? { status: 502, error: error.shortMessage || error.message };
+}
+
+/**
+ * @dev Decodes percent-encoded path parameters, rejecting malformed encodings such as %ZZ as client errors
+ */
+function decodeParams(params) {
+  try {
+    return params.map(decodeURIComponent);
+  } catch (error) {
+    if (error instanceof URIError) {
+      throw new HttpError(400, "Malformed URL encoding");
+    }
+    throw error;
+  }
+}
+
+/**
+ * @dev Creates the read-only REST API server for a deployed NftCollection
+ * @param contract NftCollection instance
+ * @return http.Server, not yet listening
+ */
+function createApiServer(contract) {
+  const routes = [
+    {
+      pattern: /^\/collection$/,
+      async handle() {
+        const [name, symbol, maxSupply, totalSupply, remainingSupply, owner] = await Promise.all([
+          contract.name(),
+          contract.symbol(),
+          contract.maxSupply(),
+          contract.totalSupply(),
+          contract.remainingSupply(),
+          contract.owner(),
+        ]);
+        return {
+          address: await contract.getAddress(),
+          name,
+          symbol,
+          maxSupply: maxSupply.toString(),
+          totalSupply: totalSupply.toString(),
+          remainingSupply: remainingSupply.toString(),
+          owner,
+        };
+      },
+    },
+    {
+      pattern: /^\/tokens\/([^/]+)$/,
+      async handle([id]) {
+        // IDs past uint256 would fail to encode in the call below
+        if (!/^\d+$/.test(id) || BigInt(id) > ethers.MaxUint256) {
+          throw new HttpError(400, "Invalid token ID");
+        }
+        const tokenId = BigInt(id);
+        if (!(await contract.isValidTokenId(tokenId))) {
+          throw new HttpError(400, "Token ID must be greater than 0");
+        }
+
+        // tokenURI reverts with "Token does not exist" for unminted and burned tokens
+        const tokenURI = await contract.tokenURI(tokenId);
+        const [owner, approved] = await Promise.all([contract.ownerOf(tokenId), contract.getApproved(tokenId)]);
+        return {
+          tokenId: tokenId.toString(),
+          exists: true,
+          owner,
+          approved: approved === ethers.ZeroAddress ? null : approved,
+          tokenURI,
+        };
+      },
+    },
+    {
+      pattern: /^\/owners\/([^/]+)\/balance$/,
+      async handle([address]) {
+        if (!ethers.isAddress(address)) {
+          throw new HttpError(400, "Invalid address");
+        }
+        const owner = ethers.getAddress(address);
+        return { address: owner, balance: (await contract.balanceOf(owner)).toString() };
+      },
+    },
+    {
+      pattern: /^\/openapi\.json$/,
+      async handle() {
+        return openApiSpec;
+      },
+    },
+  ];
+
+  async function handle(req, res) {
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      return sendJson(res, 405, { error: "Method not allowed" }, { Allow: "GET, HEAD" });
+    }
+
+    const { pathname } = new URL(req.url, "http://localhost");
+    for (const route of routes) {
+      const match = route.pattern.exec(pathname);
+      if (match) {
+        return sendJson(res, 200, await route.handle(decodeParams(match.slice(1))));
+      }
+    }
+    return sendJson(res, 404, { error: "Not found" });
+  }
+
+  return http.createServer((req, res) => {
+    handle(req, res).catch((error) => {
+      const { status, error: message } = mapError(error, contract.interface);
+      sendJson(res, status, { error: message });
+    });
+  });
+}
+
+module.exports = {
+  HttpError,
+  createApiServer,
+  mapError,
+  openApiSpec,
+};
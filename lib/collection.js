@@ -0,0 +1,135 @@
+const { CONTRACT_NAME, readDeployment } = require("./deployments");
+
+/**
+ * @dev Returns an NftCollection instance from an explicit address or the saved deployment record
+ * @param hre The Hardhat runtime environment
+ * @param address Optional contract address, overrides the deployment record
+ * @param signer Optional signer to connect the contract to
+ */
+async function getCollection(hre, address, signer) {
+  let target = address;
+  if (!target) {
+    const record = readDeployment(hre);
+    if (!record) {
+      throw new Error(
+        `No ${CONTRACT_NAME} deployment recorded for ${hre.network.name}; deploy first or pass --address`
+      );
+    }
+    target = record.address;
+  }
+
+  if (!hre.ethers.isAddress(target)) {
+    throw new Error(`Invalid contract address: ${target}`);
+  }
+  if ((await hre.ethers.provider.getCode(target)) === "0x") {
+    throw new Error(`No contract deployed at ${target} on ${hre.network.name}`);
+  }
+
+  return hre.ethers.getContractAt(CONTRACT_NAME, target, signer);
+}
+
+/**
+ * @dev Decodes the collection's events from a transaction receipt
+ * @return Array of { name, args } where args is a plain object keyed by parameter name
+ */
+function decodeEvents(contract, receipt) {
+  const target = contract.target.toLowerCase();
+  const events = [];
+
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== target) {
+      continue;
+    }
+    const parsed = contract.interface.parseLog(log);
+    if (!parsed) {
+      continue;
+    }
+    const args = {};
+    parsed.fragment.inputs.forEach((input, i) => {
+      args[input.name] = parsed.args[i];
+    });
+    events.push({ name: parsed.name, args });
+  }
+
+  return events;
+}
+
+/**
+ * @dev Extracts the revert reason or custom error name from a failed call
+ * ethers decodes reverts into `reason`/`revert`; some providers only pass the raw revert data.
+ */
+function revertReason(error, iface) {
+  if (error.reason) {
+    return error.reason;
+  }
+  if (error.revert) {
+    return error.revert.name;
+  }
+  // JSON-RPC errors nest the revert data one level deeper
+  let data = error.data ?? error.error?.data;
+  if (data && typeof data === "object") {
+    data = data.data;
+  }
+  if (typeof data !== "string" || !data.startsWith("0x")) {
+    return undefined;
+  }
+  try {
+    const parsed = iface.parseError(data);
+    return parsed.name === "Error" ? parsed.args[0] : parsed.name;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * @dev Formats a transaction receipt and its decoded events for console output
+ */
+function formatReceipt(receipt, events) {
+  const lines = [
+    `tx:       ${receipt.hash}`,
+    `block:    ${receipt.blockNumber}`,
+    `gas used: ${receipt.gasUsed}`,
+    `status:   ${receipt.status === 1 ? "success" : "reverted"}`,
+  ];
+
+  if (events.length > 0) {
+    lines.push("events:");
+    for (const event of events) {
+      const args = Object.entries(event.args)
+        .map(([key, value]) => `${key}=${value}`)
+        .join(", ");
+      lines.push(`  ${event.name}(${args})`);
+    }
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * @dev Waits for a transaction and returns its receipt and decoded collection events
+ */
+async function sendAndDecode(contract, txPromise) {
+  const tx = await txPromise;
+  const receipt = await tx.wait();
+  return { receipt, events: decodeEvents(contract, receipt) };
+}
+
+/**
+ * @dev Waits for a transaction, prints a title with its receipt and decoded events, and returns them
+ * @return { receipt, events } as returned by sendAndDecode
+ */
+async function printReceipt(title, contract, txPromise) {
+  const result = await sendAndDecode(contract, txPromise);
+  console.log(title);
+  console.log(formatReceipt(result.receipt, result.events));
+  return result;
+}
+
+module.exports = {
+  decodeEvents,
+  formatReceipt,
+  getCollection,
+  printReceipt,
+  revertReason,
+  sendAndDecode,
+};
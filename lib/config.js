@@ -0,0 +1,63 @@
+const fs = require("fs");
+const path = require("path");
+
+// Environment variables read for each constructor argument
+const ENV_KEYS = {
+  name: "NFT_NAME",
+  symbol: "NFT_SYMBOL",
+  maxSupply: "NFT_MAX_SUPPLY",
+  baseURI: "NFT_BASE_URI",
+};
+
+/**
+ * @dev Reads a JSON collection config file
+ * @param file Path to a JSON file with name, symbol, maxSupply and baseURI keys
+ */
+function readConfigFile(file) {
+  const resolved = path.resolve(file);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Config file not found: ${resolved}`);
+  }
+  return JSON.parse(fs.readFileSync(resolved, "utf8"));
+}
+
+/**
+ * @dev Resolves NftCollection constructor args
+ * Precedence: CLI options, then environment variables, then the JSON config file
+ * @param cli Parsed CLI options ({ name, symbol, maxSupply, baseURI, config })
+ * @param env Environment variables, defaults to process.env
+ * @return { name, symbol, maxSupply, baseURI } validated the same way the constructor does
+ */
+function resolveCollectionConfig(cli = {}, env = process.env) {
+  const configFile = cli.config || env.NFT_CONFIG;
+  const file = configFile ? readConfigFile(configFile) : {};
+
+  const resolved = {};
+  for (const [key, envKey] of Object.entries(ENV_KEYS)) {
+    const value = cli[key] ?? env[envKey] ?? file[key];
+    if (value === undefined || value === "") {
+      throw new Error(`Missing ${key}: pass --${toFlag(key)}, set ${envKey} or add it to the config file`);
+    }
+    resolved[key] = String(value);
+  }
+
+  if (!/^\d+$/.test(resolved.maxSupply) || BigInt(resolved.maxSupply) === 0n) {
+    throw new Error("Max supply must be greater than 0");
+  }
+  resolved.maxSupply = BigInt(resolved.maxSupply);
+
+  return resolved;
+}
+
+/**
+ * @dev Converts a camelCase key to its kebab-case CLI flag
+ */
+function toFlag(key) {
+  return key.replace(/URI$/, "Uri").replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`);
+}
+
+module.exports = {
+  ENV_KEYS,
+  readConfigFile,
+  resolveCollectionConfig,
+};
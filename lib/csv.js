@@ -0,0 +1,63 @@
+/**
+ * @dev Parses CSV content into records of { cells, line }
+ * Supports double-quoted cells with embedded commas, quotes ("") and newlines.
+ * Blank lines are skipped; `line` is the 1-based line the record starts on.
+ */
+function parseCsv(content) {
+  const records = [];
+  let cells = [];
+  let cell = "";
+  let quoted = false;
+  let line = 1;
+  let start = 1;
+
+  const endRecord = () => {
+    cells.push(cell);
+    if (cells.length > 1 || cells[0].trim() !== "") {
+      records.push({ cells: cells.map((c) => c.trim()), line: start });
+    }
+    cells = [];
+    cell = "";
+  };
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") {
+          line++;
+        }
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      cells.push(cell);
+      cell = "";
+    } else if (char === "\n") {
+      endRecord();
+      line++;
+      start = line;
+    } else if (char !== "\r") {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Unterminated quoted cell starting on line ${start}`);
+  }
+  endRecord();
+
+  return records;
+}
+
+module.exports = { parseCsv };
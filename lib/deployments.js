@@ -0,0 +1,185 @@
+const fs = require("fs");
+const path = require("path");
+
+const CONTRACT_NAME = "NftCollection";
+
+// External libraries the collection contracts are linked against, see contracts/libraries
+const LIBRARY_NAMES = ["CollectionMetadata", "CollectionSale", "CollectionSignatures"];
+
+/**
+ * @dev Returns the directory holding deployment records for a network
+ * @param hre The Hardhat runtime environment
+ * @param options.dir Optional override of the deployments root directory
+ */
+function deploymentsDir(hre, options = {}) {
+  const root = options.dir || path.join(hre.config.paths.root, "deployments");
+  return path.join(root, hre.network.name);
+}
+
+/**
+ * @dev Returns the path of the deployment record for a contract on the current network
+ */
+function recordPath(hre, contractName = CONTRACT_NAME, options = {}) {
+  return path.join(deploymentsDir(hre, options), `${contractName}.json`);
+}
+
+/**
+ * @dev Hashes a contract ABI so records can be matched against the compiled artifact
+ */
+function abiHash(hre, abi) {
+  return hre.ethers.id(JSON.stringify(abi));
+}
+
+/**
+ * @dev Reads the deployment record for a contract, or null if none was saved
+ */
+function readDeployment(hre, contractName = CONTRACT_NAME, options = {}) {
+  const file = recordPath(hre, contractName, options);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * @dev Reads the deployment record for a contract whose address still has code
+ * A record without code, e.g. from a restarted local node, is reported and treated as missing,
+ * so the caller deploys a new contract in its place.
+ * @return The record, or null
+ */
+async function readLiveDeployment(hre, contractName = CONTRACT_NAME, options = {}) {
+  const existing = readDeployment(hre, contractName, options);
+  if (!existing) {
+    return null;
+  }
+  if ((await hre.ethers.provider.getCode(existing.address)) === "0x") {
+    console.warn(
+      `Recorded ${contractName} at ${existing.address} has no code on ${hre.network.name}, deploying a new one`
+    );
+    return null;
+  }
+  return existing;
+}
+
+/**
+ * @dev Writes the deployment record for a contract and returns its path
+ */
+function writeDeployment(hre, record, options = {}) {
+  const file = recordPath(hre, record.contractName, options);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(record, null, 2) + "\n");
+  return file;
+}
+
+/**
+ * @dev Compares saved constructor args against requested ones
+ */
+function sameArgs(a, b) {
+  return (
+    a.name === b.name &&
+    a.symbol === b.symbol &&
+    String(a.maxSupply) === String(b.maxSupply) &&
+    a.baseURI === b.baseURI
+  );
+}
+
+/**
+ * @dev Deploys the external libraries the collection contracts are linked against
+ * @param signer The deploying account
+ * @return Object mapping library names to addresses
+ */
+async function deployLibraries(hre, signer) {
+  const libraries = {};
+  for (const name of LIBRARY_NAMES) {
+    const library = await (await hre.ethers.getContractFactory(name, signer)).deploy();
+    await library.waitForDeployment();
+    libraries[name] = await library.getAddress();
+  }
+  return libraries;
+}
+
+/**
+ * @dev Returns a contract factory for a collection contract, linked against its libraries
+ * @param options.contractName NftCollection (default) or NftCollectionUpgradeable
+ * @param options.signer The deploying account, defaults to the first configured account
+ * @param options.libraries Addresses of deployed libraries, deployed afresh when omitted
+ */
+async function collectionFactory(hre, options = {}) {
+  const signer = options.signer || (await hre.ethers.getSigners())[0];
+  const libraries = options.libraries || (await deployLibraries(hre, signer));
+  return hre.ethers.getContractFactory(options.contractName || CONTRACT_NAME, { signer, libraries });
+}
+
+/**
+ * @dev Deploys NftCollection, or reuses the deployment recorded for the current network
+ * @param hre The Hardhat runtime environment
+ * @param args Constructor args: { name, symbol, maxSupply, baseURI }
+ * @param options.redeploy Deploy a new contract even if a record exists
+ * @param options.dir Optional override of the deployments root directory
+ * @return { contract, record, reused }
+ */
+async function deployCollection(hre, args, options = {}) {
+  const { ethers } = hre;
+  const artifact = await hre.artifacts.readArtifact(CONTRACT_NAME);
+  const existing = options.redeploy ? null : await readLiveDeployment(hre, CONTRACT_NAME, options);
+
+  if (existing) {
+    if (!sameArgs(existing.args, args)) {
+      throw new Error(
+        `${CONTRACT_NAME} on ${hre.network.name} was deployed with different constructor args; ` +
+          "pass --redeploy to replace the recorded deployment"
+      );
+    }
+    if (existing.abiHash !== abiHash(hre, artifact.abi)) {
+      console.warn(`ABI of recorded ${CONTRACT_NAME} differs from the compiled artifact`);
+    }
+    const contract = await ethers.getContractAt(CONTRACT_NAME, existing.address);
+    return { contract, record: existing, reused: true };
+  }
+
+  const [deployer] = await ethers.getSigners();
+  const libraries = await deployLibraries(hre, deployer);
+  const factory = await collectionFactory(hre, { signer: deployer, libraries });
+  const contract = await factory.deploy(args.name, args.symbol, args.maxSupply, args.baseURI);
+  await contract.waitForDeployment();
+
+  const tx = contract.deploymentTransaction();
+  const receipt = await tx.wait();
+  const network = await ethers.provider.getNetwork();
+
+  const record = {
+    contractName: CONTRACT_NAME,
+    network: hre.network.name,
+    chainId: Number(network.chainId),
+    address: await contract.getAddress(),
+    transactionHash: tx.hash,
+    blockNumber: receipt.blockNumber,
+    deployer: deployer.address,
+    args: {
+      name: args.name,
+      symbol: args.symbol,
+      maxSupply: String(args.maxSupply),
+      baseURI: args.baseURI,
+    },
+    libraries,
+    abiHash: abiHash(hre, artifact.abi),
+    deployedAt: new Date().toISOString(),
+  };
+  writeDeployment(hre, record, options);
+
+  return { contract, record, reused: false };
+}
+
+module.exports = {
+  CONTRACT_NAME,
+  LIBRARY_NAMES,
+  abiHash,
+  collectionFactory,
+  deployCollection,
+  deployLibraries,
+  deploymentsDir,
+  readDeployment,
+  readLiveDeployment,
+  recordPath,
+  writeDeployment,
+};
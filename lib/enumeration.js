@@ -0,0 +1,50 @@
+// Page size used when none is given, small enough to stay well inside eth_call gas limits
+const DEFAULT_PAGE_SIZE = 100;
+
+/**
+ * @dev Yields pages of token IDs from tokensPage/tokensOfOwnerPage
+ * All pages are read at one block, so a burn mined mid-iteration cannot
+ * shift tokens between pages and cause duplicates or gaps.
+ * @param contract NftCollection instance
+ * @param options.owner List the tokens of this address instead of every token
+ * @param options.pageSize Maximum number of IDs per call
+ * @param options.blockTag Block to read at, defaults to the latest block when iteration starts
+ */
+async function* pageTokens(contract, options = {}) {
+  const pageSize = BigInt(options.pageSize ?? DEFAULT_PAGE_SIZE);
+  if (pageSize <= 0n) {
+    throw new Error("Page size must be greater than 0");
+  }
+
+  const provider = contract.runner.provider ?? contract.runner;
+  const overrides = { blockTag: options.blockTag ?? (await provider.getBlockNumber()) };
+
+  for (let offset = 0n; ; offset += pageSize) {
+    const page = options.owner
+      ? await contract.tokensOfOwnerPage(options.owner, offset, pageSize, overrides)
+      : await contract.tokensPage(offset, pageSize, overrides);
+    if (page.length > 0) {
+      yield [...page];
+    }
+    if (BigInt(page.length) < pageSize) {
+      return;
+    }
+  }
+}
+
+/**
+ * @dev Collects every page of pageTokens into one array of token IDs
+ */
+async function listTokens(contract, options = {}) {
+  const tokenIds = [];
+  for await (const page of pageTokens(contract, options)) {
+    tokenIds.push(...page);
+  }
+  return tokenIds;
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  listTokens,
+  pageTokens,
+};
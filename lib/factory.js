@@ -0,0 +1,134 @@
+const {
+  abiHash,
+  collectionFactory,
+  deployLibraries,
+  readDeployment,
+  writeDeployment,
+} = require("./deployments");
+const { UPGRADEABLE_NAME } = require("./upgrades");
+
+const FACTORY_NAME = "NftCollectionFactory";
+
+/**
+ * @dev Deploys the collection libraries, an NftCollectionUpgradeable implementation and a factory cloning it
+ * Nothing is recorded, see deployCollectionFactory for that.
+ * @param options.signer The deploying account, defaults to the first configured account
+ * @param options.libraries Addresses of deployed libraries, deployed afresh when omitted
+ * @return { factory, implementation, libraries }
+ */
+async function deployFactory(hre, options = {}) {
+  const signer = options.signer || (await hre.ethers.getSigners())[0];
+  const libraries = options.libraries || (await deployLibraries(hre, signer));
+
+  const implementation = await (
+    await collectionFactory(hre, { contractName: UPGRADEABLE_NAME, signer, libraries })
+  ).deploy();
+  await implementation.waitForDeployment();
+
+  const factory = await (await hre.ethers.getContractFactory(FACTORY_NAME, signer)).deploy(
+    await implementation.getAddress()
+  );
+  await factory.waitForDeployment();
+
+  return { factory, implementation, libraries };
+}
+
+/**
+ * @dev Deploys a factory and records it under deployments/<network>/NftCollectionFactory.json
+ * @param options.dir Optional override of the deployments root directory
+ * @return { factory, record }
+ */
+async function deployCollectionFactory(hre, options = {}) {
+  const { ethers } = hre;
+  const [deployer] = await ethers.getSigners();
+  const { factory, implementation, libraries } = await deployFactory(hre, { signer: deployer });
+
+  const tx = factory.deploymentTransaction();
+  const receipt = await tx.wait();
+  const network = await ethers.provider.getNetwork();
+  const artifact = await hre.artifacts.readArtifact(FACTORY_NAME);
+
+  const record = {
+    contractName: FACTORY_NAME,
+    network: hre.network.name,
+    chainId: Number(network.chainId),
+    address: await factory.getAddress(),
+    transactionHash: tx.hash,
+    blockNumber: receipt.blockNumber,
+    deployer: deployer.address,
+    implementation: await implementation.getAddress(),
+    implementationName: UPGRADEABLE_NAME,
+    libraries,
+    abiHash: abiHash(hre, artifact.abi),
+    deployedAt: new Date().toISOString(),
+  };
+  writeDeployment(hre, record, options);
+
+  return { factory, record };
+}
+
+/**
+ * @dev Returns an NftCollectionFactory instance from an explicit address or the saved deployment record
+ * @param address Optional factory address, overrides the deployment record
+ * @param signer Optional signer to connect the factory to
+ * @param options.dir Optional override of the deployments root directory
+ */
+async function getFactory(hre, address, signer, options = {}) {
+  let target = address;
+  if (!target) {
+    const record = readDeployment(hre, FACTORY_NAME, options);
+    if (!record) {
+      throw new Error(
+        `No ${FACTORY_NAME} deployment recorded for ${hre.network.name}; run scripts/deploy-factory.js or pass --factory`
+      );
+    }
+    target = record.address;
+  }
+
+  if (!hre.ethers.isAddress(target)) {
+    throw new Error(`Invalid factory address: ${target}`);
+  }
+  if ((await hre.ethers.provider.getCode(target)) === "0x") {
+    throw new Error(`No contract deployed at ${target} on ${hre.network.name}`);
+  }
+
+  return hre.ethers.getContractAt(FACTORY_NAME, target, signer);
+}
+
+/**
+ * @dev Creates a collection through a factory and returns it with its CollectionCreated event
+ * @param factory NftCollectionFactory instance
+ * @param args { name, symbol, maxSupply, baseURI }, plus an optional initialOwner that defaults to the creator
+ * @param options.signer The creating account, defaults to the factory's runner
+ * @return { contract, address, receipt, event } where contract is the clone as NftCollectionUpgradeable,
+ * with the creating transaction as its deploymentTransaction()
+ */
+async function createCollection(hre, factory, args, options = {}) {
+  const creator = options.signer ? factory.connect(options.signer) : factory;
+  const initialOwner = args.initialOwner || (await creator.runner.getAddress());
+
+  const tx = await creator.createCollection(args.name, args.symbol, args.maxSupply, args.baseURI, initialOwner);
+  const receipt = await tx.wait();
+  const log = receipt.logs
+    .filter((entry) => entry.address.toLowerCase() === factory.target.toLowerCase())
+    .map((entry) => factory.interface.parseLog(entry))
+    .find((parsed) => parsed && parsed.name === "CollectionCreated");
+
+  const event = {};
+  log.fragment.inputs.forEach((input, i) => {
+    event[input.name] = log.args[i];
+  });
+  // The creating transaction stands in for the clone's deployment, e.g. to find the block to index from
+  const { abi } = await hre.artifacts.readArtifact(UPGRADEABLE_NAME);
+  const contract = new hre.ethers.Contract(event.collection, abi, creator.runner, tx);
+
+  return { contract, address: event.collection, receipt, event };
+}
+
+module.exports = {
+  FACTORY_NAME,
+  createCollection,
+  deployCollectionFactory,
+  deployFactory,
+  getFactory,
+};
@@ -0,0 +1,154 @@
+const fs = require("fs");
+const path = require("path");
+
+const { collectionFactory } = require("./deployments");
+
+/**
+ * @dev Operations measured by runGasBenchmark, in execution order
+ * Each step runs against the state left by the previous ones on a fresh deployment.
+ */
+const SCENARIOS = [
+  {
+    name: "safeMint (new holder)",
+    run: ({ contract, users }) => contract.safeMint(users[0].address, 1),
+  },
+  {
+    name: "safeMint (existing holder)",
+    run: ({ contract, users }) => contract.safeMint(users[0].address, 2),
+  },
+  {
+    name: "batchMint (1 token)",
+    run: ({ contract, users }) => contract.batchMint(users[1].address, [21]),
+  },
+  {
+    name: "batchMint (10 tokens)",
+    run: ({ contract, users }) => contract.batchMint(users[1].address, range(11, 10)),
+  },
+  {
+    name: "batchMint (100 tokens)",
+    run: ({ contract, users }) => contract.batchMint(users[3].address, range(101, 100)),
+  },
+  {
+    name: "publicMint (5 tokens)",
+    setup: async ({ contract }) => {
+      await (await contract.setSaleState(2)).wait();
+    },
+    run: ({ contract, users }) => contract.connect(users[2]).publicMint(5),
+  },
+  {
+    name: "transferFrom",
+    run: ({ contract, users }) =>
+      contract.connect(users[0]).transferFrom(users[0].address, users[1].address, 1),
+  },
+  {
+    name: "transferFrom (batch-minted token)",
+    run: ({ contract, users }) =>
+      contract.connect(users[1]).transferFrom(users[1].address, users[0].address, 11),
+  },
+  {
+    name: "burn",
+    run: ({ contract, users }) => contract.connect(users[0]).burn(2),
+  },
+  {
+    name: "burn (batch-minted token)",
+    run: ({ contract, users }) => contract.connect(users[1]).burn(15),
+  },
+];
+
+/**
+ * @dev Returns count consecutive token IDs starting at first
+ */
+function range(first, count) {
+  return Array.from({ length: count }, (_, i) => first + i);
+}
+
+/**
+ * @dev Deploys a fresh collection and records the gas used by each scenario
+ * @param hre The Hardhat runtime environment, normally the in-process hardhat network
+ * @return Object mapping scenario names to gas used, as numbers
+ */
+async function runGasBenchmark(hre) {
+  const [, ...users] = await hre.ethers.getSigners();
+  const factory = await collectionFactory(hre);
+  const contract = await factory.deploy("Benchmark", "BENCH", 1000, "https://metadata.example.com/");
+  await contract.waitForDeployment();
+
+  const context = { contract, users };
+  const results = {};
+  for (const scenario of SCENARIOS) {
+    if (scenario.setup) {
+      await scenario.setup(context);
+    }
+    const receipt = await (await scenario.run(context)).wait();
+    results[scenario.name] = Number(receipt.gasUsed);
+  }
+  return results;
+}
+
+/**
+ * @dev Compares two benchmark results
+ * @return Rows of { name, before, after, delta, percent }; missing measurements are null
+ */
+function compareGas(before, after) {
+  const names = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  return names.map((name) => {
+    const old = before[name] ?? null;
+    const current = after[name] ?? null;
+    const delta = old === null || current === null ? null : current - old;
+    return {
+      name,
+      before: old,
+      after: current,
+      delta,
+      percent: delta === null ? null : (delta / old) * 100,
+    };
+  });
+}
+
+/**
+ * @dev Checks benchmark results against per-scenario gas budgets
+ * A scenario without a budget fails too, so new scenarios cannot go unguarded.
+ * @return Rows of { name, gas, budget } for every scenario over or without a budget
+ */
+function checkBudgets(results, budgets) {
+  return Object.entries(results)
+    .filter(([name, gas]) => budgets[name] === undefined || gas > budgets[name])
+    .map(([name, gas]) => ({ name, gas, budget: budgets[name] ?? null }));
+}
+
+/**
+ * @dev Formats compareGas rows as a fixed-width table
+ */
+function formatGasTable(rows) {
+  const width = Math.max(...rows.map((row) => row.name.length));
+  const cell = (value) => String(value ?? "-").padStart(10);
+  const lines = [`${"operation".padEnd(width)} ${cell("before")} ${cell("after")} ${cell("delta")}`];
+  for (const row of rows) {
+    const delta =
+      row.delta === null ? "-" : `${row.delta > 0 ? "+" : ""}${row.delta} (${row.percent.toFixed(1)}%)`;
+    lines.push(`${row.name.padEnd(width)} ${cell(row.before)} ${cell(row.after)} ${delta.padStart(10)}`);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * @dev Reads a benchmark file, returning an empty result when it does not exist
+ */
+function readGasReport(file) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+}
+
+function writeGasReport(file, results) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(results, null, 2) + "\n");
+}
+
+module.exports = {
+  SCENARIOS,
+  checkBudgets,
+  compareGas,
+  formatGasTable,
+  readGasReport,
+  runGasBenchmark,
+  writeGasReport,
+};
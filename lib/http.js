@@ -0,0 +1,15 @@
+/**
+ * @dev Writes a JSON response with the headers shared by the local HTTP services
+ * Responses are never cached since they mirror live chain state.
+ */
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Cache-Control": "no-store",
+    "Access-Control-Allow-Origin": "*",
+    ...headers,
+  });
+  res.end(JSON.stringify(body));
+}
+
+module.exports = { sendJson };
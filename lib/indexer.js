@@ -0,0 +1,400 @@
+const fs = require("fs");
+const path = require("path");
+const initSqlJs = require("sql.js");
+const { ethers } = require("ethers");
+
+// Events replayed from NftCollection; everything else emitted by the contract is ignored
+const INDEXED_EVENTS = ["Transfer", "TokenMinted", "TokenBurned", "Approval", "ApprovalForAll", "BaseURIUpdated"];
+// Block hashes kept for reorg detection; a deeper reorg triggers a full reindex
+const BLOCK_HISTORY = 256;
+const DEFAULT_BATCH_SIZE = 2000;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS events (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    tx_hash TEXT NOT NULL,
+    name TEXT NOT NULL,
+    token_id TEXT,
+    args TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS events_token ON events (token_id);
+  CREATE TABLE IF NOT EXISTS tokens (
+    token_id TEXT PRIMARY KEY,
+    owner TEXT NOT NULL,
+    approved TEXT
+  );
+  CREATE INDEX IF NOT EXISTS tokens_owner ON tokens (owner);
+  CREATE TABLE IF NOT EXISTS operators (
+    owner TEXT NOT NULL,
+    operator TEXT NOT NULL,
+    PRIMARY KEY (owner, operator)
+  );
+`;
+
+/**
+ * @dev Default database path for the current network
+ */
+function defaultIndexPath(hre) {
+  return path.join(hre.config.paths.root, "indexer", `${hre.network.name}.sqlite`);
+}
+
+function byTokenId(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * @dev Opens (or creates) the SQLite index file
+ * @param file Path of the database file; null keeps the index in memory only
+ * @return Store with read queries, used by both the indexer and query tools
+ */
+async function openIndexStore(file) {
+  const SQL = await initSqlJs();
+  const db = file && fs.existsSync(file) ? new SQL.Database(fs.readFileSync(file)) : new SQL.Database();
+  db.run(SCHEMA);
+
+  function all(sql, params = []) {
+    const stmt = db.prepare(sql);
+    stmt.bind(params);
+    const rows = [];
+    while (stmt.step()) {
+      rows.push(stmt.getAsObject());
+    }
+    stmt.free();
+    return rows;
+  }
+
+  function get(sql, params = []) {
+    return all(sql, params)[0];
+  }
+
+  function getMeta(key) {
+    return get("SELECT value FROM meta WHERE key = ?", [key])?.value;
+  }
+
+  function setMeta(key, value) {
+    db.run("INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)", [key, String(value)]);
+  }
+
+  return {
+    db,
+    all,
+    get,
+    getMeta,
+    setMeta,
+
+    /**
+     * @dev Writes the database to its file, replacing it atomically
+     */
+    save() {
+      if (!file) {
+        return;
+      }
+      fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, Buffer.from(db.export()));
+      fs.renameSync(tmp, file);
+    },
+
+    close() {
+      db.close();
+    },
+
+    /**
+     * @dev Last block fully indexed, or null before the first sync
+     */
+    lastBlock() {
+      const value = getMeta("last_block");
+      return value === undefined ? null : Number(value);
+    },
+
+    ownerOf(tokenId) {
+      return get("SELECT owner FROM tokens WHERE token_id = ?", [String(tokenId)])?.owner ?? null;
+    },
+
+    getApproved(tokenId) {
+      return get("SELECT approved FROM tokens WHERE token_id = ?", [String(tokenId)])?.approved ?? null;
+    },
+
+    isApprovedForAll(owner, operator) {
+      return !!get("SELECT 1 FROM operators WHERE owner = ? AND operator = ?", [
+        ethers.getAddress(owner),
+        ethers.getAddress(operator),
+      ]);
+    },
+
+    balanceOf(owner) {
+      return get("SELECT COUNT(*) AS count FROM tokens WHERE owner = ?", [ethers.getAddress(owner)]).count;
+    },
+
+    /**
+     * @dev Token IDs currently held by an address, ascending
+     */
+    tokensOf(owner) {
+      return all("SELECT token_id FROM tokens WHERE owner = ?", [ethers.getAddress(owner)])
+        .map((row) => BigInt(row.token_id))
+        .sort(byTokenId);
+    },
+
+    /**
+     * @dev Events that touched a token, oldest first
+     */
+    tokenHistory(tokenId) {
+      return all(
+        "SELECT * FROM events WHERE token_id = ? ORDER BY block_number, log_index",
+        [String(tokenId)]
+      ).map((row) => ({
+        name: row.name,
+        blockNumber: row.block_number,
+        logIndex: row.log_index,
+        transactionHash: row.tx_hash,
+        args: JSON.parse(row.args),
+      }));
+    },
+
+    /**
+     * @dev Number of distinct addresses holding at least one token
+     */
+    holderCount() {
+      return get("SELECT COUNT(DISTINCT owner) AS count FROM tokens").count;
+    },
+
+    /**
+     * @dev Total number of existing tokens
+     */
+    tokenCount() {
+      return get("SELECT COUNT(*) AS count FROM tokens").count;
+    },
+
+    baseURI() {
+      return getMeta("base_uri") ?? null;
+    },
+  };
+}
+
+/**
+ * @dev Applies one decoded event to the derived ownership tables
+ */
+function applyEvent(store, name, args) {
+  const { db } = store;
+  switch (name) {
+    case "Transfer":
+      if (args.to === ethers.ZeroAddress) {
+        db.run("DELETE FROM tokens WHERE token_id = ?", [args.tokenId]);
+      } else {
+        // A transfer clears the single-token approval without emitting Approval
+        db.run("INSERT OR REPLACE INTO tokens (token_id, owner, approved) VALUES (?, ?, NULL)", [
+          args.tokenId,
+          args.to,
+        ]);
+      }
+      break;
+    case "Approval":
+      db.run("UPDATE tokens SET approved = ? WHERE token_id = ?", [
+        args.approved === ethers.ZeroAddress ? null : args.approved,
+        args.tokenId,
+      ]);
+      break;
+    case "ApprovalForAll":
+      if (args.approved) {
+        db.run("INSERT OR IGNORE INTO operators (owner, operator) VALUES (?, ?)", [args.owner, args.operator]);
+      } else {
+        db.run("DELETE FROM operators WHERE owner = ? AND operator = ?", [args.owner, args.operator]);
+      }
+      break;
+    case "BaseURIUpdated":
+      store.setMeta("base_uri", args.newBaseURI);
+      break;
+    default:
+      // TokenMinted and TokenBurned only add to token history
+      break;
+  }
+}
+
+/**
+ * @dev Creates an indexer that replays NftCollection logs into a store
+ * @param contract NftCollection instance connected to a provider
+ * @param store Store returned by openIndexStore
+ * @param options.startBlock First block to index, usually the deployment block
+ * @param options.confirmations Blocks to stay behind the chain head
+ * @param options.batchSize Maximum blocks per eth_getLogs call
+ * @param options.log Progress logger, defaults to a no-op
+ */
+function createIndexer(contract, store, options = {}) {
+  const provider = contract.runner.provider ?? contract.runner;
+  const startBlock = options.startBlock ?? 0;
+  const confirmations = options.confirmations ?? 0;
+  const batchSize = options.batchSize ?? DEFAULT_BATCH_SIZE;
+  const log = options.log ?? (() => {});
+  let address;
+  let stopped = false;
+
+  async function checkMeta() {
+    address = await contract.getAddress();
+    const { chainId } = await provider.getNetwork();
+    const saved = { contract: store.getMeta("contract"), chain_id: store.getMeta("chain_id") };
+
+    if (saved.contract === undefined) {
+      store.setMeta("contract", address);
+      store.setMeta("chain_id", chainId);
+      store.setMeta("start_block", startBlock);
+    } else if (saved.contract !== address || saved.chain_id !== String(chainId)) {
+      throw new Error(`Index belongs to ${saved.contract} on chain ${saved.chain_id}; use a different database`);
+    }
+  }
+
+  /**
+   * @dev Rebuilds tokens, operators and base URI from the events table
+   */
+  function rebuild() {
+    const { db } = store;
+    db.run("DELETE FROM tokens");
+    db.run("DELETE FROM operators");
+    db.run("DELETE FROM meta WHERE key = 'base_uri'");
+    for (const row of store.all("SELECT name, args FROM events ORDER BY block_number, log_index")) {
+      applyEvent(store, row.name, JSON.parse(row.args));
+    }
+  }
+
+  /**
+   * @dev Drops everything after forkBlock and rebuilds derived state
+   */
+  function rollback(forkBlock) {
+    const { db } = store;
+    db.run("BEGIN");
+    db.run("DELETE FROM events WHERE block_number > ?", [forkBlock]);
+    db.run("DELETE FROM blocks WHERE number > ?", [forkBlock]);
+    store.setMeta("last_block", forkBlock);
+    rebuild();
+    db.run("COMMIT");
+  }
+
+  /**
+   * @dev Finds the newest recorded block still on the canonical chain and rolls back to it
+   * @return Number of blocks rolled back
+   */
+  async function handleReorg() {
+    const last = store.lastBlock();
+    if (last === null) {
+      return 0;
+    }
+
+    const recorded = store.all("SELECT number, hash FROM blocks ORDER BY number DESC");
+    let forkBlock = startBlock - 1;
+    for (const { number, hash } of recorded) {
+      const block = await provider.getBlock(number);
+      if (block && block.hash === hash) {
+        forkBlock = number;
+        break;
+      }
+    }
+
+    if (forkBlock >= last) {
+      return 0;
+    }
+    log(`Reorg detected: rolling back from block ${last} to ${forkBlock}`);
+    rollback(forkBlock);
+    return last - forkBlock;
+  }
+
+  async function processRange(fromBlock, toBlock) {
+    const tip = await provider.getBlock(toBlock);
+    const logs = await provider.getLogs({ address, fromBlock, toBlock });
+    const { db } = store;
+    let count = 0;
+
+    db.run("BEGIN");
+    try {
+      for (const entry of logs) {
+        const parsed = contract.interface.parseLog(entry);
+        if (!parsed || !INDEXED_EVENTS.includes(parsed.name)) {
+          continue;
+        }
+
+        const args = {};
+        parsed.fragment.inputs.forEach((input, i) => {
+          const value = parsed.args[i];
+          args[input.name] = typeof value === "bigint" ? value.toString() : value;
+        });
+
+        db.run(
+          "INSERT OR REPLACE INTO events (block_number, log_index, block_hash, tx_hash, name, token_id, args) VALUES (?, ?, ?, ?, ?, ?, ?)",
+          [entry.blockNumber, entry.index, entry.blockHash, entry.transactionHash, parsed.name, args.tokenId ?? null, JSON.stringify(args)]
+        );
+        db.run("INSERT OR REPLACE INTO blocks (number, hash) VALUES (?, ?)", [entry.blockNumber, entry.blockHash]);
+        applyEvent(store, parsed.name, args);
+        count++;
+      }
+
+      db.run("INSERT OR REPLACE INTO blocks (number, hash) VALUES (?, ?)", [tip.number, tip.hash]);
+      db.run("DELETE FROM blocks WHERE number < ?", [toBlock - BLOCK_HISTORY]);
+      store.setMeta("last_block", toBlock);
+      db.run("COMMIT");
+    } catch (error) {
+      db.run("ROLLBACK");
+      throw error;
+    }
+
+    return count;
+  }
+
+  /**
+   * @dev Indexes every confirmed block not yet processed, then saves the store
+   * @return { fromBlock, toBlock, events, reorged } for the pass
+   */
+  async function sync() {
+    if (address === undefined) {
+      await checkMeta();
+    }
+    const reorged = await handleReorg();
+
+    const head = (await provider.getBlockNumber()) - confirmations;
+    const last = store.lastBlock();
+    const fromBlock = last === null ? startBlock : last + 1;
+    let events = 0;
+
+    for (let from = fromBlock; from <= head; from += batchSize) {
+      const to = Math.min(from + batchSize - 1, head);
+      events += await processRange(from, to);
+      log(`Indexed blocks ${from}-${to}`);
+    }
+
+    store.save();
+    return { fromBlock, toBlock: Math.max(head, fromBlock - 1), events, reorged };
+  }
+
+  /**
+   * @dev Syncs repeatedly until stop() is called
+   * @param pollInterval Milliseconds between passes
+   */
+  async function follow(pollInterval = 2000) {
+    stopped = false;
+    while (!stopped) {
+      await sync();
+      await new Promise((resolve) => setTimeout(resolve, pollInterval));
+    }
+  }
+
+  function stop() {
+    stopped = true;
+  }
+
+  return { sync, follow, stop };
+}
+
+module.exports = {
+  INDEXED_EVENTS,
+  createIndexer,
+  defaultIndexPath,
+  openIndexStore,
+};
@@ -0,0 +1,311 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const { parseCsv } = require("./csv");
+
+// Spreadsheet columns copied to top-level metadata fields; every other column is a trait
+const RESERVED_COLUMNS = ["tokenId", "name", "description", "image", "external_url", "animation_url", "background_color"];
+const DISPLAY_TYPES = ["number", "boost_number", "boost_percentage", "date"];
+const URI_PATTERN = /^(ipfs|ar|https?):\/\/\S+$|^data:[^,]*,/;
+// data:[<media type>][;base64],<data>
+const DATA_URI_PATTERN = /^data:([^;,]*)((?:;[^;,]+)*),(.*)$/s;
+// tokenURI is baseURI + tokenId, so metadata files are named by bare token ID
+const FILE_NAME_PATTERN = /^[1-9]\d*$/;
+
+/**
+ * @dev Reads a traits spreadsheet into rows keyed by column header
+ * The first row is the header and must contain a tokenId column.
+ */
+function readTraits(file) {
+  const [header, ...records] = parseCsv(fs.readFileSync(file, "utf8"));
+  if (!header || !header.cells.includes("tokenId")) {
+    throw new Error(`${file}: header row must contain a tokenId column`);
+  }
+  return records.map(({ cells, line }) => {
+    const row = { line };
+    header.cells.forEach((column, i) => {
+      row[column] = cells[i] ?? "";
+    });
+    return row;
+  });
+}
+
+function byTokenId(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * @dev Expands {id} in a template
+ */
+function fill(template, tokenId) {
+  return template.replace(/\{id\}/g, String(tokenId));
+}
+
+/**
+ * @dev Builds the ERC-721 metadata document of one spreadsheet row
+ * @param row Spreadsheet row keyed by column header
+ * @param options.name Name template used when the row has no name, e.g. "MyNFT #{id}"
+ * @param options.description Description used when the row has no description
+ * @param options.image Image URI template used when the row has no image, e.g. "ipfs://<cid>/{id}.png"
+ */
+function buildMetadata(row, options = {}) {
+  const tokenId = row.tokenId;
+  const doc = {
+    name: row.name || fill(options.name || "#{id}", tokenId),
+    description: row.description || options.description || "",
+    image: row.image || (options.image ? fill(options.image, tokenId) : ""),
+  };
+
+  for (const key of ["external_url", "animation_url", "background_color"]) {
+    if (row[key]) {
+      doc[key] = row[key];
+    }
+  }
+
+  doc.attributes = Object.keys(row)
+    .filter((column) => column !== "line" && !RESERVED_COLUMNS.includes(column) && row[column] !== "")
+    .map((column) => ({
+      trait_type: column,
+      value: /^-?\d+(\.\d+)?$/.test(row[column]) ? Number(row[column]) : row[column],
+    }));
+
+  return doc;
+}
+
+/**
+ * @dev Checks a metadata document against the OpenSea metadata standard
+ * @return Array of error messages, empty when the document is valid
+ */
+function validateMetadata(doc) {
+  if (doc === null || typeof doc !== "object" || Array.isArray(doc)) {
+    return ["metadata must be a JSON object"];
+  }
+
+  const errors = [];
+  for (const key of ["name", "description", "image"]) {
+    if (typeof doc[key] !== "string" || doc[key].trim() === "") {
+      errors.push(`${key} must be a non-empty string`);
+    }
+  }
+  for (const key of ["image", "external_url", "animation_url"]) {
+    if (typeof doc[key] === "string" && doc[key] !== "" && !URI_PATTERN.test(doc[key])) {
+      errors.push(`${key} must be an ipfs://, ar://, http(s):// or data: URI`);
+    }
+  }
+  if (doc.background_color !== undefined && !/^[0-9a-fA-F]{6}$/.test(doc.background_color)) {
+    errors.push("background_color must be six hex digits without a leading #");
+  }
+
+  if (doc.attributes !== undefined) {
+    if (!Array.isArray(doc.attributes)) {
+      errors.push("attributes must be an array");
+    } else {
+      doc.attributes.forEach((attribute, i) => {
+        errors.push(...validateAttribute(attribute).map((error) => `attributes[${i}]: ${error}`));
+      });
+    }
+  }
+
+  return errors;
+}
+
+function validateAttribute(attribute) {
+  if (attribute === null || typeof attribute !== "object" || Array.isArray(attribute)) {
+    return ["must be an object"];
+  }
+
+  const errors = [];
+  if (attribute.trait_type !== undefined && typeof attribute.trait_type !== "string") {
+    errors.push("trait_type must be a string");
+  }
+  if (!["string", "number", "boolean"].includes(typeof attribute.value)) {
+    errors.push("value must be a string, number or boolean");
+  }
+  if (attribute.display_type !== undefined) {
+    if (!DISPLAY_TYPES.includes(attribute.display_type)) {
+      errors.push(`display_type must be one of ${DISPLAY_TYPES.join(", ")}`);
+    } else if (typeof attribute.value !== "number") {
+      errors.push(`value must be a number for display_type ${attribute.display_type}`);
+    }
+  }
+  if (attribute.max_value !== undefined && typeof attribute.max_value !== "number") {
+    errors.push("max_value must be a number");
+  }
+  return errors;
+}
+
+/**
+ * @dev Decodes a data: URI, such as an on-chain tokenURI or the image inside it
+ * @return { mediaType, content } with the content as a UTF-8 string
+ */
+function decodeDataURI(uri) {
+  const match = DATA_URI_PATTERN.exec(uri);
+  if (!match) {
+    throw new Error("Not a data: URI");
+  }
+  const [, mediaType, parameters, data] = match;
+  const base64 = parameters.split(";").includes("base64");
+  return {
+    mediaType: mediaType || "text/plain",
+    content: base64 ? Buffer.from(data, "base64").toString("utf8") : decodeURIComponent(data),
+  };
+}
+
+/**
+ * @dev Generates one metadata file per spreadsheet row into outDir
+ * Files are named by token ID without an extension so baseURI + tokenId resolves to them.
+ * @return Array of token IDs written, as BigInt
+ */
+function generateMetadata(traitsFile, outDir, options = {}) {
+  const rows = readTraits(traitsFile);
+  const errors = [];
+  const seen = new Set();
+
+  const docs = rows.map((row) => {
+    const where = `line ${row.line}`;
+    if (!FILE_NAME_PATTERN.test(row.tokenId)) {
+      errors.push(`${where}: tokenId must be a positive integer`);
+    } else if (seen.has(row.tokenId)) {
+      errors.push(`${where}: duplicate tokenId ${row.tokenId}`);
+    }
+    seen.add(row.tokenId);
+
+    const doc = buildMetadata(row, options);
+    errors.push(...validateMetadata(doc).map((error) => `${where}: ${error}`));
+    return { tokenId: row.tokenId, doc };
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Metadata generation failed:\n  ${errors.join("\n  ")}`);
+  }
+
+  fs.mkdirSync(outDir, { recursive: true });
+  for (const { tokenId, doc } of docs) {
+    fs.writeFileSync(path.join(outDir, tokenId), JSON.stringify(doc, null, 2) + "\n");
+  }
+  return docs.map(({ tokenId }) => BigInt(tokenId));
+}
+
+/**
+ * @dev Validates every file in a metadata directory
+ * @return { tokenIds, errors } where tokenIds are the IDs with a metadata file
+ */
+function validateMetadataDir(dir) {
+  const errors = [];
+  const tokenIds = [];
+
+  for (const file of fs.readdirSync(dir).sort()) {
+    const fullPath = path.join(dir, file);
+    if (!fs.statSync(fullPath).isFile() || file.startsWith(".")) {
+      continue;
+    }
+    if (!FILE_NAME_PATTERN.test(file)) {
+      errors.push(`${file}: file name must be a bare token ID to match baseURI + tokenId`);
+      continue;
+    }
+    tokenIds.push(BigInt(file));
+
+    let doc;
+    try {
+      doc = JSON.parse(fs.readFileSync(fullPath, "utf8"));
+    } catch (error) {
+      errors.push(`${file}: invalid JSON (${error.message})`);
+      continue;
+    }
+    errors.push(...validateMetadata(doc).map((error) => `${file}: ${error}`));
+  }
+
+  tokenIds.sort(byTokenId);
+  return { tokenIds, errors };
+}
+
+/**
+ * @dev Compares a metadata directory with on-chain mints
+ * Minted tokens are replayed from Transfer events starting at fromBlock.
+ * @return { missing, unminted } token IDs: minted tokens without a file, and files for IDs never minted
+ */
+async function crossCheckMetadata(contract, dir, options = {}) {
+  const { tokenIds } = validateMetadataDir(dir);
+  const files = new Set(tokenIds);
+
+  const mints = await contract.queryFilter(
+    contract.filters.Transfer(ethers.ZeroAddress),
+    options.fromBlock ?? 0
+  );
+  const everMinted = new Set(mints.map((log) => log.args.tokenId));
+
+  const missing = [];
+  for (const tokenId of everMinted) {
+    if (!files.has(tokenId) && (await contract.tokenExists(tokenId))) {
+      missing.push(tokenId);
+    }
+  }
+
+  const unminted = tokenIds.filter((tokenId) => !everMinted.has(tokenId));
+
+  return { missing: missing.sort(byTokenId), unminted };
+}
+
+/**
+ * @dev Computes the provenance hash of a metadata directory
+ * Files must be named 1..N. Each file's bytes are hashed with keccak256 and the provenance
+ * hash is keccak256 of those hashes concatenated in token ID order, so it fits a bytes32.
+ * @return { provenanceHash, hashes } where hashes[i] belongs to file i + 1
+ */
+function computeProvenance(dir) {
+  const ids = fs
+    .readdirSync(dir)
+    .filter((file) => FILE_NAME_PATTERN.test(file))
+    .map(Number)
+    .sort((a, b) => a - b);
+
+  if (ids.length === 0) {
+    throw new Error(`${dir}: no metadata files found`);
+  }
+  const gap = ids.findIndex((id, i) => id !== i + 1);
+  if (gap !== -1) {
+    throw new Error(`${dir}: metadata files must be numbered 1..${ids.length} without gaps, missing ${gap + 1}`);
+  }
+
+  const hashes = ids.map((id) => ethers.keccak256(fs.readFileSync(path.join(dir, String(id)))));
+  return { provenanceHash: ethers.keccak256(ethers.concat(hashes)), hashes };
+}
+
+/**
+ * @dev Returns the metadata file a token resolves to after a reveal with a starting-index offset
+ * Mirrors NftCollection.tokenURI: IDs above maxSupply are not shifted.
+ */
+function metadataIdFor(tokenId, startingIndex, maxSupply) {
+  const id = BigInt(tokenId);
+  const max = BigInt(maxSupply);
+  if (BigInt(startingIndex) === 0n || id > max) {
+    return id;
+  }
+  return ((id - 1n + BigInt(startingIndex)) % max) + 1n;
+}
+
+/**
+ * @dev Inverse of metadataIdFor: the token whose URI points at a metadata file
+ */
+function tokenIdForMetadata(metadataId, startingIndex, maxSupply) {
+  const id = BigInt(metadataId);
+  const max = BigInt(maxSupply);
+  if (BigInt(startingIndex) === 0n || id > max) {
+    return id;
+  }
+  return ((id - 1n - BigInt(startingIndex) + max) % max) + 1n;
+}
+
+module.exports = {
+  buildMetadata,
+  computeProvenance,
+  crossCheckMetadata,
+  decodeDataURI,
+  generateMetadata,
+  metadataIdFor,
+  readTraits,
+  tokenIdForMetadata,
+  validateMetadata,
+  validateMetadataDir,
+};
@@ -0,0 +1,88 @@
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const { sendJson } = require("./http");
+const { tokenIdForMetadata } = require("./metadata");
+
+const TOKEN_PATH = /^\/([1-9]\d*)$/;
+
+/**
+ * @dev Placeholder metadata for tokens without a file in the metadata directory
+ */
+function placeholderMetadata(collectionName, tokenId, tokenURI) {
+  const svg =
+    '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100">' +
+    '<rect width="100" height="100" fill="#222"/>' +
+    `<text x="50" y="55" fill="#fff" font-size="16" text-anchor="middle">#${tokenId}</text>` +
+    "</svg>";
+
+  return {
+    name: `${collectionName} #${tokenId}`,
+    description: `Local development metadata for token ${tokenId}`,
+    image: `data:image/svg+xml;base64,${Buffer.from(svg).toString("base64")}`,
+    external_url: tokenURI,
+    attributes: [],
+  };
+}
+
+/**
+ * @dev Creates an HTTP server that serves `/<tokenId>` metadata for a deployed NftCollection
+ * Every request reads token state from the chain, so a token answers 404 exactly when
+ * `tokenExists` is false - unminted and burned tokens behave as they do in `tokenURI`.
+ * After a reveal with a starting-index offset, paths are metadata file IDs and are mapped
+ * back to the token that points at them.
+ * @param contract NftCollection instance
+ * @param options.dir Optional metadata directory; files are named by token ID
+ * @return http.Server, not yet listening
+ */
+function createMetadataServer(contract, options = {}) {
+  let collectionName;
+
+  async function handle(req, res) {
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      return sendJson(res, 405, { error: "Method not allowed" }, { Allow: "GET, HEAD" });
+    }
+
+    const { pathname } = new URL(req.url, "http://localhost");
+    if (pathname === "/health") {
+      return sendJson(res, 200, { status: "ok", contract: contract.target });
+    }
+
+    const match = TOKEN_PATH.exec(pathname);
+    if (!match) {
+      return sendJson(res, 404, { error: "Not found" });
+    }
+
+    // No token exists beyond uint256, and such an ID cannot be encoded into a call
+    const metadataId = BigInt(match[1]);
+    if (metadataId > ethers.MaxUint256) {
+      return sendJson(res, 404, { error: "Token does not exist" });
+    }
+    const [startingIndex, maxSupply] = await Promise.all([contract.startingIndex(), contract.maxSupply()]);
+    const tokenId = tokenIdForMetadata(metadataId, startingIndex, maxSupply);
+    if (!(await contract.tokenExists(tokenId))) {
+      return sendJson(res, 404, { error: "Token does not exist" });
+    }
+
+    const tokenURI = await contract.tokenURI(tokenId);
+    const headers = { "X-Token-URI": tokenURI };
+
+    const file = options.dir && path.join(options.dir, metadataId.toString());
+    if (file && fs.existsSync(file)) {
+      return sendJson(res, 200, JSON.parse(fs.readFileSync(file, "utf8")), headers);
+    }
+
+    collectionName ??= await contract.name();
+    return sendJson(res, 200, placeholderMetadata(collectionName, tokenId, tokenURI), headers);
+  }
+
+  return http.createServer((req, res) => {
+    handle(req, res).catch((error) => {
+      sendJson(res, 500, { error: error.shortMessage || error.message });
+    });
+  });
+}
+
+module.exports = { createMetadataServer };
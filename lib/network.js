@@ -0,0 +1,14 @@
+/**
+ * @dev Points Hardhat at the network given by a script's --network option
+ * Must run before Hardhat is loaded: it reads HARDHAT_NETWORK once, when first required.
+ * Without a network, HARDHAT_NETWORK (or the default network) is left as is.
+ * @param network Value of --network, if any
+ * @param env Environment variables, defaults to process.env
+ */
+function useNetwork(network, env = process.env) {
+  if (network) {
+    env.HARDHAT_NETWORK = network;
+  }
+}
+
+module.exports = { useNetwork };
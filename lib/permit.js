@@ -0,0 +1,57 @@
+// EIP-712 type of the ERC-4494 permit checked by NftCollection.permit
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "spender", type: "address" },
+    { name: "tokenId", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+// Lifetime of a permit when no deadline is given
+const DEFAULT_PERMIT_TTL = 3600;
+
+/**
+ * @dev Builds the EIP-712 typed data of a permit from on-chain state
+ * @param contract NftCollection instance
+ * @param options.spender Address to approve
+ * @param options.tokenId Token to approve
+ * @param options.deadline Unix timestamp, defaults to DEFAULT_PERMIT_TTL seconds after the latest block
+ * @param options.nonce Defaults to the token's current nonce
+ * @return { domain, types, message } ready for signer.signTypedData
+ */
+async function buildPermit(contract, options) {
+  const provider = contract.runner.provider ?? contract.runner;
+  const tokenId = BigInt(options.tokenId);
+
+  const [, name, version, chainId, verifyingContract] = await contract.eip712Domain();
+  const nonce = options.nonce ?? (await contract.nonces(tokenId));
+  const deadline =
+    options.deadline ?? BigInt((await provider.getBlock("latest")).timestamp + DEFAULT_PERMIT_TTL);
+
+  return {
+    domain: { name, version, chainId, verifyingContract },
+    types: PERMIT_TYPES,
+    message: { spender: options.spender, tokenId, nonce: BigInt(nonce), deadline: BigInt(deadline) },
+  };
+}
+
+/**
+ * @dev Builds and signs a permit
+ * @param contract NftCollection instance
+ * @param signer Token owner or one of its operators
+ * @param options See buildPermit
+ * @return { spender, tokenId, deadline, signature } matching the arguments of permit()
+ */
+async function signPermit(contract, signer, options) {
+  const { domain, types, message } = await buildPermit(contract, options);
+  const signature = await signer.signTypedData(domain, types, message);
+  return { spender: message.spender, tokenId: message.tokenId, deadline: message.deadline, signature };
+}
+
+module.exports = {
+  DEFAULT_PERMIT_TTL,
+  PERMIT_TYPES,
+  buildPermit,
+  signPermit,
+};
@@ -0,0 +1,177 @@
+const {
+  CONTRACT_NAME,
+  LIBRARY_NAMES,
+  abiHash,
+  collectionFactory,
+  deployLibraries,
+  readDeployment,
+  writeDeployment,
+} = require("./deployments");
+
+// Implementation deployed behind the proxy by default
+const UPGRADEABLE_NAME = "NftCollectionUpgradeable";
+
+// Options shared by every proxy deployment and upgrade
+// The libraries are stateless and called with DELEGATECALL only from the implementation's own
+// functions, so linking them does not open a path to selfdestruct or delegatecall the proxy.
+const PROXY_OPTIONS = {
+  kind: "transparent",
+  unsafeAllowLinkedLibraries: true,
+};
+
+/**
+ * @dev Reads the current implementation and admin of a transparent proxy
+ */
+async function proxyInfo(hre, proxyAddress) {
+  return {
+    kind: PROXY_OPTIONS.kind,
+    implementation: await hre.upgrades.erc1967.getImplementationAddress(proxyAddress),
+    admin: await hre.upgrades.erc1967.getAdminAddress(proxyAddress),
+  };
+}
+
+/**
+ * @dev Returns a factory for an implementation, linked to placeholder library addresses
+ * Validation only looks at the compiled code and storage layout, so it needs no deployed libraries.
+ */
+async function validationFactory(hre, contractName, signer) {
+  const placeholders = Object.fromEntries(LIBRARY_NAMES.map((name) => [name, hre.ethers.ZeroAddress]));
+  return collectionFactory(hre, { contractName, signer, libraries: placeholders });
+}
+
+/**
+ * @dev Deploys an upgradeable collection behind a transparent proxy and calls initialize
+ * Nothing is recorded, see deployCollectionProxy for that.
+ * @param args Initializer args: { name, symbol, maxSupply, baseURI }, plus an optional initialOwner
+ * that defaults to the deploying account
+ * @param options.contractName Implementation contract, defaults to NftCollectionUpgradeable
+ * @param options.signer The deploying account
+ * @param options.libraries Addresses of deployed libraries, deployed afresh when omitted
+ */
+async function deployProxy(hre, args, options = {}) {
+  const factory = await collectionFactory(hre, {
+    contractName: options.contractName || UPGRADEABLE_NAME,
+    signer: options.signer,
+    libraries: options.libraries,
+  });
+  const initialOwner = args.initialOwner || (await factory.runner.getAddress());
+  const contract = await hre.upgrades.deployProxy(
+    factory,
+    [args.name, args.symbol, args.maxSupply, args.baseURI, initialOwner],
+    { ...PROXY_OPTIONS, initializer: "initialize" }
+  );
+  await contract.waitForDeployment();
+  return contract;
+}
+
+/**
+ * @dev Deploys the collection behind a proxy and records it under deployments/<network>/
+ * The record keeps the NftCollection name, so tasks and scripts find the proxy like a plain deployment.
+ * The implementation is validated before anything is deployed, libraries included.
+ * @param args Initializer args: { name, symbol, maxSupply, baseURI }
+ * @param options.contractName Implementation contract, defaults to NftCollectionUpgradeable
+ * @param options.dir Optional override of the deployments root directory
+ * @return { contract, record }
+ */
+async function deployCollectionProxy(hre, args, options = {}) {
+  const { ethers } = hre;
+  const implementationName = options.contractName || UPGRADEABLE_NAME;
+  const [deployer] = await ethers.getSigners();
+  await hre.upgrades.validateImplementation(
+    await validationFactory(hre, implementationName, deployer),
+    PROXY_OPTIONS
+  );
+  const libraries = await deployLibraries(hre, deployer);
+
+  const contract = await deployProxy(hre, args, { contractName: implementationName, signer: deployer, libraries });
+  const address = await contract.getAddress();
+  const tx = contract.deploymentTransaction();
+  const receipt = await tx.wait();
+  const network = await ethers.provider.getNetwork();
+  const artifact = await hre.artifacts.readArtifact(implementationName);
+
+  const record = {
+    contractName: CONTRACT_NAME,
+    implementationName,
+    network: hre.network.name,
+    chainId: Number(network.chainId),
+    address,
+    transactionHash: tx.hash,
+    blockNumber: receipt.blockNumber,
+    deployer: deployer.address,
+    args: {
+      name: args.name,
+      symbol: args.symbol,
+      maxSupply: String(args.maxSupply),
+      baseURI: args.baseURI,
+    },
+    proxy: await proxyInfo(hre, address),
+    libraries,
+    abiHash: abiHash(hre, artifact.abi),
+    deployedAt: new Date().toISOString(),
+  };
+  writeDeployment(hre, record, options);
+
+  return { contract, record };
+}
+
+/**
+ * @dev Checks a new implementation against the recorded proxy and, unless validating only, upgrades to it
+ * The storage layout is compared with the one the plugin saved for the current implementation
+ * (.openzeppelin/<network>.json); an incompatible layout throws before anything is deployed.
+ * @param options.contractName New implementation contract, defaults to NftCollectionUpgradeable
+ * @param options.validateOnly Stop after the storage layout check
+ * @param options.dir Optional override of the deployments root directory
+ * @return { contract, record, upgraded }
+ */
+async function upgradeCollection(hre, options = {}) {
+  const record = readDeployment(hre, CONTRACT_NAME, options);
+  if (!record) {
+    throw new Error(`No ${CONTRACT_NAME} deployment recorded for ${hre.network.name}; deploy the proxy first`);
+  }
+  if (!record.proxy) {
+    throw new Error(
+      `${CONTRACT_NAME} on ${hre.network.name} was not deployed behind a proxy and cannot be upgraded`
+    );
+  }
+
+  const implementationName = options.contractName || UPGRADEABLE_NAME;
+  const [deployer] = await hre.ethers.getSigners();
+
+  await hre.upgrades.validateUpgrade(
+    record.address,
+    await validationFactory(hre, implementationName, deployer),
+    PROXY_OPTIONS
+  );
+  if (options.validateOnly) {
+    return { contract: null, record, upgraded: false };
+  }
+
+  // Library code may have changed along with the implementation, so link freshly deployed copies
+  const libraries = await deployLibraries(hre, deployer);
+  const factory = await collectionFactory(hre, { contractName: implementationName, signer: deployer, libraries });
+  const contract = await hre.upgrades.upgradeProxy(record.address, factory, PROXY_OPTIONS);
+  await contract.waitForDeployment();
+  const artifact = await hre.artifacts.readArtifact(implementationName);
+
+  const updated = {
+    ...record,
+    implementationName,
+    proxy: await proxyInfo(hre, record.address),
+    libraries,
+    abiHash: abiHash(hre, artifact.abi),
+    upgradedAt: new Date().toISOString(),
+  };
+  writeDeployment(hre, updated, options);
+
+  return { contract, record: updated, upgraded: true };
+}
+
+module.exports = {
+  PROXY_OPTIONS,
+  UPGRADEABLE_NAME,
+  deployCollectionProxy,
+  deployProxy,
+  proxyInfo,
+  upgradeCollection,
+};
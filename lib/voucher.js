@@ -0,0 +1,96 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+// EIP-712 type of the lazy-mint voucher checked by NftCollection.redeemVoucher
+const VOUCHER_TYPES = {
+  MintVoucher: [
+    { name: "tokenId", type: "uint256" },
+    { name: "price", type: "uint256" },
+  ],
+};
+
+/**
+ * @dev Builds the EIP-712 typed data of a voucher under the contract's domain
+ * @param contract NftCollection instance
+ * @param voucher.tokenId Token the voucher mints
+ * @param voucher.price Price in wei the redeemer pays
+ * @return { domain, types, message } ready for signer.signTypedData
+ */
+async function buildVoucher(contract, voucher) {
+  const [, name, version, chainId, verifyingContract] = await contract.eip712Domain();
+  return {
+    domain: { name, version, chainId, verifyingContract },
+    types: VOUCHER_TYPES,
+    message: { tokenId: BigInt(voucher.tokenId), price: BigInt(voucher.price) },
+  };
+}
+
+/**
+ * @dev Builds and signs a voucher
+ * @param contract NftCollection instance
+ * @param signer Account holding VOUCHER_SIGNER_ROLE
+ * @param voucher See buildVoucher
+ * @return { tokenId, price, signature } matching the arguments of redeemVoucher()
+ */
+async function signVoucher(contract, signer, voucher) {
+  const { domain, types, message } = await buildVoucher(contract, voucher);
+  const signature = await signer.signTypedData(domain, types, message);
+  return { ...message, signature };
+}
+
+/**
+ * @dev Writes signed vouchers to a JSON file, amounts as decimal strings
+ * @param file Output path
+ * @param collection { address, chainId } of the contract the vouchers were signed for
+ * @param vouchers Array returned by signVoucher
+ */
+function writeVouchers(file, collection, vouchers) {
+  const data = {
+    address: collection.address,
+    chainId: collection.chainId.toString(),
+    vouchers: vouchers.map(({ tokenId, price, signature }) => ({
+      tokenId: tokenId.toString(),
+      price: price.toString(),
+      signature,
+    })),
+  };
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2) + "\n");
+}
+
+/**
+ * @dev Reads a file written by writeVouchers
+ * @return { address, chainId, vouchers } with amounts as BigInt
+ */
+function loadVouchers(file) {
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!ethers.isAddress(data.address ?? "") || !Array.isArray(data.vouchers)) {
+    throw new Error(`${file}: not a voucher file`);
+  }
+  return {
+    address: ethers.getAddress(data.address),
+    chainId: BigInt(data.chainId),
+    vouchers: data.vouchers.map(({ tokenId, price, signature }) => ({
+      tokenId: BigInt(tokenId),
+      price: BigInt(price),
+      signature,
+    })),
+  };
+}
+
+/**
+ * @dev Returns the voucher for a token ID, or null when the file has none
+ */
+function voucherFor(vouchers, tokenId) {
+  return vouchers.vouchers.find((voucher) => voucher.tokenId === BigInt(tokenId)) ?? null;
+}
+
+module.exports = {
+  VOUCHER_TYPES,
+  buildVoucher,
+  loadVouchers,
+  signVoucher,
+  voucherFor,
+  writeVouchers,
+};
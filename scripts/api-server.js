@@ -0,0 +1,41 @@
+// Read-only REST API over a deployed NftCollection.
+//
+// Usage:
+//   node scripts/api-server.js --network localhost --port 3001
+//
+// Endpoints: /collection, /tokens/:id, /owners/:address/balance and /openapi.json.
+// The contract address comes from --address, NFT_ADDRESS or the deployment record.
+const { parseArgs } = require("util");
+
+const { useNetwork } = require("../lib/network");
+
+const { values: cli } = parseArgs({
+  options: {
+    network: { type: "string" },
+    address: { type: "string" },
+    port: { type: "string" },
+    host: { type: "string" },
+  },
+});
+
+useNetwork(cli.network);
+
+const hre = require("hardhat");
+const { createApiServer } = require("../lib/api");
+const { getCollection } = require("../lib/collection");
+
+async function main() {
+  const contract = await getCollection(hre, cli.address || process.env.NFT_ADDRESS);
+  const port = Number(cli.port || process.env.API_PORT || 3001);
+  const host = cli.host || process.env.API_HOST || "127.0.0.1";
+
+  const server = createApiServer(contract);
+  server.listen(port, host, () => {
+    console.log(`Serving API for ${contract.target} on http://${host}:${port}/`);
+  });
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,48 @@
+// Deploys an NftCollectionUpgradeable implementation and an NftCollectionFactory cloning it, and
+// records the factory under deployments/<network>/NftCollectionFactory.json, where the
+// nft:factory-create and nft:factory-list tasks pick it up.
+//
+// Usage:
+//   node scripts/deploy-factory.js --network localhost
+//   npx hardhat nft:factory-create --network localhost --name MyNFT --symbol MNFT \
+//     --max-supply 10000 --base-uri ipfs://<cid>/
+const { parseArgs } = require("util");
+
+const { useNetwork } = require("../lib/network");
+
+const { values: cli } = parseArgs({
+  options: {
+    network: { type: "string" },
+    redeploy: { type: "boolean", default: false },
+  },
+});
+
+useNetwork(cli.network);
+
+const hre = require("hardhat");
+const { readLiveDeployment, recordPath } = require("../lib/deployments");
+const { FACTORY_NAME, deployCollectionFactory } = require("../lib/factory");
+
+async function main() {
+  const existing = cli.redeploy ? null : await readLiveDeployment(hre, FACTORY_NAME);
+  if (existing) {
+    throw new Error(
+      `${FACTORY_NAME} already recorded on ${hre.network.name} at ${existing.address}; ` +
+        "pass --redeploy to replace the record"
+    );
+  }
+
+  await hre.run("compile", { quiet: true });
+
+  const { record } = await deployCollectionFactory(hre);
+
+  console.log(`${FACTORY_NAME} deployed on ${hre.network.name} to: ${record.address}`);
+  console.log(`  implementation: ${record.implementationName} at ${record.implementation}`);
+  console.log(`  tx:             ${record.transactionHash} (block ${record.blockNumber})`);
+  console.log(`  record:         ${recordPath(hre, FACTORY_NAME)}`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,66 @@
+// Deploys NftCollectionUpgradeable behind a transparent proxy and records the proxy under
+// deployments/<network>/NftCollection.json, where tasks and scripts pick it up.
+//
+// Usage:
+//   node scripts/deploy-proxy.js --network localhost --name MyNFT --symbol MNFT \
+//     --max-supply 10000 --base-uri ipfs://<cid>/
+//
+// Initializer args are resolved like scripts/deploy.js: CLI flags, then NFT_* env vars,
+// then the JSON file given by --config or NFT_CONFIG. The implementation is validated
+// before anything is deployed, its linked libraries included.
+const { parseArgs } = require("util");
+
+const { useNetwork } = require("../lib/network");
+
+const { values: cli } = parseArgs({
+  options: {
+    name: { type: "string" },
+    symbol: { type: "string" },
+    "max-supply": { type: "string" },
+    "base-uri": { type: "string" },
+    config: { type: "string" },
+    contract: { type: "string" },
+    network: { type: "string" },
+    redeploy: { type: "boolean", default: false },
+  },
+});
+
+useNetwork(cli.network);
+
+const hre = require("hardhat");
+const { resolveCollectionConfig } = require("../lib/config");
+const { readLiveDeployment, recordPath } = require("../lib/deployments");
+const { deployCollectionProxy } = require("../lib/upgrades");
+
+async function main() {
+  const args = resolveCollectionConfig({
+    name: cli.name,
+    symbol: cli.symbol,
+    maxSupply: cli["max-supply"],
+    baseURI: cli["base-uri"],
+    config: cli.config,
+  });
+
+  const existing = cli.redeploy ? null : await readLiveDeployment(hre);
+  if (existing) {
+    throw new Error(
+      `NftCollection already recorded on ${hre.network.name} at ${existing.address}; ` +
+        "upgrade it with scripts/upgrade-proxy.js or pass --redeploy to replace the record"
+    );
+  }
+
+  await hre.run("compile", { quiet: true });
+
+  const { record } = await deployCollectionProxy(hre, args, { contractName: cli.contract });
+
+  console.log(`NftCollection proxy deployed on ${hre.network.name} to: ${record.address}`);
+  console.log(`  implementation: ${record.implementationName} at ${record.proxy.implementation}`);
+  console.log(`  proxy admin:    ${record.proxy.admin}`);
+  console.log(`  tx:             ${record.transactionHash} (block ${record.blockNumber})`);
+  console.log(`  record:         ${recordPath(hre)}`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
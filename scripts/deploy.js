@@ -1,12 +1,56 @@
-import hre from "hardhat";
+// Deploys NftCollection and records the deployment under deployments/<network>/.
+//
+// Usage:
+//   node scripts/deploy.js --network localhost --name MyNFT --symbol MNFT \
+//     --max-supply 10000 --base-uri ipfs://<cid>/
+//   NFT_CONFIG=collection.json npx hardhat run scripts/deploy.js --network sepolia
+//
+// Constructor args come from CLI flags, then NFT_NAME / NFT_SYMBOL /
+// NFT_MAX_SUPPLY / NFT_BASE_URI, then the JSON file given by --config or NFT_CONFIG.
+const { parseArgs } = require("util");
+
+const { useNetwork } = require("../lib/network");
+
+const { values: cli } = parseArgs({
+  options: {
+    name: { type: "string" },
+    symbol: { type: "string" },
+    "max-supply": { type: "string" },
+    "base-uri": { type: "string" },
+    config: { type: "string" },
+    network: { type: "string" },
+    redeploy: { type: "boolean", default: false },
+  },
+});
+
+useNetwork(cli.network);
+
+const hre = require("hardhat");
+const { resolveCollectionConfig } = require("../lib/config");
+const { deployCollection, recordPath } = require("../lib/deployments");
 
 async function main() {
-  const NFT = await hre.ethers.getContractFactory("NFT");
+  const args = resolveCollectionConfig({
+    name: cli.name,
+    symbol: cli.symbol,
+    maxSupply: cli["max-supply"],
+    baseURI: cli["base-uri"],
+    config: cli.config,
+  });
+
+  await hre.run("compile", { quiet: true });
 
-  const nft = await NFT.deploy();
-  await nft.waitForDeployment();
+  const { record, reused } = await deployCollection(hre, args, {
+    redeploy: cli.redeploy || process.env.NFT_REDEPLOY === "true",
+  });
 
-  console.log("NFT deployed to:", await nft.getAddress());
+  if (reused) {
+    console.log(`NftCollection already deployed on ${hre.network.name} at: ${record.address}`);
+  } else {
+    console.log(`NftCollection deployed on ${hre.network.name} to: ${record.address}`);
+    console.log(`  tx:    ${record.transactionHash} (block ${record.blockNumber})`);
+  }
+  console.log(`  record: ${recordPath(hre)}`);
 }
 
 main().catch((error) => {
@@ -0,0 +1,61 @@
+// Measures the gas used by mints, transfers and burns, compares it with a saved baseline and
+// fails when an operation goes over its committed budget.
+//
+// Usage:
+//   node scripts/gas-benchmark.js
+//   node scripts/gas-benchmark.js --baseline benchmarks/gas-baseline.json --out benchmarks/gas-current.json
+//   node scripts/gas-benchmark.js --budgets benchmarks/gas-budgets.json
+//   node scripts/gas-benchmark.js --update-baseline
+//
+// Runs on the in-process hardhat network against a fresh deployment, so results are deterministic.
+const { parseArgs } = require("util");
+
+const { values: cli } = parseArgs({
+  options: {
+    baseline: { type: "string", default: "benchmarks/gas-baseline.json" },
+    budgets: { type: "string", default: "benchmarks/gas-budgets.json" },
+    out: { type: "string" },
+    "update-baseline": { type: "boolean", default: false },
+  },
+});
+
+const hre = require("hardhat");
+const {
+  checkBudgets,
+  compareGas,
+  formatGasTable,
+  readGasReport,
+  runGasBenchmark,
+  writeGasReport,
+} = require("../lib/gas");
+
+async function main() {
+  await hre.run("compile", { quiet: true });
+
+  const results = await runGasBenchmark(hre);
+
+  console.log(formatGasTable(compareGas(readGasReport(cli.baseline), results)));
+
+  if (cli.out) {
+    writeGasReport(cli.out, results);
+    console.log(`\nWrote ${cli.out}`);
+  }
+  if (cli["update-baseline"]) {
+    writeGasReport(cli.baseline, results);
+    console.log(`\nUpdated ${cli.baseline}`);
+  }
+
+  const over = checkBudgets(results, readGasReport(cli.budgets));
+  if (over.length > 0) {
+    console.error(`\nOver budget (${cli.budgets}):`);
+    for (const { name, gas, budget } of over) {
+      console.error(`  ${name}: ${gas} > ${budget ?? "no budget"}`);
+    }
+    process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,60 @@
+// Follows a JSON-RPC node and indexes NftCollection events into a local SQLite file.
+//
+// Usage:
+//   node scripts/indexer.js --network localhost
+//   node scripts/indexer.js --network sepolia --confirmations 5 --db indexer/sepolia.sqlite
+//
+// Starts at the deployment block unless --from-block is given. Query the index with
+// `npx hardhat nft:index-query`.
+const { parseArgs } = require("util");
+
+const { useNetwork } = require("../lib/network");
+
+const { values: cli } = parseArgs({
+  options: {
+    network: { type: "string" },
+    address: { type: "string" },
+    db: { type: "string" },
+    "from-block": { type: "string" },
+    confirmations: { type: "string", default: "0" },
+    "poll-interval": { type: "string", default: "2000" },
+    once: { type: "boolean", default: false },
+  },
+});
+
+useNetwork(cli.network);
+
+const hre = require("hardhat");
+const { getCollection } = require("../lib/collection");
+const { readDeployment } = require("../lib/deployments");
+const { createIndexer, defaultIndexPath, openIndexStore } = require("../lib/indexer");
+
+async function main() {
+  const contract = await getCollection(hre, cli.address);
+  const record = cli.address ? null : readDeployment(hre);
+  const file = cli.db || defaultIndexPath(hre);
+
+  const store = await openIndexStore(file);
+  const indexer = createIndexer(contract, store, {
+    startBlock: Number(cli["from-block"] ?? record?.blockNumber ?? 0),
+    confirmations: Number(cli.confirmations),
+    log: console.log,
+  });
+
+  console.log(`Indexing ${contract.target} on ${hre.network.name} into ${file}`);
+  if (cli.once) {
+    await indexer.sync();
+  } else {
+    process.on("SIGINT", () => indexer.stop());
+    process.on("SIGTERM", () => indexer.stop());
+    await indexer.follow(Number(cli["poll-interval"]));
+  }
+
+  console.log(`Indexed through block ${store.lastBlock()}: ${store.tokenCount()} tokens, ${store.holderCount()} holders`);
+  store.close();
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,46 @@
+// Serves `/<tokenId>` metadata for a deployed NftCollection, mirroring on-chain token state.
+//
+// Usage:
+//   node scripts/metadata-server.js --network localhost --dir metadata --port 3000
+//   npx hardhat nft:set-base-uri --network localhost --uri http://localhost:3000/
+//
+// The contract address comes from --address, NFT_ADDRESS or the deployment record.
+const { parseArgs } = require("util");
+
+const { useNetwork } = require("../lib/network");
+
+const { values: cli } = parseArgs({
+  options: {
+    network: { type: "string" },
+    address: { type: "string" },
+    dir: { type: "string" },
+    port: { type: "string" },
+    host: { type: "string" },
+  },
+});
+
+useNetwork(cli.network);
+
+const hre = require("hardhat");
+const { getCollection } = require("../lib/collection");
+const { createMetadataServer } = require("../lib/metadataServer");
+
+async function main() {
+  const contract = await getCollection(hre, cli.address || process.env.NFT_ADDRESS);
+  const port = Number(cli.port || process.env.METADATA_PORT || 3000);
+  const host = cli.host || process.env.METADATA_HOST || "127.0.0.1";
+  const dir = cli.dir || process.env.METADATA_DIR;
+
+  const server = createMetadataServer(contract, { dir });
+  server.listen(port, host, () => {
+    console.log(`Serving metadata for ${contract.target} on http://${host}:${port}/`);
+    if (dir) {
+      console.log(`  files: ${dir}`);
+    }
+  });
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
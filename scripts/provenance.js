@@ -0,0 +1,39 @@
+// Computes the provenance hash of a metadata directory, to commit on-chain before minting.
+//
+// Usage:
+//   node scripts/provenance.js --dir metadata
+//   node scripts/provenance.js --dir metadata --out provenance.json
+//   npx hardhat nft:set-provenance --network localhost --hash 0x...
+//
+// Files must be named 1..N. The hash is keccak256 over the keccak256 of every file, in token ID
+// order, so anyone holding the revealed files can recompute it.
+const fs = require("fs");
+const { parseArgs } = require("util");
+
+const { computeProvenance } = require("../lib/metadata");
+
+const { values: cli } = parseArgs({
+  options: {
+    dir: { type: "string", default: "metadata" },
+    out: { type: "string" },
+  },
+});
+
+function main() {
+  const { provenanceHash, hashes } = computeProvenance(cli.dir);
+  console.log(`${hashes.length} metadata file(s) in ${cli.dir}`);
+  console.log(`provenance hash: ${provenanceHash}`);
+
+  if (cli.out) {
+    const files = Object.fromEntries(hashes.map((hash, i) => [i + 1, hash]));
+    fs.writeFileSync(cli.out, JSON.stringify({ provenanceHash, files }, null, 2) + "\n");
+    console.log(`Wrote ${cli.out}`);
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,48 @@
+// Upgrades the recorded NftCollection proxy to a new implementation.
+//
+// Usage:
+//   node scripts/upgrade-proxy.js --network sepolia [--contract NftCollectionV2] [--validate-only]
+//
+// The new implementation's storage layout is checked against the current one, as recorded by
+// the upgrades plugin in .openzeppelin/<network>.json; an incompatible layout aborts the upgrade
+// before anything is deployed. --validate-only stops after that check, e.g. in CI.
+const { parseArgs } = require("util");
+
+const { useNetwork } = require("../lib/network");
+
+const { values: cli } = parseArgs({
+  options: {
+    contract: { type: "string" },
+    network: { type: "string" },
+    "validate-only": { type: "boolean", default: false },
+  },
+});
+
+useNetwork(cli.network);
+
+const hre = require("hardhat");
+const { recordPath } = require("../lib/deployments");
+const { UPGRADEABLE_NAME, upgradeCollection } = require("../lib/upgrades");
+
+async function main() {
+  await hre.run("compile", { quiet: true });
+
+  const contractName = cli.contract || UPGRADEABLE_NAME;
+  const { record, upgraded } = await upgradeCollection(hre, {
+    contractName,
+    validateOnly: cli["validate-only"],
+  });
+
+  if (!upgraded) {
+    console.log(`${contractName} is a storage-compatible upgrade of the proxy at ${record.address}`);
+    return;
+  }
+  console.log(`NftCollection proxy at ${record.address} upgraded on ${hre.network.name}`);
+  console.log(`  implementation: ${record.implementationName} at ${record.proxy.implementation}`);
+  console.log(`  record:         ${recordPath(hre)}`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,29 @@
+const { task, types } = require("hardhat/config");
+
+const { DEFAULT_MAX_BATCH, DEFAULT_MAX_GAS, parseAirdropFile, runAirdrop } = require("../lib/airdrop");
+const { getCollection } = require("../lib/collection");
+
+task("nft:airdrop", "Mints tokens to many recipients from a CSV or JSON file")
+  .addOptionalParam("address", "NftCollection address (defaults to the saved deployment record)")
+  .addParam("file", "CSV of recipient,tokenId rows or JSON array of { recipient, tokenId }")
+  .addOptionalParam("journal", "Progress journal path (defaults to <file>.journal.json)")
+  .addOptionalParam("maxGas", "Gas budget per transaction", DEFAULT_MAX_GAS.toString())
+  .addOptionalParam("maxBatch", "Maximum tokens per transaction", DEFAULT_MAX_BATCH, types.int)
+  .addFlag("dryRun", "Validate and plan chunks without sending transactions")
+  .setAction(async ({ address, file, journal, maxGas, maxBatch, dryRun }, hre) => {
+    const contract = await getCollection(hre, address);
+    const rows = parseAirdropFile(file);
+
+    const result = await runAirdrop(contract, rows, {
+      journal: journal || `${file}.journal.json`,
+      maxGas: BigInt(maxGas),
+      maxBatch,
+      dryRun,
+    });
+
+    console.log(
+      `Airdrop ${dryRun ? "planned" : "complete"}: ${result.minted} minted, ` +
+        `${result.skipped} already done, ${result.chunks} transaction(s)`
+    );
+    return result;
+  });
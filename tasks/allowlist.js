@@ -0,0 +1,37 @@
+const { task } = require("hardhat/config");
+
+const { buildAllowlist, loadAllowlist, readAllowlist, writeAllowlist } = require("../lib/allowlist");
+const { getCollection, printReceipt } = require("../lib/collection");
+
+task("nft:allowlist-build", "Builds the presale Merkle tree from a CSV of address,allocation rows")
+  .addParam("csv", "Allowlist CSV")
+  .addOptionalParam("out", "Output JSON with the root and per-address proofs", "allowlist.json")
+  .addOptionalParam("address", "NftCollection address used with --apply")
+  .addFlag("apply", "Also set the new root on the contract with nft:set-merkle-root")
+  .setAction(async ({ csv, out, address, apply }, hre) => {
+    const entries = readAllowlist(csv);
+    const allowlist = buildAllowlist(entries);
+    writeAllowlist(out, allowlist);
+
+    console.log(`Allowlist of ${entries.length} address(es) written to ${out}`);
+    console.log(`root: ${allowlist.root}`);
+
+    if (apply) {
+      await hre.run("nft:set-merkle-root", { address, root: allowlist.root });
+    }
+    return allowlist;
+  });
+
+task("nft:set-merkle-root", "Sets the presale allowlist root")
+  .addOptionalParam("address", "NftCollection address (defaults to the saved deployment record)")
+  .addOptionalParam("root", "Merkle root")
+  .addOptionalParam("file", "Allowlist JSON written by nft:allowlist-build")
+  .setAction(async ({ address, root, file }, hre) => {
+    const newRoot = root ?? (file ? loadAllowlist(file).root : undefined);
+    if (!newRoot) {
+      throw new Error("Pass --root or --file");
+    }
+
+    const contract = await getCollection(hre, address);
+    return printReceipt(`Setting Merkle root to ${newRoot}`, contract, contract.setMerkleRoot(newRoot));
+  });
@@ -0,0 +1,55 @@
+const { task } = require("hardhat/config");
+
+const { createCollection, getFactory } = require("../lib/factory");
+
+task("nft:factory-create", "Creates a collection as a clone through the NftCollectionFactory")
+  .addOptionalParam("factory", "NftCollectionFactory address (defaults to the saved deployment record)")
+  .addParam("name", "Collection name")
+  .addParam("symbol", "Collection symbol")
+  .addParam("maxSupply", "Maximum number of tokens")
+  .addParam("baseUri", "Base URI for token metadata")
+  .addOptionalParam("owner", "Default admin of the collection (defaults to the creating account)")
+  .setAction(async ({ factory: address, name, symbol, maxSupply, baseUri, owner }, hre) => {
+    const factory = await getFactory(hre, address);
+    const result = await createCollection(hre, factory, {
+      name,
+      symbol,
+      maxSupply: BigInt(maxSupply),
+      baseURI: baseUri,
+      initialOwner: owner,
+    });
+
+    console.log(`Collection ${name} (${symbol}) created at ${result.address}`);
+    console.log(`  owner:   ${result.event.initialOwner}`);
+    console.log(`  creator: ${result.event.creator}`);
+    console.log(`  tx:      ${result.receipt.hash} (block ${result.receipt.blockNumber})`);
+    return result;
+  });
+
+task("nft:factory-list", "Lists the collections an account created through the NftCollectionFactory")
+  .addOptionalParam("factory", "NftCollectionFactory address (defaults to the saved deployment record)")
+  .addOptionalParam("creator", "Creating account (defaults to the first configured account)")
+  .setAction(async ({ factory: address, creator }, hre) => {
+    const factory = await getFactory(hre, address);
+    const account = creator || (await hre.ethers.getSigners())[0].address;
+
+    const collections = [];
+    for (const collection of await factory.collectionsOf(account)) {
+      const contract = await hre.ethers.getContractAt("NftCollectionUpgradeable", collection);
+      collections.push({
+        address: collection,
+        name: await contract.name(),
+        symbol: await contract.symbol(),
+        owner: await contract.owner(),
+        totalSupply: await contract.totalSupply(),
+        maxSupply: await contract.maxSupply(),
+      });
+    }
+
+    console.log(`${collections.length} collection(s) created by ${account}`);
+    for (const info of collections) {
+      console.log(`  ${info.address}  ${info.name} (${info.symbol})  ${info.totalSupply}/${info.maxSupply} minted`);
+      console.log(`    owner: ${info.owner}`);
+    }
+    return collections;
+  });
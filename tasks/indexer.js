@@ -0,0 +1,34 @@
+const { task } = require("hardhat/config");
+
+const { defaultIndexPath, openIndexStore } = require("../lib/indexer");
+
+task("nft:index-query", "Queries the local event index built by scripts/indexer.js")
+  .addOptionalParam("db", "Index database (defaults to indexer/<network>.sqlite)")
+  .addOptionalParam("owner", "List tokens held by this address")
+  .addOptionalParam("tokenId", "Print the owner and event history of this token")
+  .setAction(async ({ db, owner, tokenId }, hre) => {
+    const store = await openIndexStore(db || defaultIndexPath(hre));
+
+    try {
+      console.log(`Indexed through block ${store.lastBlock()}`);
+      console.log(`  tokens:  ${store.tokenCount()}`);
+      console.log(`  holders: ${store.holderCount()}`);
+
+      if (owner) {
+        const tokens = store.tokensOf(owner);
+        console.log(`Tokens of ${owner} (${tokens.length}): ${tokens.join(", ")}`);
+      }
+
+      if (tokenId) {
+        console.log(`Token ${tokenId} owner: ${store.ownerOf(tokenId) ?? "none"}`);
+        for (const event of store.tokenHistory(tokenId)) {
+          const args = Object.entries(event.args)
+            .map(([key, value]) => `${key}=${value}`)
+            .join(", ");
+          console.log(`  block ${event.blockNumber}: ${event.name}(${args})`);
+        }
+      }
+    } finally {
+      store.close();
+    }
+  });
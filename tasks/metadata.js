@@ -0,0 +1,55 @@
+const { task, types } = require("hardhat/config");
+
+const { getCollection } = require("../lib/collection");
+const { readDeployment } = require("../lib/deployments");
+const { crossCheckMetadata, generateMetadata, validateMetadataDir } = require("../lib/metadata");
+
+task("nft:metadata-generate", "Generates ERC-721 metadata files from a traits spreadsheet")
+  .addParam("traits", "CSV with a tokenId column; other columns become traits")
+  .addParam("out", "Directory to write metadata files into")
+  .addOptionalParam("name", "Name template used when a row has no name column", "#{id}")
+  .addOptionalParam("description", "Description used when a row has no description column")
+  .addOptionalParam("image", "Image URI template used when a row has no image column, e.g. ipfs://<cid>/{id}.png")
+  .setAction(async ({ traits, out, name, description, image }) => {
+    const tokenIds = generateMetadata(traits, out, { name, description, image });
+    console.log(`Wrote ${tokenIds.length} metadata file(s) to ${out}`);
+    return tokenIds;
+  });
+
+task("nft:metadata-validate", "Validates a metadata directory against the OpenSea metadata standard")
+  .addParam("dir", "Metadata directory")
+  .setAction(async ({ dir }) => {
+    const result = validateMetadataDir(dir);
+    for (const error of result.errors) {
+      console.log(`  ${error}`);
+    }
+    console.log(`${result.tokenIds.length} file(s) checked, ${result.errors.length} error(s)`);
+    if (result.errors.length > 0) {
+      process.exitCode = 1;
+    }
+    return result;
+  });
+
+task("nft:metadata-check", "Cross-checks a metadata directory against on-chain mints")
+  .addOptionalParam("address", "NftCollection address (defaults to the saved deployment record)")
+  .addParam("dir", "Metadata directory")
+  .addOptionalParam("fromBlock", "Block to start replaying mints from (defaults to the deployment block)", undefined, types.int)
+  .setAction(async ({ address, dir, fromBlock }, hre) => {
+    const contract = await getCollection(hre, address);
+    const record = address ? null : readDeployment(hre);
+    const result = await crossCheckMetadata(contract, dir, {
+      fromBlock: fromBlock ?? record?.blockNumber ?? 0,
+    });
+
+    for (const tokenId of result.missing) {
+      console.log(`  token ${tokenId} is minted but has no metadata file`);
+    }
+    for (const tokenId of result.unminted) {
+      console.log(`  metadata file ${tokenId} has never been minted`);
+    }
+    console.log(`${result.missing.length} missing, ${result.unminted.length} unminted`);
+    if (result.missing.length > 0) {
+      process.exitCode = 1;
+    }
+    return result;
+  });
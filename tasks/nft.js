@@ -0,0 +1,336 @@
+const fs = require("fs");
+const { task } = require("hardhat/config");
+
+const { openApiSpec } = require("../lib/api");
+const { getCollection, printReceipt } = require("../lib/collection");
+const { DEFAULT_PAGE_SIZE, listTokens } = require("../lib/enumeration");
+const { computeProvenance } = require("../lib/metadata");
+
+// Names of the SaleState enum values, in declaration order
+const SALE_STATES = ["closed", "presale", "public"];
+
+// royaltyInfo() called with this sale price returns the royalty in basis points
+const FEE_DENOMINATOR = 10_000n;
+
+/**
+ * @dev Parses a comma separated list of token IDs
+ */
+function parseTokenIds(value) {
+  const ids = value
+    .split(",")
+    .map((id) => id.trim())
+    .filter((id) => id.length > 0);
+  if (ids.length === 0) {
+    throw new Error("Must pass at least one token ID");
+  }
+  return ids.map((id) => BigInt(id));
+}
+
+/**
+ * @dev Registers a task that sends one transaction and prints its receipt
+ */
+function collectionTask(name, description) {
+  return task(name, description).addOptionalParam(
+    "address",
+    "NftCollection address (defaults to the saved deployment record)"
+  );
+}
+
+collectionTask("nft:mint", "Mints a token with safeMint")
+  .addParam("to", "Recipient address")
+  .addParam("tokenId", "Token ID to mint")
+  .setAction(async ({ address, to, tokenId }, hre) => {
+    const contract = await getCollection(hre, address);
+    return printReceipt(
+      `Minting token ${tokenId} to ${to}`,
+      contract,
+      contract.safeMint(to, BigInt(tokenId))
+    );
+  });
+
+collectionTask("nft:batch-mint", "Mints several tokens to one address with batchMint")
+  .addParam("to", "Recipient address")
+  .addParam("tokenIds", "Comma separated token IDs, e.g. 1,2,3")
+  .setAction(async ({ address, to, tokenIds }, hre) => {
+    const ids = parseTokenIds(tokenIds);
+    const contract = await getCollection(hre, address);
+    return printReceipt(
+      `Minting ${ids.length} token(s) to ${to}`,
+      contract,
+      contract.batchMint(to, ids)
+    );
+  });
+
+collectionTask("nft:burn", "Burns a token")
+  .addParam("tokenId", "Token ID to burn")
+  .setAction(async ({ address, tokenId }, hre) => {
+    const contract = await getCollection(hre, address);
+    return printReceipt(`Burning token ${tokenId}`, contract, contract.burn(BigInt(tokenId)));
+  });
+
+collectionTask("nft:set-base-uri", "Updates the metadata base URI")
+  .addParam("uri", "New base URI")
+  .setAction(async ({ address, uri }, hre) => {
+    const contract = await getCollection(hre, address);
+    return printReceipt(`Setting base URI to ${uri}`, contract, contract.setBaseURI(uri));
+  });
+
+collectionTask("nft:set-token-uri", "Sets the full URI of one token, overriding the base URI")
+  .addParam("tokenId", "Token ID")
+  .addOptionalParam("uri", "Token URI")
+  .addFlag("clear", "Remove the override so the token falls back to the base URI")
+  .setAction(async ({ address, tokenId, uri, clear }, hre) => {
+    if (clear === (uri !== undefined)) {
+      throw new Error("Pass either --uri or --clear");
+    }
+    const contract = await getCollection(hre, address);
+    return printReceipt(
+      clear ? `Clearing the URI of token ${tokenId}` : `Setting the URI of token ${tokenId} to ${uri}`,
+      contract,
+      contract.setTokenURI(BigInt(tokenId), clear ? "" : uri)
+    );
+  });
+
+collectionTask("nft:set-placeholder", "Hides every token behind one URI until the reveal")
+  .addOptionalParam("uri", "Placeholder URI")
+  .addFlag("clear", "Remove the placeholder so tokens show real metadata")
+  .setAction(async ({ address, uri, clear }, hre) => {
+    if (clear === (uri !== undefined)) {
+      throw new Error("Pass either --uri or --clear");
+    }
+    const contract = await getCollection(hre, address);
+    return printReceipt(
+      clear ? "Clearing the placeholder URI" : `Setting the placeholder URI to ${uri}`,
+      contract,
+      contract.setPlaceholderURI(clear ? "" : uri)
+    );
+  });
+
+collectionTask("nft:set-provenance", "Commits the provenance hash of the final metadata set before minting")
+  .addOptionalParam("hash", "Provenance hash")
+  .addOptionalParam("dir", "Metadata directory to compute the hash from")
+  .setAction(async ({ address, hash, dir }, hre) => {
+    if ((hash === undefined) === (dir === undefined)) {
+      throw new Error("Pass either --hash or --dir");
+    }
+    const provenanceHash = hash ?? computeProvenance(dir).provenanceHash;
+    const contract = await getCollection(hre, address);
+    return printReceipt(
+      `Committing provenance hash ${provenanceHash}`,
+      contract,
+      contract.setProvenanceHash(provenanceHash)
+    );
+  });
+
+collectionTask("nft:reveal", "Ends the pre-reveal phase and switches to the real base URI")
+  .addParam("baseUri", "Base URI of the final metadata set")
+  .addFlag("shift", "Apply a random starting-index offset to token IDs")
+  .setAction(async ({ address, baseUri, shift }, hre) => {
+    const contract = await getCollection(hre, address);
+    const result = await printReceipt(`Revealing with base URI ${baseUri}`, contract, contract.reveal(baseUri, shift));
+    console.log(`startingIndex: ${await contract.startingIndex()}`);
+    return result;
+  });
+
+collectionTask("nft:metadata-mode", "Switches tokenURI between the base URI and on-chain SVG artwork")
+  .addFlag("onChain", "Return on-chain JSON and SVG documents")
+  .addFlag("baseUri", "Resolve the base URI again")
+  .setAction(async ({ address, onChain, baseUri }, hre) => {
+    if (onChain === baseUri) {
+      throw new Error("Pass either --on-chain or --base-uri");
+    }
+    const contract = await getCollection(hre, address);
+    return printReceipt(
+      onChain ? "Switching to on-chain metadata" : "Switching to base URI metadata",
+      contract,
+      contract.setOnChainMetadata(onChain)
+    );
+  });
+
+collectionTask("nft:freeze-metadata", "Permanently locks the base URI and every token URI")
+  .addFlag("confirm", "Required, since the freeze cannot be undone")
+  .setAction(async ({ address, confirm }, hre) => {
+    if (!confirm) {
+      throw new Error("Freezing metadata is permanent; pass --confirm to proceed");
+    }
+    const contract = await getCollection(hre, address);
+    return printReceipt("Freezing metadata", contract, contract.freezeMetadata());
+  });
+
+collectionTask("nft:set-sale", "Updates the sale phase, price and public sale caps")
+  .addOptionalParam("state", "Sale phase: closed, presale or public")
+  .addOptionalParam("price", "Price per token in ether")
+  .addOptionalParam("maxPerTx", "Maximum tokens per publicMint call, 0 for unlimited")
+  .addOptionalParam("maxPerWallet", "Maximum tokens per wallet in the public sale, 0 for unlimited")
+  .setAction(async ({ address, state, price, maxPerTx, maxPerWallet }, hre) => {
+    const contract = await getCollection(hre, address);
+    const results = [];
+
+    if (price !== undefined) {
+      results.push(
+        await printReceipt(`Setting mint price to ${price} ETH`, contract, contract.setMintPrice(hre.ethers.parseEther(price)))
+      );
+    }
+    if (maxPerTx !== undefined || maxPerWallet !== undefined) {
+      const perTx = maxPerTx ?? (await contract.maxPerTransaction());
+      const perWallet = maxPerWallet ?? (await contract.maxPerWallet());
+      results.push(
+        await printReceipt(
+          `Setting limits to ${perTx} per transaction, ${perWallet} per wallet`,
+          contract,
+          contract.setMintLimits(perTx, perWallet)
+        )
+      );
+    }
+    if (state !== undefined) {
+      const index = SALE_STATES.indexOf(state);
+      if (index === -1) {
+        throw new Error(`Unknown sale state "${state}", expected one of ${SALE_STATES.join(", ")}`);
+      }
+      results.push(await printReceipt(`Setting sale state to ${state}`, contract, contract.setSaleState(index)));
+    }
+    return results;
+  });
+
+collectionTask("nft:withdraw", "Sends the sale proceeds held by the contract to an address")
+  .addParam("to", "Recipient address")
+  .setAction(async ({ address, to }, hre) => {
+    const contract = await getCollection(hre, address);
+    const balance = await hre.ethers.provider.getBalance(contract.target);
+    return printReceipt(
+      `Withdrawing ${hre.ethers.formatEther(balance)} ETH to ${to}`,
+      contract,
+      contract.withdraw(to)
+    );
+  });
+
+collectionTask("nft:royalty", "Prints the default royalty or the royalty of a token")
+  .addOptionalParam("tokenId", "Token ID to look up, omit for the default royalty")
+  .addOptionalParam("price", "Sale price in ether to compute the royalty amount for")
+  .setAction(async ({ address, tokenId, price }, hre) => {
+    const contract = await getCollection(hre, address);
+    // Token 0 can never be minted, so it never has an override and reports the default
+    const id = BigInt(tokenId ?? 0);
+    const [receiver, feeNumerator] = await contract.royaltyInfo(id, FEE_DENOMINATOR);
+
+    const info = {
+      tokenId: tokenId === undefined ? null : id,
+      receiver,
+      feeNumerator,
+    };
+    console.log(tokenId === undefined ? "Default royalty" : `Royalty of token ${tokenId}`);
+    console.log(`  receiver: ${receiver}`);
+    console.log(`  fee:      ${feeNumerator} bps`);
+
+    if (price !== undefined) {
+      const [, amount] = await contract.royaltyInfo(id, hre.ethers.parseEther(price));
+      info.amount = amount;
+      console.log(`  amount:   ${hre.ethers.formatEther(amount)} ETH of ${price} ETH`);
+    }
+    return info;
+  });
+
+collectionTask("nft:set-royalty", "Updates the default royalty or overrides the royalty of a token")
+  .addOptionalParam("tokenId", "Token ID to override, omit to update the default royalty")
+  .addOptionalParam("receiver", "Royalty receiver address")
+  .addOptionalParam("bps", "Royalty in basis points, e.g. 500 for 5%")
+  .addFlag("clear", "Remove the default royalty, or the override of --token-id")
+  .setAction(async ({ address, tokenId, receiver, bps, clear }, hre) => {
+    const contract = await getCollection(hre, address);
+
+    if (clear) {
+      return tokenId === undefined
+        ? printReceipt("Removing the default royalty", contract, contract.deleteDefaultRoyalty())
+        : printReceipt(
+            `Removing the royalty override of token ${tokenId}`,
+            contract,
+            contract.resetTokenRoyalty(BigInt(tokenId))
+          );
+    }
+
+    if (receiver === undefined || bps === undefined) {
+      throw new Error("Pass --receiver and --bps, or --clear");
+    }
+    return tokenId === undefined
+      ? printReceipt(
+          `Setting the default royalty to ${bps} bps for ${receiver}`,
+          contract,
+          contract.setDefaultRoyalty(receiver, BigInt(bps))
+        )
+      : printReceipt(
+          `Setting the royalty of token ${tokenId} to ${bps} bps for ${receiver}`,
+          contract,
+          contract.setTokenRoyalty(BigInt(tokenId), receiver, BigInt(bps))
+        );
+  });
+
+collectionTask("nft:info", "Prints the collection configuration and supply")
+  .setAction(async ({ address }, hre) => {
+    const contract = await getCollection(hre, address);
+    const info = {
+      address: contract.target,
+      name: await contract.name(),
+      symbol: await contract.symbol(),
+      owner: await contract.owner(),
+      maxSupply: await contract.maxSupply(),
+      totalSupply: await contract.totalSupply(),
+      remainingSupply: await contract.remainingSupply(),
+      saleState: SALE_STATES[Number(await contract.saleState())],
+      mintPrice: hre.ethers.formatEther(await contract.mintPrice()),
+      paused: await contract.paused(),
+      onChainMetadata: await contract.onChainMetadata(),
+      metadataFrozen: await contract.metadataFrozen(),
+      revealed: await contract.revealed(),
+      provenanceHash: await contract.provenanceHash(),
+      startingIndex: await contract.startingIndex(),
+    };
+
+    for (const [key, value] of Object.entries(info)) {
+      console.log(`${key.padEnd(16)} ${value}`);
+    }
+    return info;
+  });
+
+collectionTask("nft:owner-of", "Prints the owner and token URI of a token")
+  .addParam("tokenId", "Token ID to look up")
+  .setAction(async ({ address, tokenId }, hre) => {
+    const contract = await getCollection(hre, address);
+    const id = BigInt(tokenId);
+
+    if (!(await contract.tokenExists(id))) {
+      console.log(`Token ${tokenId} does not exist`);
+      return { tokenId: id, exists: false };
+    }
+
+    const info = {
+      tokenId: id,
+      exists: true,
+      owner: await contract.ownerOf(id),
+      tokenURI: await contract.tokenURI(id),
+    };
+    console.log(`Token ${tokenId}`);
+    console.log(`  owner:    ${info.owner}`);
+    console.log(`  tokenURI: ${info.tokenURI}`);
+    return info;
+  });
+
+collectionTask("nft:tokens", "Lists existing token IDs, or the token IDs held by an address")
+  .addOptionalParam("owner", "Only list tokens held by this address")
+  .addOptionalParam("pageSize", "Token IDs read per call", String(DEFAULT_PAGE_SIZE))
+  .setAction(async ({ address, owner, pageSize }, hre) => {
+    const contract = await getCollection(hre, address);
+    const tokenIds = await listTokens(contract, { owner, pageSize });
+
+    console.log(`${tokenIds.length} token(s)${owner ? ` held by ${owner}` : ""}`);
+    if (tokenIds.length > 0) {
+      console.log(tokenIds.join(", "));
+    }
+    return tokenIds;
+  });
+
+task("nft:openapi", "Writes the OpenAPI document of the REST API")
+  .addOptionalParam("out", "Output file", "openapi.json")
+  .setAction(async ({ out }) => {
+    fs.writeFileSync(out, JSON.stringify(openApiSpec, null, 2) + "\n");
+    console.log(`Wrote ${out}`);
+  });
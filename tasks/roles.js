@@ -0,0 +1,159 @@
+const { task } = require("hardhat/config");
+
+const { getCollection, printReceipt } = require("../lib/collection");
+
+// CLI role names mapped to the contract's role constant getters
+const ROLES = {
+  minter: "MINTER_ROLE",
+  "metadata-admin": "METADATA_ADMIN_ROLE",
+  burner: "BURNER_ROLE",
+  pauser: "PAUSER_ROLE",
+  "voucher-signer": "VOUCHER_SIGNER_ROLE",
+};
+
+/**
+ * @dev Resolves a CLI role name to its bytes32 role ID
+ */
+async function roleId(contract, role) {
+  const getter = ROLES[role];
+  if (!getter) {
+    throw new Error(`Unknown role "${role}", expected one of ${Object.keys(ROLES).join(", ")}`);
+  }
+  return contract[getter]();
+}
+
+/**
+ * @dev Registers a task that sends one transaction and prints its receipt
+ * --from picks the sending account, e.g. the pending admin accepting a handover.
+ */
+function roleTask(name, description) {
+  return task(name, description)
+    .addOptionalParam("address", "NftCollection address (defaults to the saved deployment record)")
+    .addOptionalParam("from", "Sending account (defaults to the first configured account)");
+}
+
+async function connect(hre, address, from) {
+  return getCollection(hre, address, from ? await hre.ethers.getSigner(from) : undefined);
+}
+
+/**
+ * @dev Describes the admin approve and burn override as enabled, disabled or renounced
+ */
+async function overrideMode(contract) {
+  if (await contract.overrideRenounced()) {
+    return "renounced";
+  }
+  return (await contract.overrideEnabled()) ? "enabled" : "disabled";
+}
+
+roleTask("nft:roles", "Prints the default admin, a pending handover and the roles of an account")
+  .addOptionalParam("account", "Account to list roles of")
+  .setAction(async ({ address, account }, hre) => {
+    const contract = await getCollection(hre, address);
+    const [pendingAdmin, schedule] = await contract.pendingDefaultAdmin();
+
+    const info = {
+      defaultAdmin: await contract.defaultAdmin(),
+      pendingAdmin: pendingAdmin === hre.ethers.ZeroAddress ? null : pendingAdmin,
+      acceptSchedule: schedule,
+      override: await overrideMode(contract),
+    };
+    console.log(`defaultAdmin     ${info.defaultAdmin}`);
+    console.log(`override         ${info.override}`);
+    if (info.pendingAdmin) {
+      const acceptableFrom = new Date(Number(schedule) * 1000).toISOString();
+      console.log(`pendingAdmin     ${info.pendingAdmin} (acceptable from ${acceptableFrom})`);
+    }
+
+    if (account) {
+      info.roles = [];
+      for (const role of Object.keys(ROLES)) {
+        if (await contract.hasRole(await roleId(contract, role), account)) {
+          info.roles.push(role);
+        }
+      }
+      console.log(`${account} roles: ${info.roles.join(", ") || "none"}`);
+    }
+    return info;
+  });
+
+roleTask("nft:grant-role", "Grants a role to an account")
+  .addParam("role", `Role: ${Object.keys(ROLES).join(", ")}`)
+  .addParam("account", "Account to grant the role to")
+  .setAction(async ({ address, from, role, account }, hre) => {
+    const contract = await connect(hre, address, from);
+    const id = await roleId(contract, role);
+    return printReceipt(`Granting ${role} to ${account}`, contract, contract.grantRole(id, account));
+  });
+
+roleTask("nft:revoke-role", "Revokes a role from an account")
+  .addParam("role", `Role: ${Object.keys(ROLES).join(", ")}`)
+  .addParam("account", "Account to revoke the role from")
+  .setAction(async ({ address, from, role, account }, hre) => {
+    const contract = await connect(hre, address, from);
+    const id = await roleId(contract, role);
+    return printReceipt(`Revoking ${role} from ${account}`, contract, contract.revokeRole(id, account));
+  });
+
+roleTask("nft:admin-transfer", "Starts handing the default admin role over to a new account")
+  .addParam("to", "New admin, who must accept with nft:admin-accept")
+  .setAction(async ({ address, from, to }, hre) => {
+    const contract = await connect(hre, address, from);
+    return printReceipt(`Starting admin handover to ${to}`, contract, contract.beginDefaultAdminTransfer(to));
+  });
+
+roleTask("nft:admin-accept", "Accepts a pending default admin handover, run as the new admin")
+  .setAction(async ({ address, from }, hre) => {
+    const contract = await connect(hre, address, from);
+    return printReceipt("Accepting admin handover", contract, contract.acceptDefaultAdminTransfer());
+  });
+
+roleTask("nft:admin-cancel", "Cancels a pending default admin handover")
+  .setAction(async ({ address, from }, hre) => {
+    const contract = await connect(hre, address, from);
+    return printReceipt("Cancelling admin handover", contract, contract.cancelDefaultAdminTransfer());
+  });
+
+roleTask("nft:override", "Enables, disables or permanently renounces the admin approve and burn override")
+  .addFlag("enable", "Allow the admin to approve and burners to burn any token")
+  .addFlag("disable", "Block the override until it is enabled again")
+  .addFlag("renounce", "Disable the override for good")
+  .setAction(async ({ address, from, enable, disable, renounce }, hre) => {
+    if ([enable, disable, renounce].filter(Boolean).length !== 1) {
+      throw new Error("Pass exactly one of --enable, --disable or --renounce");
+    }
+    const contract = await connect(hre, address, from);
+
+    if (renounce) {
+      return printReceipt("Renouncing the override", contract, contract.renounceOverride());
+    }
+    return printReceipt(
+      `${enable ? "Enabling" : "Disabling"} the override`,
+      contract,
+      contract.setOverrideEnabled(enable)
+    );
+  });
+
+roleTask("nft:pause", "Stops minting, transfers, approvals and burns for every non-exempt account")
+  .setAction(async ({ address, from }, hre) => {
+    const contract = await connect(hre, address, from);
+    return printReceipt("Pausing the collection", contract, contract.pause());
+  });
+
+roleTask("nft:unpause", "Lifts the emergency stop")
+  .setAction(async ({ address, from }, hre) => {
+    const contract = await connect(hre, address, from);
+    return printReceipt("Unpausing the collection", contract, contract.unpause());
+  });
+
+roleTask("nft:pause-exempt", "Adds an account to or removes it from the pause exemption list")
+  .addParam("account", "Account to update, e.g. a rescue address")
+  .addFlag("remove", "Remove the account from the list instead of adding it")
+  .setAction(async ({ address, from, account, remove }, hre) => {
+    const contract = await connect(hre, address, from);
+    return printReceipt(
+      `${remove ? "Removing" : "Adding"} ${account} ${remove ? "from" : "to"} the pause exemption list`,
+      contract,
+      contract.setPauseExempt(account, !remove)
+    );
+  });
@@ -0,0 +1,73 @@
+const { task } = require("hardhat/config");
+
+const { getCollection, printReceipt } = require("../lib/collection");
+const { loadVouchers, signVoucher, voucherFor, writeVouchers } = require("../lib/voucher");
+
+/**
+ * @dev Returns the voucher signing key: VOUCHER_SIGNER_KEY if set, else --from or the first account
+ * The key only signs, so it needs no funds and the network is only read for the EIP-712 domain.
+ */
+async function voucherSigner(hre, from) {
+  if (process.env.VOUCHER_SIGNER_KEY) {
+    return new hre.ethers.Wallet(process.env.VOUCHER_SIGNER_KEY);
+  }
+  return from ? hre.ethers.getSigner(from) : (await hre.ethers.getSigners())[0];
+}
+
+task("nft:sign-vouchers", "Signs lazy-mint vouchers that anyone can redeem for a token at a price")
+  .addOptionalParam("address", "NftCollection address (defaults to the saved deployment record)")
+  .addOptionalParam("from", "Signing account (defaults to VOUCHER_SIGNER_KEY, then the first configured account)")
+  .addParam("tokenIds", "Comma separated token IDs, e.g. 1,2,3")
+  .addParam("price", "Price per token in ether")
+  .addOptionalParam("out", "Output JSON with one voucher per token", "vouchers.json")
+  .setAction(async ({ address, from, tokenIds, price, out }, hre) => {
+    const ids = tokenIds
+      .split(",")
+      .map((id) => id.trim())
+      .filter((id) => id.length > 0);
+    if (ids.length === 0) {
+      throw new Error("Must pass at least one token ID");
+    }
+
+    const contract = await getCollection(hre, address);
+    const signer = await voucherSigner(hre, from);
+    const signerAddress = await signer.getAddress();
+    if (!(await contract.hasRole(await contract.VOUCHER_SIGNER_ROLE(), signerAddress))) {
+      throw new Error(`${signerAddress} does not hold voucher-signer; grant it with nft:grant-role`);
+    }
+
+    const wei = hre.ethers.parseEther(price);
+    const vouchers = [];
+    for (const id of ids) {
+      vouchers.push(await signVoucher(contract, signer, { tokenId: BigInt(id), price: wei }));
+    }
+
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    writeVouchers(out, { address: contract.target, chainId }, vouchers);
+    console.log(`${vouchers.length} voucher(s) at ${price} ETH signed by ${signerAddress} written to ${out}`);
+    return vouchers;
+  });
+
+task("nft:redeem-voucher", "Redeems a signed voucher, minting its token to the sender")
+  .addParam("file", "Voucher JSON written by nft:sign-vouchers")
+  .addParam("tokenId", "Token ID to redeem")
+  .addOptionalParam("from", "Redeeming account (defaults to the first configured account)")
+  .setAction(async ({ file, tokenId, from }, hre) => {
+    const vouchers = loadVouchers(file);
+    const voucher = voucherFor(vouchers, tokenId);
+    if (!voucher) {
+      throw new Error(`${file} has no voucher for token ${tokenId}`);
+    }
+
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    if (chainId !== vouchers.chainId) {
+      throw new Error(`${file} was signed for chain ${vouchers.chainId}, not ${chainId}`);
+    }
+
+    const contract = await getCollection(hre, vouchers.address, from ? await hre.ethers.getSigner(from) : undefined);
+    return printReceipt(
+      `Redeeming voucher for token ${tokenId}`,
+      contract,
+      contract.redeemVoucher(voucher.tokenId, voucher.price, voucher.signature, { value: voucher.price })
+    );
+  });
@@ -1,11 +1,18 @@
 const { expect } = require("chai");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
 const { ethers } = require("hardhat");
 
+const { buildAllowlist, claimFor } = require("../lib/allowlist");
+const { decodeDataURI, metadataIdFor, validateMetadata } = require("../lib/metadata");
+const { signPermit } = require("../lib/permit");
+const { buildVoucher, signVoucher } = require("../lib/voucher");
+const { getCollectionFactory } = require("./fixtures");
+
 describe("NftCollection", function () {
   async function deployFixture() {
     const [owner, user1, user2, user3] = await ethers.getSigners();
 
-    const NftCollection = await ethers.getContractFactory("NftCollection");
+    const NftCollection = await getCollectionFactory();
     const contract = await NftCollection.deploy(
       "MyNFT",
       "MNFT",
@@ -40,14 +47,14 @@ describe("NftCollection", function () {
     });
 
     it("reverts if max supply is zero", async function () {
-      const NftCollection = await ethers.getContractFactory("NftCollection");
+      const NftCollection = await getCollectionFactory();
       await expect(
         NftCollection.deploy("MyNFT", "MNFT", 0, "https://metadata.example.com/")
       ).to.be.revertedWith("Max supply must be greater than 0");
     });
 
     it("reverts if base URI is empty", async function () {
-      const NftCollection = await ethers.getContractFactory("NftCollection");
+      const NftCollection = await getCollectionFactory();
       await expect(
         NftCollection.deploy("MyNFT", "MNFT", 10, "")
       ).to.be.revertedWith("Base URI cannot be empty");
@@ -141,6 +148,38 @@ describe("NftCollection", function () {
       }
     });
 
+    it("rejects a batch that repeats or reuses an ID", async function () {
+      const { contract, user1 } = await deployFixture();
+
+      await expect(contract.batchMint(user1.address, [1, 2, 1])).to.be.revertedWith("Token already minted");
+      await contract.batchMint(user1.address, [1, 2]);
+      await expect(contract.batchMint(user1.address, [3, 2])).to.be.revertedWith("Token already minted");
+      expect(await contract.totalSupply()).to.equal(2);
+    });
+
+    it("fills the supply exactly with a batch", async function () {
+      const { contract, user1 } = await deployFixture();
+
+      await contract.batchMint(user1.address, [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+
+      expect(await contract.remainingSupply()).to.equal(0);
+      await expect(contract.batchMint(user1.address, [11])).to.be.revertedWith("Batch mint exceeds max supply");
+    });
+
+    it("keeps the supply cap when a receiver mints again during a batch", async function () {
+      const NftCollection = await getCollectionFactory();
+      const contract = await NftCollection.deploy("MyNFT", "MNFT", 2, "https://metadata.example.com/");
+      const receiver = await (await ethers.getContractFactory("ReentrantMinterMock")).deploy();
+      await contract.setSaleState(2);
+
+      // The receiver takes the second slot through publicMint while receiving token 50
+      await expect(contract.batchMint(await receiver.getAddress(), [50, 51])).to.be.revertedWith(
+        "Max supply reached"
+      );
+      expect(await contract.totalSupply()).to.equal(0);
+      expect(await contract.remainingSupply()).to.equal(2);
+    });
+
     it("prevents batch mint exceeding max supply", async function () {
       const { contract, user1 } = await deployFixture();
 
@@ -149,6 +188,433 @@ describe("NftCollection", function () {
         contract.batchMint(user1.address, tokenIds)
       ).to.be.revertedWith("Batch mint exceeds max supply");
     });
+
+    it("airdrops tokens to multiple recipients", async function () {
+      const { contract, user1, user2 } = await deployFixture();
+
+      await expect(contract.airdrop([user1.address, user2.address, user1.address], [1, 2, 3]))
+        .to.emit(contract, "TokenMinted")
+        .withArgs(user2.address, 2);
+
+      expect(await contract.totalSupply()).to.equal(3);
+      expect(await contract.balanceOf(user1.address)).to.equal(2);
+      expect(await contract.ownerOf(2)).to.equal(user2.address);
+    });
+
+    it("validates airdrop input", async function () {
+      const { contract, user1, user2 } = await deployFixture();
+
+      await expect(
+        contract.airdrop([user1.address], [1, 2])
+      ).to.be.revertedWith("Recipients and token IDs length mismatch");
+
+      await expect(
+        contract.airdrop([], [])
+      ).to.be.revertedWith("Must mint at least one token");
+
+      await expect(
+        contract.airdrop([user1.address, ethers.ZeroAddress], [1, 2])
+      ).to.be.revertedWith("Cannot mint to zero address");
+
+      await expect(
+        contract.airdrop([user1.address, user2.address], [1, 1])
+      ).to.be.revertedWith("Token already minted");
+
+      await expect(
+        contract.airdrop([user1.address], [0])
+      ).to.be.revertedWith("Token ID must be greater than 0");
+
+      const recipients = Array(11).fill(user1.address);
+      const tokenIds = Array.from({ length: 11 }, (_, i) => i + 1);
+      await expect(
+        contract.airdrop(recipients, tokenIds)
+      ).to.be.revertedWith("Batch mint exceeds max supply");
+    });
+  });
+
+  // ==================== PUBLIC SALE TESTS ====================
+  describe("Public Sale", function () {
+    const PRICE = ethers.parseEther("0.01");
+    const SaleState = { Closed: 0, Presale: 1, Public: 2 };
+
+    async function publicSaleFixture() {
+      const fixture = await deployFixture();
+      await fixture.contract.setMintPrice(PRICE);
+      await fixture.contract.setMintLimits(3, 5);
+      await fixture.contract.setSaleState(SaleState.Public);
+      return fixture;
+    }
+
+    it("starts closed with no price and no limits", async function () {
+      const { contract } = await deployFixture();
+
+      expect(await contract.saleState()).to.equal(SaleState.Closed);
+      expect(await contract.mintPrice()).to.equal(0);
+      expect(await contract.maxPerTransaction()).to.equal(0);
+      expect(await contract.maxPerWallet()).to.equal(0);
+    });
+
+    it("emits events for price, limit and phase changes", async function () {
+      const { contract } = await deployFixture();
+
+      await expect(contract.setMintPrice(PRICE))
+        .to.emit(contract, "MintPriceUpdated")
+        .withArgs(PRICE);
+      await expect(contract.setMintLimits(3, 5))
+        .to.emit(contract, "MintLimitsUpdated")
+        .withArgs(3, 5);
+      await expect(contract.setSaleState(SaleState.Presale))
+        .to.emit(contract, "SaleStateUpdated")
+        .withArgs(SaleState.Presale);
+    });
+
+    it("only owner can configure the sale", async function () {
+      const { contract, user1 } = await deployFixture();
+
+      await expect(contract.connect(user1).setMintPrice(PRICE)).to.be.reverted;
+      await expect(contract.connect(user1).setMintLimits(1, 1)).to.be.reverted;
+      await expect(contract.connect(user1).setSaleState(SaleState.Public)).to.be.reverted;
+    });
+
+    it("rejects public mints unless the public phase is active", async function () {
+      const { contract, user1 } = await deployFixture();
+      await contract.setMintPrice(PRICE);
+
+      await expect(
+        contract.connect(user1).publicMint(1, { value: PRICE })
+      ).to.be.revertedWith("Public sale is not active");
+
+      await contract.setSaleState(SaleState.Presale);
+      await expect(
+        contract.connect(user1).publicMint(1, { value: PRICE })
+      ).to.be.revertedWith("Public sale is not active");
+    });
+
+    it("mints paid tokens with sequential IDs", async function () {
+      const { contract, user1, user2 } = await publicSaleFixture();
+
+      await expect(contract.connect(user1).publicMint(2, { value: PRICE * 2n }))
+        .to.emit(contract, "TokenMinted")
+        .withArgs(user1.address, 2);
+      await contract.connect(user2).publicMint(1, { value: PRICE });
+
+      expect(await contract.ownerOf(1)).to.equal(user1.address);
+      expect(await contract.ownerOf(2)).to.equal(user1.address);
+      expect(await contract.ownerOf(3)).to.equal(user2.address);
+      expect(await contract.totalSupply()).to.equal(3);
+      expect(await contract.publicMinted(user1.address)).to.equal(2);
+      expect(await ethers.provider.getBalance(await contract.getAddress())).to.equal(PRICE * 3n);
+    });
+
+    it("skips IDs already minted by the owner", async function () {
+      const { contract, user1, user2 } = await publicSaleFixture();
+      await contract.batchMint(user2.address, [1, 3]);
+
+      await contract.connect(user1).publicMint(3, { value: PRICE * 3n });
+
+      expect(await contract.ownerOf(2)).to.equal(user1.address);
+      expect(await contract.ownerOf(4)).to.equal(user1.address);
+      expect(await contract.ownerOf(5)).to.equal(user1.address);
+    });
+
+    it("does not reassign burned IDs", async function () {
+      const { contract, user1 } = await publicSaleFixture();
+      await contract.connect(user1).publicMint(1, { value: PRICE });
+      await contract.connect(user1).burn(1);
+
+      await contract.connect(user1).publicMint(1, { value: PRICE });
+
+      expect(await contract.tokenExists(1)).to.be.false;
+      expect(await contract.ownerOf(2)).to.equal(user1.address);
+    });
+
+    it("rejects underpayment", async function () {
+      const { contract, user1 } = await publicSaleFixture();
+
+      await expect(
+        contract.connect(user1).publicMint(2, { value: PRICE })
+      ).to.be.revertedWith("Incorrect payment amount");
+    });
+
+    it("rejects overpayment", async function () {
+      const { contract, user1 } = await publicSaleFixture();
+
+      await expect(
+        contract.connect(user1).publicMint(1, { value: PRICE + 1n })
+      ).to.be.revertedWith("Incorrect payment amount");
+    });
+
+    it("rejects a zero quantity", async function () {
+      const { contract, user1 } = await publicSaleFixture();
+
+      await expect(
+        contract.connect(user1).publicMint(0)
+      ).to.be.revertedWith("Must mint at least one token");
+    });
+
+    it("enforces the per-transaction cap", async function () {
+      const { contract, user1 } = await publicSaleFixture();
+
+      await expect(
+        contract.connect(user1).publicMint(4, { value: PRICE * 4n })
+      ).to.be.revertedWith("Exceeds per-transaction limit");
+    });
+
+    it("enforces the per-wallet cap across transactions", async function () {
+      const { contract, user1, user2 } = await publicSaleFixture();
+
+      await contract.connect(user1).publicMint(3, { value: PRICE * 3n });
+      await contract.connect(user1).publicMint(2, { value: PRICE * 2n });
+
+      await expect(
+        contract.connect(user1).publicMint(1, { value: PRICE })
+      ).to.be.revertedWith("Exceeds per-wallet limit");
+
+      // Other wallets keep their own allowance
+      await contract.connect(user2).publicMint(1, { value: PRICE });
+    });
+
+    it("treats a limit of 0 as unlimited", async function () {
+      const { contract, user1 } = await publicSaleFixture();
+      await contract.setMintLimits(0, 0);
+
+      await contract.connect(user1).publicMint(10, { value: PRICE * 10n });
+      expect(await contract.balanceOf(user1.address)).to.equal(10);
+    });
+
+    it("enforces max supply", async function () {
+      const { contract, user1, user2 } = await publicSaleFixture();
+      await contract.setMintLimits(0, 0);
+      await contract.connect(user1).publicMint(8, { value: PRICE * 8n });
+
+      await expect(
+        contract.connect(user2).publicMint(3, { value: PRICE * 3n })
+      ).to.be.revertedWith("Exceeds max supply");
+
+      await contract.connect(user2).publicMint(2, { value: PRICE * 2n });
+      expect(await contract.remainingSupply()).to.equal(0);
+    });
+
+    it("owner withdraws sale proceeds", async function () {
+      const { contract, user1, user3 } = await publicSaleFixture();
+      await contract.connect(user1).publicMint(3, { value: PRICE * 3n });
+
+      const tx = contract.withdraw(user3.address);
+      await expect(tx)
+        .to.emit(contract, "Withdrawn")
+        .withArgs(user3.address, PRICE * 3n);
+      await expect(tx).to.changeEtherBalances([contract, user3], [-(PRICE * 3n), PRICE * 3n]);
+
+      await expect(contract.withdraw(user3.address)).to.be.revertedWith("No funds to withdraw");
+    });
+
+    it("only owner can withdraw", async function () {
+      const { contract, user1 } = await publicSaleFixture();
+      await contract.connect(user1).publicMint(1, { value: PRICE });
+
+      await expect(contract.connect(user1).withdraw(user1.address)).to.be.reverted;
+      await expect(
+        contract.withdraw(ethers.ZeroAddress)
+      ).to.be.revertedWith("Cannot withdraw to zero address");
+    });
+  });
+
+  // ==================== PRESALE TESTS ====================
+  describe("Presale", function () {
+    const PRICE = ethers.parseEther("0.01");
+    const SaleState = { Closed: 0, Presale: 1, Public: 2 };
+
+    async function presaleFixture() {
+      const fixture = await deployFixture();
+      const { contract, user1, user2 } = fixture;
+      const allowlist = buildAllowlist([
+        [user1.address, "2"],
+        [user2.address, "1"],
+      ]);
+      await contract.setMerkleRoot(allowlist.root);
+      await contract.setMintPrice(PRICE);
+      await contract.setSaleState(SaleState.Presale);
+      return { ...fixture, allowlist };
+    }
+
+    it("mints with a proof generated off-chain", async function () {
+      const { contract, allowlist, user1 } = await presaleFixture();
+      const { allocation, proof } = claimFor(allowlist, user1.address);
+
+      await expect(contract.connect(user1).presaleMint(2, allocation, proof, { value: PRICE * 2n }))
+        .to.emit(contract, "TokenMinted")
+        .withArgs(user1.address, 2);
+
+      expect(await contract.balanceOf(user1.address)).to.equal(2);
+      expect(await contract.presaleMinted(user1.address)).to.equal(2);
+    });
+
+    it("rejects a wrong proof, allocation or caller", async function () {
+      const { contract, allowlist, user1, user2, user3 } = await presaleFixture();
+      const claim1 = claimFor(allowlist, user1.address);
+      const claim2 = claimFor(allowlist, user2.address);
+
+      // Proof belongs to another address
+      await expect(
+        contract.connect(user1).presaleMint(1, claim2.allocation, claim2.proof, { value: PRICE })
+      ).to.be.revertedWith("Invalid Merkle proof");
+      // Allocation inflated above the committed value
+      await expect(
+        contract.connect(user1).presaleMint(1, 5, claim1.proof, { value: PRICE })
+      ).to.be.revertedWith("Invalid Merkle proof");
+      // Address not on the allowlist reusing someone else's proof
+      await expect(
+        contract.connect(user3).presaleMint(1, claim1.allocation, claim1.proof, { value: PRICE })
+      ).to.be.revertedWith("Invalid Merkle proof");
+    });
+
+    it("prevents claiming more than the allocation across transactions", async function () {
+      const { contract, allowlist, user1 } = await presaleFixture();
+      const { allocation, proof } = claimFor(allowlist, user1.address);
+
+      await contract.connect(user1).presaleMint(1, allocation, proof, { value: PRICE });
+      await expect(
+        contract.connect(user1).presaleMint(2, allocation, proof, { value: PRICE * 2n })
+      ).to.be.revertedWith("Exceeds presale allocation");
+
+      await contract.connect(user1).presaleMint(1, allocation, proof, { value: PRICE });
+      await expect(
+        contract.connect(user1).presaleMint(1, allocation, proof, { value: PRICE })
+      ).to.be.revertedWith("Exceeds presale allocation");
+    });
+
+    it("requires the presale phase and the exact payment", async function () {
+      const { contract, allowlist, user1 } = await presaleFixture();
+      const { allocation, proof } = claimFor(allowlist, user1.address);
+
+      await expect(
+        contract.connect(user1).presaleMint(1, allocation, proof, { value: 0 })
+      ).to.be.revertedWith("Incorrect payment amount");
+      await expect(
+        contract.connect(user1).presaleMint(0, allocation, proof)
+      ).to.be.revertedWith("Must mint at least one token");
+
+      await contract.setSaleState(SaleState.Public);
+      await expect(
+        contract.connect(user1).presaleMint(1, allocation, proof, { value: PRICE })
+      ).to.be.revertedWith("Presale is not active");
+    });
+
+    it("does not count presale mints against the public wallet limit", async function () {
+      const { contract, allowlist, user1 } = await presaleFixture();
+      const { allocation, proof } = claimFor(allowlist, user1.address);
+      await contract.setMintLimits(0, 1);
+
+      await contract.connect(user1).presaleMint(2, allocation, proof, { value: PRICE * 2n });
+      await contract.setSaleState(SaleState.Public);
+      await contract.connect(user1).publicMint(1, { value: PRICE });
+
+      expect(await contract.balanceOf(user1.address)).to.equal(3);
+    });
+
+    it("only owner can set the Merkle root", async function () {
+      const { contract, allowlist, user1 } = await presaleFixture();
+
+      await expect(contract.connect(user1).setMerkleRoot(allowlist.root)).to.be.reverted;
+      await expect(contract.setMerkleRoot(ethers.ZeroHash))
+        .to.emit(contract, "MerkleRootUpdated")
+        .withArgs(ethers.ZeroHash);
+    });
+  });
+
+  // ==================== ROYALTY TESTS ====================
+  describe("Royalties", function () {
+    const SALE_PRICE = ethers.parseEther("1");
+
+    it("advertises ERC2981 alongside ERC721", async function () {
+      const { contract } = await deployFixture();
+
+      expect(await contract.supportsInterface("0x2a55205a")).to.be.true; // ERC2981
+      expect(await contract.supportsInterface("0x80ac58cd")).to.be.true; // ERC721
+      expect(await contract.supportsInterface("0x01ffc9a7")).to.be.true; // ERC165
+      expect(await contract.supportsInterface("0xffffffff")).to.be.false;
+    });
+
+    it("pays no royalty until a default is set", async function () {
+      const { contract, owner, user1 } = await deployFixture();
+      await contract.safeMint(user1.address, 1);
+
+      expect(await contract.royaltyInfo(1, SALE_PRICE)).to.deep.equal([ethers.ZeroAddress, 0n]);
+
+      await expect(contract.setDefaultRoyalty(owner.address, 500))
+        .to.emit(contract, "DefaultRoyaltyUpdated")
+        .withArgs(owner.address, 500);
+      expect(await contract.royaltyInfo(1, SALE_PRICE)).to.deep.equal([
+        owner.address,
+        ethers.parseEther("0.05"),
+      ]);
+
+      await expect(contract.deleteDefaultRoyalty())
+        .to.emit(contract, "DefaultRoyaltyUpdated")
+        .withArgs(ethers.ZeroAddress, 0);
+      expect(await contract.royaltyInfo(1, SALE_PRICE)).to.deep.equal([ethers.ZeroAddress, 0n]);
+    });
+
+    it("applies a per-token override over the default", async function () {
+      const { contract, owner, user1, user2 } = await deployFixture();
+      await contract.batchMint(user1.address, [1, 2]);
+      await contract.setDefaultRoyalty(owner.address, 500);
+
+      await expect(contract.setTokenRoyalty(1, user2.address, 1000))
+        .to.emit(contract, "TokenRoyaltyUpdated")
+        .withArgs(1, user2.address, 1000);
+
+      expect(await contract.royaltyInfo(1, SALE_PRICE)).to.deep.equal([
+        user2.address,
+        ethers.parseEther("0.1"),
+      ]);
+      expect((await contract.royaltyInfo(2, SALE_PRICE))[0]).to.equal(owner.address);
+
+      await expect(contract.resetTokenRoyalty(1))
+        .to.emit(contract, "TokenRoyaltyUpdated")
+        .withArgs(1, ethers.ZeroAddress, 0);
+      expect((await contract.royaltyInfo(1, SALE_PRICE))[0]).to.equal(owner.address);
+    });
+
+    it("clears the override when the token is burned", async function () {
+      const { contract, owner, user1, user2 } = await deployFixture();
+      await contract.safeMint(user1.address, 1);
+      await contract.setDefaultRoyalty(owner.address, 500);
+      await contract.setTokenRoyalty(1, user2.address, 1000);
+
+      await contract.connect(user1).burn(1);
+      await contract.safeMint(user1.address, 1);
+
+      expect(await contract.royaltyInfo(1, SALE_PRICE)).to.deep.equal([
+        owner.address,
+        ethers.parseEther("0.05"),
+      ]);
+    });
+
+    it("rejects invalid royalty settings", async function () {
+      const { contract, owner, user1 } = await deployFixture();
+      await contract.safeMint(user1.address, 1);
+
+      await expect(contract.setDefaultRoyalty(owner.address, 10001))
+        .to.be.revertedWithCustomError(contract, "ERC2981InvalidDefaultRoyalty");
+      await expect(contract.setDefaultRoyalty(ethers.ZeroAddress, 500))
+        .to.be.revertedWithCustomError(contract, "ERC2981InvalidDefaultRoyaltyReceiver");
+      await expect(contract.setTokenRoyalty(1, owner.address, 10001))
+        .to.be.revertedWithCustomError(contract, "ERC2981InvalidTokenRoyalty");
+      await expect(
+        contract.setTokenRoyalty(2, owner.address, 500)
+      ).to.be.revertedWith("Token does not exist");
+    });
+
+    it("only owner can change royalties", async function () {
+      const { contract, user1 } = await deployFixture();
+      await contract.safeMint(user1.address, 1);
+
+      await expect(contract.connect(user1).setDefaultRoyalty(user1.address, 500)).to.be.reverted;
+      await expect(contract.connect(user1).deleteDefaultRoyalty()).to.be.reverted;
+      await expect(contract.connect(user1).setTokenRoyalty(1, user1.address, 500)).to.be.reverted;
+      await expect(contract.connect(user1).resetTokenRoyalty(1)).to.be.reverted;
+    });
   });
 
   // ==================== TRANSFER TESTS ====================
@@ -223,6 +689,102 @@ describe("NftCollection", function () {
 
       expect(await contract.ownerOf(1)).to.equal(user3.address);
     });
+
+    describe("Locked tokens", function () {
+      const TRANSFERS = [
+        (contract, sender, from, to) => contract.connect(sender).transferFrom(from.address, to.address, 1),
+        (contract, sender, from, to) =>
+          contract.connect(sender)["safeTransferFrom(address,address,uint256)"](from.address, to.address, 1),
+        (contract, sender, from, to) =>
+          contract
+            .connect(sender)
+            ["safeTransferFrom(address,address,uint256,bytes)"](from.address, to.address, 1, "0x"),
+      ];
+
+      it("mints a locked token and emits Locked", async function () {
+        const { contract, user1 } = await deployFixture();
+
+        await expect(contract.safeMintLocked(user1.address, 1))
+          .to.emit(contract, "Locked")
+          .withArgs(1);
+
+        expect(await contract.ownerOf(1)).to.equal(user1.address);
+        expect(await contract.locked(1)).to.be.true;
+      });
+
+      it("rejects every transfer of a locked token, by the holder or an operator", async function () {
+        const { contract, user1, user2, user3 } = await deployFixture();
+        await contract.safeMintLocked(user1.address, 1);
+        await contract.connect(user1).setApprovalForAll(user2.address, true);
+
+        for (const transfer of TRANSFERS) {
+          await expect(transfer(contract, user1, user1, user3)).to.be.revertedWith("Token is locked");
+          await expect(transfer(contract, user2, user1, user3)).to.be.revertedWith("Token is locked");
+        }
+        expect(await contract.ownerOf(1)).to.equal(user1.address);
+      });
+
+      it("lets the holder burn a locked token and remints the ID unlocked", async function () {
+        const { contract, user1, user2 } = await deployFixture();
+        await contract.safeMintLocked(user1.address, 1);
+
+        await contract.connect(user1).burn(1);
+        await expect(contract.locked(1)).to.be.revertedWithCustomError(contract, "ERC721NonexistentToken");
+
+        await contract.safeMint(user1.address, 1);
+        expect(await contract.locked(1)).to.be.false;
+        await contract.connect(user1).transferFrom(user1.address, user2.address, 1);
+      });
+
+      it("lets the admin lock and unlock existing tokens", async function () {
+        const { contract, user1, user2 } = await deployFixture();
+        await contract.safeMint(user1.address, 1);
+        expect(await contract.locked(1)).to.be.false;
+
+        await expect(contract.setLocked(1, true)).to.emit(contract, "Locked").withArgs(1);
+        await expect(
+          contract.connect(user1).transferFrom(user1.address, user2.address, 1)
+        ).to.be.revertedWith("Token is locked");
+        await expect(contract.setLocked(1, true)).to.be.revertedWith("Token is locked");
+
+        await expect(contract.setLocked(1, false)).to.emit(contract, "Unlocked").withArgs(1);
+        await expect(contract.setLocked(1, false)).to.be.revertedWith("Token is not locked");
+        await contract.connect(user1).transferFrom(user1.address, user2.address, 1);
+        expect(await contract.ownerOf(1)).to.equal(user2.address);
+      });
+
+      it("restricts locking to the admin and locked mints to minters", async function () {
+        const { contract, user1 } = await deployFixture();
+        await contract.safeMint(user1.address, 1);
+
+        await expect(contract.connect(user1).setLocked(1, true)).to.be.revertedWithCustomError(
+          contract,
+          "AccessControlUnauthorizedAccount"
+        );
+        await expect(contract.connect(user1).safeMintLocked(user1.address, 2)).to.be.revertedWithCustomError(
+          contract,
+          "AccessControlUnauthorizedAccount"
+        );
+        await expect(contract.safeMintLocked(ethers.ZeroAddress, 2)).to.be.revertedWith(
+          "Cannot mint to zero address"
+        );
+      });
+
+      it("rejects nonexistent tokens", async function () {
+        const { contract } = await deployFixture();
+
+        await expect(contract.locked(1)).to.be.revertedWithCustomError(contract, "ERC721NonexistentToken");
+        await expect(contract.setLocked(1, true)).to.be.revertedWithCustomError(
+          contract,
+          "ERC721NonexistentToken"
+        );
+      });
+
+      it("advertises ERC-5192", async function () {
+        const { contract } = await deployFixture();
+        expect(await contract.supportsInterface("0xb45a3c0e")).to.be.true;
+      });
+    });
   });
 
   // ==================== APPROVAL TESTS ====================
@@ -279,6 +841,37 @@ describe("NftCollection", function () {
 
       expect(await contract.getApproved(1)).to.equal(user3.address);
     });
+
+    it("rejects approvals and permits of locked tokens", async function () {
+      const { contract, user1, user2, user3 } = await deployFixture();
+      await contract.safeMintLocked(user1.address, 1);
+      await contract.connect(user1).setApprovalForAll(user2.address, true);
+
+      await expect(contract.connect(user1).approve(user3.address, 1)).to.be.revertedWith("Token is locked");
+      await expect(contract.connect(user2).approve(user3.address, 1)).to.be.revertedWith("Token is locked");
+      // The admin override does not reach locked tokens either
+      await expect(contract.approve(user3.address, 1)).to.be.revertedWith("Token is locked");
+
+      const permit = await signPermit(contract, user1, { spender: user3.address, tokenId: 1 });
+      await expect(
+        contract.permit(permit.spender, permit.tokenId, permit.deadline, permit.signature)
+      ).to.be.revertedWith("Token is locked");
+    });
+
+    it("keeps an approval given before locking from moving the token", async function () {
+      const { contract, user1, user2, user3 } = await deployFixture();
+      await contract.safeMint(user1.address, 1);
+      await contract.connect(user1).approve(user2.address, 1);
+
+      await contract.setLocked(1, true);
+
+      await expect(
+        contract.connect(user2).transferFrom(user1.address, user3.address, 1)
+      ).to.be.revertedWith("Token is locked");
+      // Revoking stays possible
+      await contract.connect(user1).approve(ethers.ZeroAddress, 1);
+      expect(await contract.getApproved(1)).to.equal(ethers.ZeroAddress);
+    });
   });
 
   // ==================== OPERATOR APPROVAL TESTS ====================
@@ -325,70 +918,733 @@ describe("NftCollection", function () {
     });
   });
 
-  // ==================== METADATA TESTS ====================
-  describe("Metadata", function () {
-    it("returns correct token URI", async function () {
-      const { contract, user1 } = await deployFixture();
+  // ==================== RENTAL TESTS ====================
+  describe("Rentals", function () {
+    async function rentalFixture() {
+      const fixture = await deployFixture();
+      await fixture.contract.safeMint(fixture.user1.address, 1);
+      fixture.expires = (await time.latest()) + 3600;
+      return fixture;
+    }
 
-      await contract.safeMint(user1.address, 1);
-      const tokenURI = await contract.tokenURI(1);
+    it("lets the holder set a user until an expiry", async function () {
+      const { contract, user1, user2, expires } = await rentalFixture();
 
-      expect(tokenURI).to.equal("https://metadata.example.com/1");
+      await expect(contract.connect(user1).setUser(1, user2.address, expires))
+        .to.emit(contract, "UpdateUser")
+        .withArgs(1, user2.address, expires);
+
+      expect(await contract.userOf(1)).to.equal(user2.address);
+      expect(await contract.userExpires(1)).to.equal(expires);
+      expect(await contract.ownerOf(1)).to.equal(user1.address);
     });
 
-    it("updates base URI", async function () {
-      const { contract } = await deployFixture();
+    it("ends the rental once the expiry has passed", async function () {
+      const { contract, user1, user2, expires } = await rentalFixture();
+      await contract.connect(user1).setUser(1, user2.address, expires);
 
-      await expect(contract.setBaseURI("https://new.example.com/"))
-        .to.emit(contract, "BaseURIUpdated")
-        .withArgs("https://new.example.com/");
+      await time.increaseTo(expires);
+      expect(await contract.userOf(1)).to.equal(user2.address);
 
-      const { user1 } = await deployFixture();
-      await contract.safeMint(user1.address, 1);
-      expect(await contract.tokenURI(1)).to.equal("https://new.example.com/1");
+      await time.increase(1);
+      expect(await contract.userOf(1)).to.equal(ethers.ZeroAddress);
+      expect(await contract.userExpires(1)).to.equal(expires);
     });
 
-    it("prevents updating base URI to empty string", async function () {
-      const { contract } = await deployFixture();
+    it("lets the holder end a rental early", async function () {
+      const { contract, user1, user2, expires } = await rentalFixture();
+      await contract.connect(user1).setUser(1, user2.address, expires);
 
-      await expect(
-        contract.setBaseURI("")
-      ).to.be.revertedWith("Base URI cannot be empty");
+      await contract.connect(user1).setUser(1, ethers.ZeroAddress, 0);
+
+      expect(await contract.userOf(1)).to.equal(ethers.ZeroAddress);
     });
 
-    it("reverts when querying URI of non-existent token", async function () {
-      const { contract } = await deployFixture();
+    it("lets operators set users like approve does", async function () {
+      const { contract, user1, user2, user3, expires } = await rentalFixture();
+
+      await contract.connect(user1).setApprovalForAll(user2.address, true);
+      await contract.connect(user2).setUser(1, user3.address, expires);
+      expect(await contract.userOf(1)).to.equal(user3.address);
 
+      // A single-token approval does not allow approving others, nor renting out
+      await contract.connect(user1).approve(user3.address, 1);
       await expect(
-        contract.tokenURI(999)
-      ).to.be.revertedWith("Token does not exist");
+        contract.connect(user3).approve(user2.address, 1)
+      ).to.be.revertedWith("Not authorized to approve");
+      await expect(
+        contract.connect(user3).setUser(1, user3.address, expires)
+      ).to.be.revertedWith("Not authorized to set user");
     });
-  });
 
-  // ==================== BURNING TESTS ====================
-  describe("Burning", function () {
-    it("burns token by owner", async function () {
-      const { contract, user1 } = await deployFixture();
+    it("lets the admin set users only while the override is enabled", async function () {
+      const { contract, owner, user1, user2, expires } = await rentalFixture();
 
-      await contract.safeMint(user1.address, 1);
-      expect(await contract.totalSupply()).to.equal(1);
+      await expect(contract.setUser(1, user2.address, expires))
+        .to.emit(contract, "OverrideSetUser")
+        .withArgs(user1.address, 1, owner.address, user2.address);
+      expect(await contract.userOf(1)).to.equal(user2.address);
 
-      await expect(contract.connect(user1).burn(1))
-        .to.emit(contract, "TokenBurned")
-        .withArgs(1);
+      await contract.setOverrideEnabled(false);
+      await expect(contract.setUser(1, ethers.ZeroAddress, 0)).to.be.revertedWith("Not authorized to set user");
+    });
 
-      expect(await contract.totalSupply()).to.equal(0);
-      expect(await contract.balanceOf(user1.address)).to.equal(0);
+    it("clears the user on every transfer and on burn", async function () {
+      const TRANSFERS = [
+        (contract, from, to) => contract.connect(from).transferFrom(from.address, to.address, 1),
+        (contract, from, to) =>
+          contract.connect(from)["safeTransferFrom(address,address,uint256)"](from.address, to.address, 1),
+        (contract, from, to) =>
+          contract.connect(from)["safeTransferFrom(address,address,uint256,bytes)"](from.address, to.address, 1, "0x"),
+        (contract, from) => contract.connect(from).burn(1),
+      ];
+
+      for (const move of TRANSFERS) {
+        const { contract, user1, user2, user3, expires } = await rentalFixture();
+        await contract.connect(user1).setUser(1, user2.address, expires);
+
+        await expect(move(contract, user1, user3))
+          .to.emit(contract, "UpdateUser")
+          .withArgs(1, ethers.ZeroAddress, 0);
+
+        expect(await contract.userOf(1)).to.equal(ethers.ZeroAddress);
+        expect(await contract.userExpires(1)).to.equal(0);
+      }
     });
 
-    it("contract owner can burn any token", async function () {
-      const { contract, owner, user1 } = await deployFixture();
+    it("rejects nonexistent tokens", async function () {
+      const { contract, user2, expires } = await rentalFixture();
 
-      await contract.safeMint(user1.address, 1);
-      // Connect as owner to burn the token
-      await expect(contract.connect(owner).burn(1))
-        .to.emit(contract, "TokenBurned")
-        .withArgs(1);
+      await expect(contract.setUser(2, user2.address, expires)).to.be.revertedWithCustomError(
+        contract,
+        "ERC721NonexistentToken"
+      );
+      expect(await contract.userOf(2)).to.equal(ethers.ZeroAddress);
+    });
+
+    it("advertises ERC-4907", async function () {
+      const { contract } = await deployFixture();
+      expect(await contract.supportsInterface("0xad092b5c")).to.be.true;
+    });
+  });
+
+  // ==================== PERMIT TESTS ====================
+  describe("Permits", function () {
+    async function permitFixture() {
+      const fixture = await deployFixture();
+      await fixture.contract.safeMint(fixture.user1.address, 1);
+      return fixture;
+    }
+
+    function submit(contract, sender, permit) {
+      return contract.connect(sender).permit(permit.spender, permit.tokenId, permit.deadline, permit.signature);
+    }
+
+    it("approves the spender from an owner signature submitted by anyone", async function () {
+      const { contract, user1, user2, user3 } = await permitFixture();
+      const permit = await signPermit(contract, user1, { spender: user2.address, tokenId: 1 });
+
+      await expect(submit(contract, user3, permit))
+        .to.emit(contract, "Approval")
+        .withArgs(user1.address, user2.address, 1);
+
+      expect(await contract.getApproved(1)).to.equal(user2.address);
+      expect(await contract.nonces(1)).to.equal(1);
+
+      await contract.connect(user2).transferFrom(user1.address, user3.address, 1);
+      expect(await contract.ownerOf(1)).to.equal(user3.address);
+    });
+
+    it("accepts a signature from an operator of the owner", async function () {
+      const { contract, user1, user2, user3 } = await permitFixture();
+      await contract.connect(user1).setApprovalForAll(user2.address, true);
+
+      const permit = await signPermit(contract, user2, { spender: user3.address, tokenId: 1 });
+      await submit(contract, user3, permit);
+
+      expect(await contract.getApproved(1)).to.equal(user3.address);
+    });
+
+    it("rejects a replayed signature", async function () {
+      const { contract, user1, user2 } = await permitFixture();
+      const permit = await signPermit(contract, user1, { spender: user2.address, tokenId: 1 });
+
+      await submit(contract, user2, permit);
+      await expect(submit(contract, user2, permit)).to.be.revertedWith("Invalid permit signature");
+    });
+
+    it("rejects an expired permit", async function () {
+      const { contract, user1, user2 } = await permitFixture();
+      const latest = await ethers.provider.getBlock("latest");
+      const permit = await signPermit(contract, user1, {
+        spender: user2.address,
+        tokenId: 1,
+        deadline: latest.timestamp,
+      });
+
+      await expect(submit(contract, user2, permit)).to.be.revertedWith("Permit expired");
+    });
+
+    it("rejects a signature from someone other than the owner or an operator", async function () {
+      const { contract, user2, user3 } = await permitFixture();
+      const permit = await signPermit(contract, user3, { spender: user2.address, tokenId: 1 });
+
+      await expect(submit(contract, user2, permit)).to.be.revertedWith("Invalid permit signature");
+    });
+
+    it("rejects a signature over different arguments", async function () {
+      const { contract, user1, user2, user3 } = await permitFixture();
+      const permit = await signPermit(contract, user1, { spender: user2.address, tokenId: 1 });
+
+      await expect(
+        submit(contract, user2, { ...permit, spender: user3.address })
+      ).to.be.revertedWith("Invalid permit signature");
+      await expect(submit(contract, user2, { ...permit, signature: "0x1234" })).to.be.revertedWith(
+        "Invalid permit signature"
+      );
+    });
+
+    it("invalidates outstanding permits when the token is transferred", async function () {
+      const { contract, user1, user2, user3 } = await permitFixture();
+      const permit = await signPermit(contract, user1, { spender: user2.address, tokenId: 1 });
+
+      await contract.connect(user1).transferFrom(user1.address, user3.address, 1);
+      await contract.connect(user3).transferFrom(user3.address, user1.address, 1);
+
+      expect(await contract.nonces(1)).to.equal(2);
+      await expect(submit(contract, user2, permit)).to.be.revertedWith("Invalid permit signature");
+    });
+
+    it("reverts for a nonexistent token", async function () {
+      const { contract, user1, user2 } = await permitFixture();
+      const permit = await signPermit(contract, user1, { spender: user2.address, tokenId: 2 });
+
+      await expect(submit(contract, user2, permit)).to.be.revertedWithCustomError(
+        contract,
+        "ERC721NonexistentToken"
+      );
+    });
+
+    it("exposes the EIP-712 domain separator and supports ERC-4494", async function () {
+      const { contract } = await permitFixture();
+
+      const domain = {
+        name: "MyNFT",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await contract.getAddress(),
+      };
+      expect(await contract.DOMAIN_SEPARATOR()).to.equal(ethers.TypedDataEncoder.hashDomain(domain));
+      expect(await contract.supportsInterface("0x5604e225")).to.be.true;
+    });
+  });
+
+  // ==================== VOUCHER TESTS ====================
+  describe("Lazy Minting Vouchers", function () {
+    const PRICE = ethers.parseEther("0.05");
+
+    // user3 holds VOUCHER_SIGNER_ROLE
+    async function voucherFixture() {
+      const fixture = await deployFixture();
+      const { contract, user3 } = fixture;
+      await contract.grantRole(await contract.VOUCHER_SIGNER_ROLE(), user3.address);
+      return fixture;
+    }
+
+    function redeem(contract, redeemer, voucher, value = voucher.price) {
+      return contract.connect(redeemer).redeemVoucher(voucher.tokenId, voucher.price, voucher.signature, { value });
+    }
+
+    it("mints the voucher's token to any redeemer who pays its price", async function () {
+      const { contract, user1, user3 } = await voucherFixture();
+      const voucher = await signVoucher(contract, user3, { tokenId: 5, price: PRICE });
+
+      const tx = redeem(contract, user1, voucher);
+      await expect(tx).to.emit(contract, "TokenMinted").withArgs(user1.address, 5);
+      await expect(tx).to.changeEtherBalances([user1, contract], [-PRICE, PRICE]);
+
+      expect(await contract.ownerOf(5)).to.equal(user1.address);
+    });
+
+    it("marks the voucher as redeemed", async function () {
+      const { contract, user1, user3 } = await voucherFixture();
+      const voucher = await signVoucher(contract, user3, { tokenId: 5, price: PRICE });
+      const { domain, types, message } = await buildVoucher(contract, voucher);
+      const digest = ethers.TypedDataEncoder.hash(domain, types, message);
+
+      await expect(redeem(contract, user1, voucher))
+        .to.emit(contract, "VoucherRedeemed")
+        .withArgs(digest, user1.address, 5, PRICE);
+      expect(await contract.voucherRedeemed(digest)).to.be.true;
+    });
+
+    it("rejects a reused voucher, even after the token is burned", async function () {
+      const { contract, user1, user2, user3 } = await voucherFixture();
+      const voucher = await signVoucher(contract, user3, { tokenId: 5, price: PRICE });
+
+      await redeem(contract, user1, voucher);
+      await expect(redeem(contract, user2, voucher)).to.be.revertedWith("Voucher already redeemed");
+
+      await contract.connect(user1).burn(5);
+      await expect(redeem(contract, user2, voucher)).to.be.revertedWith("Voucher already redeemed");
+    });
+
+    it("rejects a tampered token ID or price", async function () {
+      const { contract, user1, user3 } = await voucherFixture();
+      const voucher = await signVoucher(contract, user3, { tokenId: 5, price: PRICE });
+
+      await expect(redeem(contract, user1, { ...voucher, tokenId: 6n })).to.be.revertedWith(
+        "Invalid voucher signature"
+      );
+      await expect(redeem(contract, user1, { ...voucher, price: 0n })).to.be.revertedWith(
+        "Invalid voucher signature"
+      );
+      await expect(redeem(contract, user1, { ...voucher, signature: "0x1234" })).to.be.revertedWith(
+        "Invalid voucher signature"
+      );
+    });
+
+    it("rejects vouchers signed without VOUCHER_SIGNER_ROLE", async function () {
+      const { contract, owner, user1, user3 } = await voucherFixture();
+      const byOwner = await signVoucher(contract, owner, { tokenId: 5, price: PRICE });
+      await expect(redeem(contract, user1, byOwner)).to.be.revertedWith("Invalid voucher signature");
+
+      const byRevoked = await signVoucher(contract, user3, { tokenId: 6, price: PRICE });
+      await contract.revokeRole(await contract.VOUCHER_SIGNER_ROLE(), user3.address);
+      await expect(redeem(contract, user1, byRevoked)).to.be.revertedWith("Invalid voucher signature");
+    });
+
+    it("requires the exact price", async function () {
+      const { contract, user1, user3 } = await voucherFixture();
+      const voucher = await signVoucher(contract, user3, { tokenId: 5, price: PRICE });
+
+      await expect(redeem(contract, user1, voucher, PRICE - 1n)).to.be.revertedWith("Incorrect payment amount");
+      await expect(redeem(contract, user1, voucher, PRICE + 1n)).to.be.revertedWith("Incorrect payment amount");
+    });
+
+    it("applies the safeMint rules", async function () {
+      const { contract, user1, user2, user3 } = await voucherFixture();
+
+      await contract.safeMint(user2.address, 5);
+      const minted = await signVoucher(contract, user3, { tokenId: 5, price: 0 });
+      await expect(redeem(contract, user1, minted)).to.be.revertedWith("Token already minted");
+
+      const zero = await signVoucher(contract, user3, { tokenId: 0, price: 0 });
+      await expect(redeem(contract, user1, zero)).to.be.revertedWith("Token ID must be greater than 0");
+
+      await contract.batchMint(user2.address, [1, 2, 3, 4, 6, 7, 8, 9, 10]);
+      const overSupply = await signVoucher(contract, user3, { tokenId: 11, price: 0 });
+      await expect(redeem(contract, user1, overSupply)).to.be.revertedWith("Max supply reached");
+    });
+
+    it("does not consume a voucher whose mint reverts", async function () {
+      const { contract, user1, user2, user3 } = await voucherFixture();
+      await contract.safeMint(user2.address, 5);
+      const voucher = await signVoucher(contract, user3, { tokenId: 5, price: 0 });
+
+      await expect(redeem(contract, user1, voucher)).to.be.revertedWith("Token already minted");
+      await contract.connect(user2).burn(5);
+      await redeem(contract, user1, voucher);
+
+      expect(await contract.ownerOf(5)).to.equal(user1.address);
+    });
+  });
+
+  // ==================== METADATA TESTS ====================
+  describe("Metadata", function () {
+    it("returns correct token URI", async function () {
+      const { contract, user1 } = await deployFixture();
+
+      await contract.safeMint(user1.address, 1);
+      const tokenURI = await contract.tokenURI(1);
+
+      expect(tokenURI).to.equal("https://metadata.example.com/1");
+    });
+
+    it("updates base URI", async function () {
+      const { contract } = await deployFixture();
+
+      await expect(contract.setBaseURI("https://new.example.com/"))
+        .to.emit(contract, "BaseURIUpdated")
+        .withArgs("https://new.example.com/");
+
+      const { user1 } = await deployFixture();
+      await contract.safeMint(user1.address, 1);
+      expect(await contract.tokenURI(1)).to.equal("https://new.example.com/1");
+    });
+
+    it("prevents updating base URI to empty string", async function () {
+      const { contract } = await deployFixture();
+
+      await expect(
+        contract.setBaseURI("")
+      ).to.be.revertedWith("Base URI cannot be empty");
+    });
+
+    it("reverts when querying URI of non-existent token", async function () {
+      const { contract } = await deployFixture();
+
+      await expect(
+        contract.tokenURI(999)
+      ).to.be.revertedWith("Token does not exist");
+    });
+
+    it("advertises ERC4906 and pairs base URI updates with BatchMetadataUpdate", async function () {
+      const { contract } = await deployFixture();
+
+      expect(await contract.supportsInterface("0x49064906")).to.be.true;
+      await expect(contract.setBaseURI("https://new.example.com/"))
+        .to.emit(contract, "BatchMetadataUpdate")
+        .withArgs(1, ethers.MaxUint256);
+    });
+
+    it("prefers a per-token URI over the base URI", async function () {
+      const { contract, user1 } = await deployFixture();
+      await contract.batchMint(user1.address, [1, 2]);
+
+      await expect(contract.setTokenURI(1, "ipfs://one-of-one"))
+        .to.emit(contract, "TokenURIUpdated")
+        .withArgs(1, "ipfs://one-of-one")
+        .and.to.emit(contract, "MetadataUpdate")
+        .withArgs(1);
+
+      expect(await contract.tokenURI(1)).to.equal("ipfs://one-of-one");
+      expect(await contract.tokenURI(2)).to.equal("https://metadata.example.com/2");
+
+      // The override survives base URI changes and is removed by an empty URI
+      await contract.setBaseURI("https://new.example.com/");
+      expect(await contract.tokenURI(1)).to.equal("ipfs://one-of-one");
+      await contract.setTokenURI(1, "");
+      expect(await contract.tokenURI(1)).to.equal("https://new.example.com/1");
+    });
+
+    it("clears a per-token URI when the token is burned", async function () {
+      const { contract, user1 } = await deployFixture();
+      await contract.safeMint(user1.address, 1);
+      await contract.setTokenURI(1, "ipfs://one-of-one");
+
+      await contract.connect(user1).burn(1);
+      await contract.safeMint(user1.address, 1);
+
+      expect(await contract.tokenURI(1)).to.equal("https://metadata.example.com/1");
+    });
+
+    it("rejects per-token URIs for non-existent tokens and non-metadata admins", async function () {
+      const { contract, user1 } = await deployFixture();
+      await contract.safeMint(user1.address, 1);
+
+      await expect(contract.setTokenURI(2, "ipfs://x")).to.be.revertedWith("Token does not exist");
+      await expect(contract.connect(user1).setTokenURI(1, "ipfs://x"))
+        .to.be.revertedWithCustomError(contract, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, await contract.METADATA_ADMIN_ROLE());
+    });
+
+    it("freezes the base URI and token URIs for good", async function () {
+      const { contract, user1 } = await deployFixture();
+      await contract.safeMint(user1.address, 1);
+      await contract.setTokenURI(1, "ipfs://one-of-one");
+
+      await expect(contract.freezeMetadata())
+        .to.emit(contract, "MetadataFrozen")
+        .withArgs("https://metadata.example.com/")
+        .and.to.emit(contract, "BatchMetadataUpdate")
+        .withArgs(1, ethers.MaxUint256);
+      expect(await contract.metadataFrozen()).to.be.true;
+
+      await expect(contract.setBaseURI("https://new.example.com/")).to.be.revertedWith("Metadata is frozen");
+      await expect(contract.setTokenURI(1, "ipfs://changed")).to.be.revertedWith("Metadata is frozen");
+      await expect(contract.freezeMetadata()).to.be.revertedWith("Metadata is frozen");
+
+      // Tokens minted after the freeze still resolve under the frozen base URI
+      await contract.safeMint(user1.address, 2);
+      expect(await contract.tokenURI(1)).to.equal("ipfs://one-of-one");
+      expect(await contract.tokenURI(2)).to.equal("https://metadata.example.com/2");
+    });
+  });
+
+  // ==================== ON-CHAIN METADATA TESTS ====================
+  describe("On-chain Metadata", function () {
+    const SHAPES = ["Circle", "Square", "Triangle", "Diamond"];
+
+    // Mirrors CollectionArt.traits
+    function expectedTraits(address, tokenId) {
+      const encoded = ethers.AbiCoder.defaultAbiCoder().encode(["address", "uint256"], [address, tokenId]);
+      const seed = BigInt(ethers.keccak256(encoded));
+      return {
+        shape: SHAPES[Number(seed % 4n)],
+        hue: Number((seed >> 8n) % 360n),
+        background: Number((seed >> 24n) % 360n),
+      };
+    }
+
+    // Decodes tokenURI into its JSON document and SVG image
+    async function readDocument(contract, tokenId) {
+      const json = decodeDataURI(await contract.tokenURI(tokenId));
+      expect(json.mediaType).to.equal("application/json");
+      const doc = JSON.parse(json.content);
+      const image = decodeDataURI(doc.image);
+      expect(image.mediaType).to.equal("image/svg+xml");
+      return { doc, svg: image.content };
+    }
+
+    // Checks the SVG is one element tree with matching tags and returns the element names in order
+    function parseSvg(svg) {
+      const TOKEN = /<(\/?)([a-z]+)((?:\s+[a-zA-Z-]+="[^"<>]*")*)\s*(\/?)>|([^<>]+)/gy;
+      const stack = [];
+      const elements = [];
+      let end = 0;
+      for (const [token, closing, name, attributes, selfClosing] of svg.matchAll(TOKEN)) {
+        end += token.length;
+        if (!name) {
+          expect(stack, "text outside the root element").to.not.be.empty;
+        } else if (closing) {
+          expect(stack.pop()).to.equal(name);
+        } else {
+          expect(stack.length > 0 || elements.length === 0, "a single root element").to.be.true;
+          elements.push({ name, attributes });
+          if (!selfClosing) {
+            stack.push(name);
+          }
+        }
+      }
+      expect(end, "unparsable markup").to.equal(svg.length);
+      expect(stack).to.be.empty;
+      return elements;
+    }
+
+    async function onChainFixture() {
+      const fixture = await deployFixture();
+      await fixture.contract.batchMint(fixture.user1.address, [1, 2, 3, 4, 5]);
+      await fixture.contract.setOnChainMetadata(true);
+      return fixture;
+    }
+
+    it("returns a base64 JSON document with an SVG image and the token's traits", async function () {
+      const { contract } = await onChainFixture();
+      const traits = expectedTraits(await contract.getAddress(), 1);
+
+      const { doc, svg } = await readDocument(contract, 1);
+
+      expect(validateMetadata(doc)).to.deep.equal([]);
+      expect(doc.name).to.equal("MyNFT #1");
+      expect(doc.attributes).to.deep.equal([
+        { trait_type: "Shape", value: traits.shape },
+        { trait_type: "Hue", value: traits.hue },
+        { trait_type: "Background", value: traits.background },
+      ]);
+
+      const elements = parseSvg(svg);
+      expect(elements.map((e) => e.name)).to.deep.equal([
+        "svg",
+        "rect",
+        { Circle: "circle", Square: "rect", Triangle: "polygon", Diamond: "polygon" }[traits.shape],
+        "text",
+      ]);
+      expect(elements[0].attributes).to.contain('xmlns="http://www.w3.org/2000/svg"');
+      expect(elements[1].attributes).to.contain(`fill="hsl(${traits.background},40%,20%)"`);
+      expect(elements[2].attributes).to.contain(`fill="hsl(${traits.hue},80%,60%)"`);
+      expect(svg).to.contain(">#1</text>");
+    });
+
+    it("renders every token from its own traits, unchanged by transfers", async function () {
+      const { contract, user1, user2 } = await onChainFixture();
+      const address = await contract.getAddress();
+
+      const uris = [];
+      for (let id = 1; id <= 5; id++) {
+        const { doc, svg } = await readDocument(contract, id);
+        const traits = expectedTraits(address, id);
+        expect(validateMetadata(doc)).to.deep.equal([]);
+        expect(doc.attributes[0].value).to.equal(traits.shape);
+        parseSvg(svg);
+        uris.push(await contract.tokenURI(id));
+      }
+      expect(new Set(uris).size).to.equal(5);
+
+      await contract.connect(user1).transferFrom(user1.address, user2.address, 1);
+      expect(await contract.tokenURI(1)).to.equal(uris[0]);
+    });
+
+    it("escapes the collection name inside the JSON", async function () {
+      const [, user1] = await ethers.getSigners();
+      const NftCollection = await getCollectionFactory();
+      const contract = await NftCollection.deploy('My "NFT" \\ Club', "MNFT", 10, "https://metadata.example.com/");
+      await contract.safeMint(user1.address, 1);
+      await contract.setOnChainMetadata(true);
+
+      const { doc } = await readDocument(contract, 1);
+
+      expect(doc.name).to.equal('My "NFT" \\ Club #1');
+    });
+
+    it("switches between on-chain and base URI metadata with ERC-4906 events", async function () {
+      const { contract } = await deployFixture();
+      const [, user1] = await ethers.getSigners();
+      await contract.safeMint(user1.address, 1);
+      await contract.setTokenURI(1, "ipfs://one-of-one");
+      expect(await contract.onChainMetadata()).to.be.false;
+
+      await expect(contract.setOnChainMetadata(true))
+        .to.emit(contract, "MetadataModeUpdated")
+        .withArgs(true)
+        .and.to.emit(contract, "BatchMetadataUpdate")
+        .withArgs(1, ethers.MaxUint256);
+      expect(await contract.onChainMetadata()).to.be.true;
+      // Per-token URIs, placeholders and the base URI only apply in base URI mode
+      expect(await contract.tokenURI(1)).to.match(/^data:application\/json;base64,/);
+
+      await expect(contract.setOnChainMetadata(false)).to.emit(contract, "MetadataModeUpdated").withArgs(false);
+      expect(await contract.tokenURI(1)).to.equal("ipfs://one-of-one");
+      await expect(contract.tokenURI(2)).to.be.revertedWith("Token does not exist");
+    });
+
+    it("lets only the default admin switch, and only until metadata is frozen", async function () {
+      const { contract, user1 } = await onChainFixture();
+
+      await expect(contract.connect(user1).setOnChainMetadata(false))
+        .to.be.revertedWithCustomError(contract, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, ethers.ZeroHash);
+
+      await contract.freezeMetadata();
+      await expect(contract.setOnChainMetadata(false)).to.be.revertedWith("Metadata is frozen");
+      expect(await contract.onChainMetadata()).to.be.true;
+      expect(decodeDataURI(await contract.tokenURI(1)).mediaType).to.equal("application/json");
+    });
+  });
+
+  // ==================== REVEAL TESTS ====================
+  describe("Delayed Reveal", function () {
+    const PLACEHOLDER = "ipfs://placeholder.json";
+    const PROVENANCE = ethers.id("final metadata set");
+
+    it("is revealed with no placeholder by default", async function () {
+      const { contract, user1 } = await deployFixture();
+      await contract.safeMint(user1.address, 1);
+
+      expect(await contract.revealed()).to.be.false;
+      expect(await contract.placeholderURI()).to.equal("");
+      expect(await contract.tokenURI(1)).to.equal("https://metadata.example.com/1");
+    });
+
+    it("runs the commit, hidden mint and shifted reveal lifecycle", async function () {
+      const { contract, user1 } = await deployFixture();
+
+      await expect(contract.setProvenanceHash(PROVENANCE))
+        .to.emit(contract, "ProvenanceHashSet")
+        .withArgs(PROVENANCE);
+      await expect(contract.setPlaceholderURI(PLACEHOLDER))
+        .to.emit(contract, "PlaceholderURIUpdated")
+        .withArgs(PLACEHOLDER)
+        .and.to.emit(contract, "BatchMetadataUpdate");
+
+      await contract.batchMint(user1.address, [1, 2, 3, 10]);
+      await contract.setTokenURI(2, "ipfs://one-of-one");
+      for (const id of [1, 2, 3, 10]) {
+        expect(await contract.tokenURI(id)).to.equal(PLACEHOLDER);
+      }
+
+      const tx = contract.reveal("ipfs://revealed/", true);
+      await expect(tx).to.emit(contract, "Revealed");
+      await expect(tx).to.emit(contract, "BatchMetadataUpdate").withArgs(1, ethers.MaxUint256);
+      await expect(tx).to.emit(contract, "BaseURIUpdated").withArgs("ipfs://revealed/");
+
+      const startingIndex = await contract.startingIndex();
+      expect(startingIndex).to.be.lt(10);
+      expect(await contract.revealed()).to.be.true;
+      expect(await contract.provenanceHash()).to.equal(PROVENANCE);
+
+      for (const id of [1, 3, 10]) {
+        expect(await contract.tokenURI(id)).to.equal(`ipfs://revealed/${metadataIdFor(id, startingIndex, 10)}`);
+      }
+      expect(await contract.tokenURI(2)).to.equal("ipfs://one-of-one");
+    });
+
+    it("applies no offset unless requested", async function () {
+      const { contract, user1 } = await deployFixture();
+      await contract.setPlaceholderURI(PLACEHOLDER);
+      await contract.safeMint(user1.address, 4);
+
+      await expect(contract.reveal("ipfs://revealed/", false))
+        .to.emit(contract, "Revealed")
+        .withArgs("ipfs://revealed/", 0);
+      expect(await contract.tokenURI(4)).to.equal("ipfs://revealed/4");
+    });
+
+    it("shows real metadata again when the placeholder is cleared", async function () {
+      const { contract, user1 } = await deployFixture();
+      await contract.setPlaceholderURI(PLACEHOLDER);
+      await contract.safeMint(user1.address, 1);
+
+      await contract.setPlaceholderURI("");
+      expect(await contract.tokenURI(1)).to.equal("https://metadata.example.com/1");
+    });
+
+    it("reveals only once", async function () {
+      const { contract } = await deployFixture();
+      await contract.reveal("ipfs://revealed/", false);
+
+      await expect(contract.reveal("ipfs://again/", false)).to.be.revertedWith("Already revealed");
+      await expect(contract.setPlaceholderURI(PLACEHOLDER)).to.be.revertedWith("Already revealed");
+    });
+
+    it("commits the provenance hash once, before minting", async function () {
+      const { contract, user1 } = await deployFixture();
+
+      await expect(contract.connect(user1).setProvenanceHash(PROVENANCE)).to.be.revertedWithCustomError(
+        contract,
+        "AccessControlUnauthorizedAccount"
+      );
+      await expect(contract.setProvenanceHash(ethers.ZeroHash)).to.be.revertedWith(
+        "Provenance hash cannot be empty"
+      );
+      await contract.setProvenanceHash(PROVENANCE);
+      await expect(contract.setProvenanceHash(ethers.id("other"))).to.be.revertedWith(
+        "Provenance hash already set"
+      );
+
+      const { contract: minted } = await deployFixture();
+      await minted.safeMint(user1.address, 1);
+      await expect(minted.setProvenanceHash(PROVENANCE)).to.be.revertedWith("Tokens already minted");
+    });
+
+    it("cannot reveal or hide frozen metadata", async function () {
+      const { contract } = await deployFixture();
+      await contract.freezeMetadata();
+
+      await expect(contract.reveal("ipfs://revealed/", false)).to.be.revertedWith("Metadata is frozen");
+      await expect(contract.setPlaceholderURI(PLACEHOLDER)).to.be.revertedWith("Metadata is frozen");
+    });
+
+    it("rejects an empty revealed base URI", async function () {
+      const { contract } = await deployFixture();
+      await expect(contract.reveal("", false)).to.be.revertedWith("Base URI cannot be empty");
+    });
+  });
+
+  // ==================== BURNING TESTS ====================
+  describe("Burning", function () {
+    it("burns token by owner", async function () {
+      const { contract, user1 } = await deployFixture();
+
+      await contract.safeMint(user1.address, 1);
+      expect(await contract.totalSupply()).to.equal(1);
+
+      await expect(contract.connect(user1).burn(1))
+        .to.emit(contract, "TokenBurned")
+        .withArgs(1);
+
+      expect(await contract.totalSupply()).to.equal(0);
+      expect(await contract.balanceOf(user1.address)).to.equal(0);
+    });
+
+    it("contract owner can burn any token", async function () {
+      const { contract, owner, user1 } = await deployFixture();
+
+      await contract.safeMint(user1.address, 1);
+      // Connect as owner to burn the token
+      await expect(contract.connect(owner).burn(1))
+        .to.emit(contract, "TokenBurned")
+        .withArgs(1);
 
       expect(await contract.totalSupply()).to.equal(0);
     });
@@ -497,6 +1753,550 @@ describe("NftCollection", function () {
     });
   });
 
+  // ==================== ENUMERATION TESTS ====================
+  describe("Enumeration", function () {
+    async function tokensOf(contract, address) {
+      const balance = await contract.balanceOf(address);
+      const ids = [];
+      for (let i = 0n; i < balance; i++) {
+        ids.push(await contract.tokenOfOwnerByIndex(address, i));
+      }
+      return ids;
+    }
+
+    async function allTokens(contract) {
+      const supply = await contract.totalSupply();
+      const ids = [];
+      for (let i = 0n; i < supply; i++) {
+        ids.push(await contract.tokenByIndex(i));
+      }
+      return ids;
+    }
+
+    it("advertises ERC721Enumerable", async function () {
+      const { contract } = await deployFixture();
+      expect(await contract.supportsInterface("0x780e9d63")).to.be.true;
+    });
+
+    it("lists all tokens and the tokens of each owner", async function () {
+      const { contract, user1, user2 } = await deployFixture();
+      await contract.batchMint(user1.address, [5, 2]);
+      await contract.safeMint(user2.address, 7);
+
+      expect(await allTokens(contract)).to.deep.equal([5n, 2n, 7n]);
+      expect(await tokensOf(contract, user1.address)).to.deep.equal([5n, 2n]);
+      expect(await tokensOf(contract, user2.address)).to.deep.equal([7n]);
+    });
+
+    it("moves tokens between owner lists on transfer", async function () {
+      const { contract, user1, user2 } = await deployFixture();
+      await contract.batchMint(user1.address, [1, 2, 3]);
+
+      await contract.connect(user1).transferFrom(user1.address, user2.address, 1);
+
+      expect(await tokensOf(contract, user1.address)).to.deep.equal([3n, 2n]);
+      expect(await tokensOf(contract, user2.address)).to.deep.equal([1n]);
+    });
+
+    it("stays consistent through burns and reminting", async function () {
+      const { contract, user1, user2 } = await deployFixture();
+      await contract.batchMint(user1.address, [1, 2, 3]);
+
+      await contract.connect(user1).burn(1);
+      expect(await allTokens(contract)).to.deep.equal([3n, 2n]);
+      expect(await tokensOf(contract, user1.address)).to.deep.equal([3n, 2n]);
+      expect(await contract.totalSupply()).to.equal(2);
+
+      await contract.safeMint(user2.address, 1);
+      expect(await allTokens(contract)).to.deep.equal([3n, 2n, 1n]);
+      expect(await tokensOf(contract, user2.address)).to.deep.equal([1n]);
+      expect(await contract.totalSupply()).to.equal(3);
+    });
+
+    it("reverts for out-of-range indexes", async function () {
+      const { contract, user1 } = await deployFixture();
+      await contract.safeMint(user1.address, 1);
+
+      await expect(contract.tokenByIndex(1)).to.be.revertedWithCustomError(contract, "ERC721OutOfBoundsIndex");
+      await expect(
+        contract.tokenOfOwnerByIndex(user1.address, 1)
+      ).to.be.revertedWithCustomError(contract, "ERC721OutOfBoundsIndex");
+    });
+
+    it("returns pages of token IDs", async function () {
+      const { contract, user1, user2 } = await deployFixture();
+      await contract.batchMint(user1.address, [1, 2, 3, 4, 5]);
+      await contract.safeMint(user2.address, 6);
+
+      expect(await contract.tokensPage(0, 4)).to.deep.equal([1n, 2n, 3n, 4n]);
+      expect(await contract.tokensPage(4, 4)).to.deep.equal([5n, 6n]);
+      expect(await contract.tokensPage(6, 4)).to.deep.equal([]);
+      expect(await contract.tokensOfOwnerPage(user1.address, 3, 10)).to.deep.equal([4n, 5n]);
+      expect(await contract.tokensOfOwnerPage(user2.address, 0, 0)).to.deep.equal([]);
+    });
+  });
+
+  // ==================== ROLE TESTS ====================
+  describe("Roles", function () {
+    const PRICE = ethers.parseEther("0.01");
+
+    // Functions gated by a role that the default admin can grant, with a call that succeeds once granted
+    const ROLE_GATED = [
+      { fn: "safeMint", role: "MINTER_ROLE", call: (c, u) => c.safeMint(u.address, 5) },
+      { fn: "batchMint", role: "MINTER_ROLE", call: (c, u) => c.batchMint(u.address, [5, 6]) },
+      { fn: "airdrop", role: "MINTER_ROLE", call: (c, u) => c.airdrop([u.address], [5]) },
+      { fn: "setBaseURI", role: "METADATA_ADMIN_ROLE", call: (c) => c.setBaseURI("ipfs://new/") },
+      { fn: "setTokenURI", role: "METADATA_ADMIN_ROLE", call: (c) => c.setTokenURI(1, "ipfs://one/") },
+      { fn: "setPlaceholderURI", role: "METADATA_ADMIN_ROLE", call: (c) => c.setPlaceholderURI("ipfs://p") },
+      { fn: "reveal", role: "METADATA_ADMIN_ROLE", call: (c) => c.reveal("ipfs://revealed/", true) },
+      { fn: "pause", role: "PAUSER_ROLE", call: (c) => c.pause() },
+    ];
+
+    // Functions reserved to the default admin, which changes hands only through the two-step handover
+    const ADMIN_GATED = [
+      { fn: "setSaleState", call: (c) => c.setSaleState(0) },
+      { fn: "setMintPrice", call: (c) => c.setMintPrice(0) },
+      { fn: "setMintLimits", call: (c) => c.setMintLimits(1, 1) },
+      { fn: "setMerkleRoot", call: (c) => c.setMerkleRoot(ethers.id("root")) },
+      { fn: "withdraw", call: (c, u) => c.withdraw(u.address) },
+      { fn: "setDefaultRoyalty", call: (c, u) => c.setDefaultRoyalty(u.address, 500) },
+      { fn: "deleteDefaultRoyalty", call: (c) => c.deleteDefaultRoyalty() },
+      { fn: "setTokenRoyalty", call: (c, u) => c.setTokenRoyalty(1, u.address, 500) },
+      { fn: "resetTokenRoyalty", call: (c) => c.resetTokenRoyalty(1) },
+      { fn: "setPauseExempt", call: (c, u) => c.setPauseExempt(u.address, true) },
+      { fn: "freezeMetadata", call: (c) => c.freezeMetadata() },
+    ];
+
+    // Token 1 belongs to user3 and the contract holds sale proceeds
+    async function rolesFixture() {
+      const fixture = await deployFixture();
+      const { contract, user3 } = fixture;
+      await contract.setMintPrice(PRICE);
+      await contract.setSaleState(2);
+      await contract.connect(user3).publicMint(1, { value: PRICE });
+      return fixture;
+    }
+
+    async function handOverAdmin(contract, from, to) {
+      await contract.connect(from).beginDefaultAdminTransfer(to.address);
+      await contract.connect(to).acceptDefaultAdminTransfer();
+    }
+
+    it("grants every role to the deployer", async function () {
+      const { contract, owner } = await deployFixture();
+
+      for (const role of [
+        "DEFAULT_ADMIN_ROLE",
+        "MINTER_ROLE",
+        "METADATA_ADMIN_ROLE",
+        "BURNER_ROLE",
+        "PAUSER_ROLE",
+      ]) {
+        expect(await contract.hasRole(await contract[role](), owner.address)).to.be.true;
+      }
+      expect(await contract.defaultAdmin()).to.equal(owner.address);
+      expect(await contract.supportsInterface("0x7965db0b")).to.be.true; // IAccessControl
+    });
+
+    for (const { fn, role, call } of ROLE_GATED) {
+      it(`${fn} requires ${role}, granted and revoked independently`, async function () {
+        const { contract, owner, user1 } = await rolesFixture();
+        const roleId = await contract[role]();
+
+        await expect(call(contract.connect(user1), user1))
+          .to.be.revertedWithCustomError(contract, "AccessControlUnauthorizedAccount")
+          .withArgs(user1.address, roleId);
+
+        await expect(contract.grantRole(roleId, user1.address))
+          .to.emit(contract, "RoleGranted")
+          .withArgs(roleId, user1.address, owner.address);
+        await call(contract.connect(user1), user1);
+
+        await contract.revokeRole(roleId, user1.address);
+        await expect(call(contract.connect(user1), user1)).to.be.revertedWithCustomError(
+          contract,
+          "AccessControlUnauthorizedAccount"
+        );
+      });
+    }
+
+    it("burning someone else's token requires BURNER_ROLE", async function () {
+      const { contract, user1, user3 } = await rolesFixture();
+      const burner = await contract.BURNER_ROLE();
+
+      await expect(contract.connect(user1).burn(1)).to.be.revertedWith("Not authorized to burn");
+
+      await contract.grantRole(burner, user1.address);
+      await expect(contract.connect(user1).burn(1)).to.emit(contract, "TokenBurned").withArgs(1);
+
+      await contract.connect(user3).publicMint(1, { value: PRICE });
+      await contract.revokeRole(burner, user1.address);
+      await expect(contract.connect(user1).burn(2)).to.be.revertedWith("Not authorized to burn");
+    });
+
+    it("only the default admin can approve someone else's token", async function () {
+      const { contract, owner, user1, user2 } = await rolesFixture();
+
+      await expect(contract.connect(user1).approve(user2.address, 1)).to.be.revertedWith(
+        "Not authorized to approve"
+      );
+
+      await handOverAdmin(contract, owner, user1);
+      await contract.connect(user1).approve(user2.address, 1);
+      expect(await contract.getApproved(1)).to.equal(user2.address);
+      await expect(contract.approve(owner.address, 1)).to.be.revertedWith("Not authorized to approve");
+    });
+
+    for (const { fn, call } of ADMIN_GATED) {
+      it(`${fn} is reserved to the default admin`, async function () {
+        const { contract, owner, user1 } = await rolesFixture();
+        const admin = await contract.DEFAULT_ADMIN_ROLE();
+
+        await expect(call(contract.connect(user1), user1))
+          .to.be.revertedWithCustomError(contract, "AccessControlUnauthorizedAccount")
+          .withArgs(user1.address, admin);
+
+        await handOverAdmin(contract, owner, user1);
+        await call(contract.connect(user1), user1);
+        await expect(call(contract, owner))
+          .to.be.revertedWithCustomError(contract, "AccessControlUnauthorizedAccount")
+          .withArgs(owner.address, admin);
+      });
+    }
+
+    it("keeps roles separate", async function () {
+      const { contract, user1 } = await rolesFixture();
+      await contract.grantRole(await contract.MINTER_ROLE(), user1.address);
+
+      await expect(contract.connect(user1).setBaseURI("ipfs://new/")).to.be.revertedWithCustomError(
+        contract,
+        "AccessControlUnauthorizedAccount"
+      );
+      await expect(contract.connect(user1).burn(1)).to.be.revertedWith("Not authorized to burn");
+      await expect(contract.connect(user1).setMintPrice(0)).to.be.revertedWithCustomError(
+        contract,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+
+    it("hands the admin role over in two steps", async function () {
+      const { contract, owner, user1, user2 } = await rolesFixture();
+      const admin = await contract.DEFAULT_ADMIN_ROLE();
+
+      await expect(contract.beginDefaultAdminTransfer(user1.address)).to.emit(
+        contract,
+        "DefaultAdminTransferScheduled"
+      );
+      expect((await contract.pendingDefaultAdmin())[0]).to.equal(user1.address);
+      // Nothing changes until the new admin accepts
+      expect(await contract.owner()).to.equal(owner.address);
+      expect(await contract.hasRole(admin, user1.address)).to.be.false;
+
+      await expect(contract.connect(user2).acceptDefaultAdminTransfer())
+        .to.be.revertedWithCustomError(contract, "AccessControlInvalidDefaultAdmin")
+        .withArgs(user2.address);
+
+      await contract.connect(user1).acceptDefaultAdminTransfer();
+      expect(await contract.owner()).to.equal(user1.address);
+      expect(await contract.hasRole(admin, owner.address)).to.be.false;
+      // Operational roles are not part of the handover
+      expect(await contract.hasRole(await contract.MINTER_ROLE(), owner.address)).to.be.true;
+    });
+
+    it("cancels a pending handover", async function () {
+      const { contract, owner, user1 } = await rolesFixture();
+
+      await contract.beginDefaultAdminTransfer(user1.address);
+      await contract.cancelDefaultAdminTransfer();
+
+      await expect(contract.connect(user1).acceptDefaultAdminTransfer()).to.be.revertedWithCustomError(
+        contract,
+        "AccessControlInvalidDefaultAdmin"
+      );
+      expect(await contract.owner()).to.equal(owner.address);
+    });
+
+    it("does not grant the admin role directly", async function () {
+      const { contract, user1 } = await rolesFixture();
+
+      await expect(
+        contract.grantRole(await contract.DEFAULT_ADMIN_ROLE(), user1.address)
+      ).to.be.revertedWithCustomError(contract, "AccessControlEnforcedDefaultAdminRules");
+      await expect(
+        contract.connect(user1).grantRole(await contract.MINTER_ROLE(), user1.address)
+      ).to.be.revertedWithCustomError(contract, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  // ==================== OVERRIDE TESTS ====================
+  describe("Admin Override", function () {
+    it("is enabled by default and records every use", async function () {
+      const { contract, owner, user1, user2 } = await deployFixture();
+      await contract.batchMint(user1.address, [1, 2]);
+
+      expect(await contract.overrideEnabled()).to.be.true;
+      expect(await contract.overrideRenounced()).to.be.false;
+
+      await expect(contract.approve(user2.address, 1))
+        .to.emit(contract, "OverrideApproval")
+        .withArgs(user1.address, 1, owner.address, user2.address);
+      await expect(contract.burn(2))
+        .to.emit(contract, "OverrideBurn")
+        .withArgs(user1.address, 2, owner.address);
+    });
+
+    it("does not report holders and operators acting on their own tokens", async function () {
+      const { contract, user1, user2, user3 } = await deployFixture();
+      await contract.batchMint(user1.address, [1, 2]);
+      await contract.connect(user1).setApprovalForAll(user2.address, true);
+
+      await expect(contract.connect(user1).approve(user3.address, 1)).not.to.emit(contract, "OverrideApproval");
+      await expect(contract.connect(user2).approve(user3.address, 2)).not.to.emit(contract, "OverrideApproval");
+      await expect(contract.connect(user2).setUser(1, user3.address, 2 ** 40)).not.to.emit(
+        contract,
+        "OverrideSetUser"
+      );
+      await expect(contract.connect(user1).burn(1)).not.to.emit(contract, "OverrideBurn");
+    });
+
+    it("blocks the admin and burners while disabled", async function () {
+      const { contract, user1, user2 } = await deployFixture();
+      await contract.safeMint(user1.address, 1);
+
+      await expect(contract.setOverrideEnabled(false))
+        .to.emit(contract, "OverrideUpdated")
+        .withArgs(false);
+
+      await expect(contract.approve(user2.address, 1)).to.be.revertedWith("Not authorized to approve");
+      await expect(contract.burn(1)).to.be.revertedWith("Not authorized to burn");
+
+      // Holders keep full control of their tokens
+      await contract.connect(user1).approve(user2.address, 1);
+      await contract.connect(user1).burn(1);
+    });
+
+    it("can be enabled again until renounced", async function () {
+      const { contract, user1 } = await deployFixture();
+      await contract.safeMint(user1.address, 1);
+      await contract.setOverrideEnabled(false);
+
+      await contract.setOverrideEnabled(true);
+      await expect(contract.burn(1)).to.emit(contract, "OverrideBurn");
+    });
+
+    it("is impossible after renouncing", async function () {
+      const { contract, owner, user1, user2 } = await deployFixture();
+      await contract.safeMint(user1.address, 1);
+      await contract.grantRole(await contract.BURNER_ROLE(), user2.address);
+
+      await expect(contract.renounceOverride())
+        .to.emit(contract, "OverrideRenounced")
+        .and.to.emit(contract, "OverrideUpdated")
+        .withArgs(false);
+      expect(await contract.overrideEnabled()).to.be.false;
+      expect(await contract.overrideRenounced()).to.be.true;
+
+      await expect(contract.approve(owner.address, 1)).to.be.revertedWith("Not authorized to approve");
+      await expect(contract.burn(1)).to.be.revertedWith("Not authorized to burn");
+      await expect(contract.connect(user2).burn(1)).to.be.revertedWith("Not authorized to burn");
+
+      await expect(contract.setOverrideEnabled(true)).to.be.revertedWith("Override renounced");
+      await expect(contract.renounceOverride()).to.be.revertedWith("Override renounced");
+    });
+
+    it("only the default admin can configure the override", async function () {
+      const { contract, user1 } = await deployFixture();
+
+      await expect(contract.connect(user1).setOverrideEnabled(false)).to.be.revertedWithCustomError(
+        contract,
+        "AccessControlUnauthorizedAccount"
+      );
+      await expect(contract.connect(user1).renounceOverride()).to.be.revertedWithCustomError(
+        contract,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+  });
+
+  // ==================== PAUSE TESTS ====================
+  describe("Pausable", function () {
+    // Token 1 belongs to user1; sale setups run before the contract is paused
+    const ENTRY_POINTS = [
+      { name: "safeMint", call: ({ contract, user2 }) => contract.safeMint(user2.address, 7) },
+      { name: "safeMintLocked", call: ({ contract, user2 }) => contract.safeMintLocked(user2.address, 7) },
+      { name: "batchMint", call: ({ contract, user2 }) => contract.batchMint(user2.address, [7, 8]) },
+      { name: "airdrop", call: ({ contract, user2 }) => contract.airdrop([user2.address], [7]) },
+      {
+        name: "publicMint",
+        caller: "user2",
+        setup: ({ contract }) => contract.setSaleState(2),
+        call: ({ contract, user2 }) => contract.connect(user2).publicMint(1),
+      },
+      {
+        name: "presaleMint",
+        caller: "user2",
+        setup: async ({ contract, allowlist }) => {
+          await contract.setMerkleRoot(allowlist.root);
+          await contract.setSaleState(1);
+        },
+        call: ({ contract, user2, allowlist }) => {
+          const { allocation, proof } = claimFor(allowlist, user2.address);
+          return contract.connect(user2).presaleMint(1, allocation, proof);
+        },
+      },
+      {
+        name: "redeemVoucher",
+        caller: "user2",
+        setup: async (fixture) => {
+          const { contract, owner } = fixture;
+          await contract.grantRole(await contract.VOUCHER_SIGNER_ROLE(), owner.address);
+          fixture.voucher = await signVoucher(contract, owner, { tokenId: 7, price: 0 });
+        },
+        call: ({ contract, user2, voucher }) =>
+          contract.connect(user2).redeemVoucher(voucher.tokenId, voucher.price, voucher.signature),
+      },
+      {
+        name: "transferFrom",
+        caller: "user1",
+        call: ({ contract, user1, user2 }) =>
+          contract.connect(user1).transferFrom(user1.address, user2.address, 1),
+      },
+      {
+        name: "safeTransferFrom",
+        caller: "user1",
+        call: ({ contract, user1, user2 }) =>
+          contract.connect(user1)["safeTransferFrom(address,address,uint256)"](user1.address, user2.address, 1),
+      },
+      {
+        name: "safeTransferFrom with data",
+        caller: "user1",
+        call: ({ contract, user1, user2 }) =>
+          contract
+            .connect(user1)
+            ["safeTransferFrom(address,address,uint256,bytes)"](user1.address, user2.address, 1, "0x1234"),
+      },
+      {
+        name: "approve",
+        caller: "user1",
+        call: ({ contract, user1, user2 }) => contract.connect(user1).approve(user2.address, 1),
+      },
+      {
+        name: "setApprovalForAll",
+        caller: "user1",
+        call: ({ contract, user1, user2 }) => contract.connect(user1).setApprovalForAll(user2.address, true),
+      },
+      {
+        name: "permit",
+        caller: "user2",
+        setup: async (fixture) => {
+          fixture.permit = await signPermit(fixture.contract, fixture.user1, {
+            spender: fixture.user2.address,
+            tokenId: 1,
+          });
+        },
+        call: ({ contract, user2, permit }) =>
+          contract.connect(user2).permit(permit.spender, permit.tokenId, permit.deadline, permit.signature),
+      },
+      {
+        name: "setUser",
+        caller: "user1",
+        call: ({ contract, user1, user2 }) => contract.connect(user1).setUser(1, user2.address, 2 ** 40),
+      },
+      { name: "burn", caller: "user1", call: ({ contract, user1 }) => contract.connect(user1).burn(1) },
+      { name: "burn by a burner", call: ({ contract }) => contract.burn(1) },
+    ];
+
+    async function pauseFixture() {
+      const fixture = await deployFixture();
+      await fixture.contract.safeMint(fixture.user1.address, 1);
+      const allowlist = buildAllowlist([[fixture.user2.address, "1"]]);
+      return { ...fixture, allowlist };
+    }
+
+    for (const { name, caller = "owner", setup, call } of ENTRY_POINTS) {
+      it(`blocks ${name} while paused and allows it after unpausing`, async function () {
+        const fixture = await pauseFixture();
+        const { contract } = fixture;
+        if (setup) {
+          await setup(fixture);
+        }
+
+        await contract.pause();
+        await expect(call(fixture)).to.be.revertedWithCustomError(contract, "EnforcedPause");
+
+        await contract.unpause();
+        await expect(call(fixture)).not.to.be.reverted;
+      });
+
+      it(`lets an exempt ${caller} call ${name} while paused`, async function () {
+        const fixture = await pauseFixture();
+        const { contract } = fixture;
+        if (setup) {
+          await setup(fixture);
+        }
+
+        await contract.setPauseExempt(fixture[caller].address, true);
+        await contract.pause();
+        await expect(call(fixture)).not.to.be.reverted;
+      });
+    }
+
+    it("emits events and tracks the paused state", async function () {
+      const { contract, owner } = await pauseFixture();
+
+      await expect(contract.pause()).to.emit(contract, "Paused").withArgs(owner.address);
+      expect(await contract.paused()).to.be.true;
+      await expect(contract.pause()).to.be.revertedWithCustomError(contract, "EnforcedPause");
+
+      await expect(contract.unpause()).to.emit(contract, "Unpaused").withArgs(owner.address);
+      expect(await contract.paused()).to.be.false;
+      await expect(contract.unpause()).to.be.revertedWithCustomError(contract, "ExpectedPause");
+    });
+
+    it("keeps read functions available while paused", async function () {
+      const { contract, user1 } = await pauseFixture();
+      await contract.pause();
+
+      expect(await contract.ownerOf(1)).to.equal(user1.address);
+      expect(await contract.balanceOf(user1.address)).to.equal(1);
+      expect(await contract.tokenURI(1)).to.equal("https://metadata.example.com/1");
+    });
+
+    it("removes accounts from the exemption list", async function () {
+      const { contract, user1, user2 } = await pauseFixture();
+
+      await expect(contract.setPauseExempt(user1.address, true))
+        .to.emit(contract, "PauseExemptionUpdated")
+        .withArgs(user1.address, true);
+      await contract.pause();
+      await expect(contract.setPauseExempt(user1.address, false))
+        .to.emit(contract, "PauseExemptionUpdated")
+        .withArgs(user1.address, false);
+
+      expect(await contract.pauseExempt(user1.address)).to.be.false;
+      await expect(
+        contract.connect(user1).transferFrom(user1.address, user2.address, 1)
+      ).to.be.revertedWithCustomError(contract, "EnforcedPause");
+    });
+
+    it("only pausers can pause and unpause", async function () {
+      const { contract, user1 } = await pauseFixture();
+      const pauser = await contract.PAUSER_ROLE();
+
+      await expect(contract.connect(user1).pause())
+        .to.be.revertedWithCustomError(contract, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, pauser);
+
+      await contract.grantRole(pauser, user1.address);
+      await contract.connect(user1).pause();
+      await contract.revokeRole(pauser, user1.address);
+
+      await expect(contract.connect(user1).unpause())
+        .to.be.revertedWithCustomError(contract, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, pauser);
+    });
+  });
+
   // ==================== ZERO ADDRESS TESTS ====================
   describe("Zero Address Validations", function () {
     it("prevents all operations to zero address", async function () {
@@ -640,6 +2440,14 @@ describe("NftCollection", function () {
       ).to.be.reverted;
     });
 
+    it("prevents non-owner from airdropping", async function () {
+      const { contract, user1 } = await deployFixture();
+
+      await expect(
+        contract.connect(user1).airdrop([user1.address], [1])
+      ).to.be.reverted;
+    });
+
     it("prevents transfer without approval", async function () {
       const { contract, user1, user2, user3 } = await deployFixture();
 
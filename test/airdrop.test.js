@@ -0,0 +1,291 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+
+const { parseAirdropFile, planChunks, runAirdrop, validateAirdrop } = require("../lib/airdrop");
+const { getCollectionFactory } = require("./fixtures");
+
+describe("Airdrop", function () {
+  let dir;
+
+  async function deployFixture() {
+    const [owner, user1, user2, user3] = await ethers.getSigners();
+
+    const NftCollection = await getCollectionFactory();
+    const contract = await NftCollection.deploy(
+      "MyNFT",
+      "MNFT",
+      10,
+      "https://metadata.example.com/"
+    );
+
+    return { contract, owner, user1, user2, user3 };
+  }
+
+  function rowsFor(pairs) {
+    return pairs.map(([recipient, tokenId], i) => ({
+      recipient,
+      tokenId: String(tokenId),
+      line: i + 1,
+    }));
+  }
+
+  async function expectRejection(promise, message) {
+    let error;
+    try {
+      await promise;
+    } catch (e) {
+      error = e;
+    }
+    expect(error, "expected promise to reject").to.exist;
+    expect(error.message).to.contain(message);
+  }
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "nft-airdrop-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // ==================== PARSING TESTS ====================
+  describe("Parsing", function () {
+    it("reads CSV rows with a header and comments", async function () {
+      const { user1, user2 } = await deployFixture();
+      const file = path.join(dir, "drop.csv");
+      fs.writeFileSync(
+        file,
+        `recipient,tokenId\n# team\n${user1.address},1\n\n${user2.address}, 2\n`
+      );
+
+      expect(parseAirdropFile(file)).to.deep.equal([
+        { recipient: user1.address, tokenId: "1", line: 3 },
+        { recipient: user2.address, tokenId: "2", line: 5 },
+      ]);
+    });
+
+    it("reads JSON rows", async function () {
+      const { user1 } = await deployFixture();
+      const file = path.join(dir, "drop.json");
+      fs.writeFileSync(file, JSON.stringify([{ recipient: user1.address, tokenId: 7 }]));
+
+      expect(parseAirdropFile(file)).to.deep.equal([
+        { recipient: user1.address, tokenId: "7", line: 1 },
+      ]);
+    });
+  });
+
+  // ==================== VALIDATION TESTS ====================
+  describe("Validation", function () {
+    it("rejects duplicate IDs", async function () {
+      const { contract, user1, user2 } = await deployFixture();
+      await expectRejection(
+        validateAirdrop(contract, rowsFor([[user1.address, 1], [user2.address, 1]])),
+        "line 2: duplicate token ID 1"
+      );
+    });
+
+    it("rejects token ID 0", async function () {
+      const { contract, user1 } = await deployFixture();
+      await expectRejection(
+        validateAirdrop(contract, rowsFor([[user1.address, 0]])),
+        "token ID must be greater than 0"
+      );
+    });
+
+    it("rejects the zero address and malformed addresses", async function () {
+      const { contract } = await deployFixture();
+      await expectRejection(
+        validateAirdrop(contract, rowsFor([[ethers.ZeroAddress, 1]])),
+        "cannot mint to zero address"
+      );
+      await expectRejection(
+        validateAirdrop(contract, rowsFor([["0x1234", 1]])),
+        'invalid recipient address "0x1234"'
+      );
+    });
+
+    it("rejects tokens that already exist", async function () {
+      const { contract, user1 } = await deployFixture();
+      await contract.safeMint(user1.address, 3);
+
+      await expectRejection(
+        validateAirdrop(contract, rowsFor([[user1.address, 3]])),
+        "token 3 already exists"
+      );
+    });
+
+    it("rejects totals above remaining supply", async function () {
+      const { contract, user1 } = await deployFixture();
+      await contract.safeMint(user1.address, 100);
+
+      const rows = rowsFor(Array.from({ length: 10 }, (_, i) => [user1.address, i + 1]));
+      await expectRejection(
+        validateAirdrop(contract, rows),
+        "airdrop mints 10 tokens but only 9 remain"
+      );
+    });
+  });
+
+  // ==================== CHUNKING TESTS ====================
+  describe("Chunking", function () {
+    it("keeps every chunk under the gas budget", async function () {
+      const { contract, user1, user2 } = await deployFixture();
+      const rows = await validateAirdrop(
+        contract,
+        rowsFor(Array.from({ length: 6 }, (_, i) => [i % 2 ? user1.address : user2.address, i + 1]))
+      );
+
+      const single = await contract.safeMint.estimateGas(user1.address, 1);
+      const maxGas = single * 2n + single / 2n;
+      const chunks = await planChunks(contract, rows, { maxGas });
+
+      expect(chunks.length).to.be.greaterThan(1);
+      expect(chunks.flatMap((c) => c.rows)).to.deep.equal(rows);
+      for (const chunk of chunks) {
+        expect(chunk.gas <= maxGas).to.be.true;
+      }
+    });
+  });
+
+  // ==================== RUN AND RESUME TESTS ====================
+  describe("Run and resume", function () {
+    it("mints every row and journals confirmed batches", async function () {
+      const { contract, user1, user2 } = await deployFixture();
+      const journal = path.join(dir, "journal.json");
+      const rows = rowsFor([[user1.address, 1], [user2.address, 2], [user1.address, 3]]);
+
+      const result = await runAirdrop(contract, rows, { journal, maxBatch: 2, log: () => {} });
+
+      expect(result).to.deep.equal({ minted: 3, skipped: 0, chunks: 2 });
+      expect(await contract.ownerOf(2)).to.equal(user2.address);
+      const saved = JSON.parse(fs.readFileSync(journal, "utf8"));
+      expect(saved.batches.map((b) => b.status)).to.deep.equal(["confirmed", "confirmed"]);
+    });
+
+    it("resumes an interrupted run without double-minting", async function () {
+      const { contract, user1, user2 } = await deployFixture();
+      const journal = path.join(dir, "journal.json");
+      const rows = rowsFor(Array.from({ length: 5 }, (_, i) => [i % 2 ? user1.address : user2.address, i + 1]));
+
+      const interrupt = (message) => {
+        if (message.includes("chunk 1/")) {
+          throw new Error("interrupted");
+        }
+      };
+      await expectRejection(
+        runAirdrop(contract, rows, { journal, maxBatch: 2, log: interrupt }),
+        "interrupted"
+      );
+      expect(await contract.totalSupply()).to.equal(2);
+
+      const result = await runAirdrop(contract, rows, { journal, maxBatch: 2, log: () => {} });
+
+      expect(result).to.deep.equal({ minted: 3, skipped: 2, chunks: 2 });
+      expect(await contract.totalSupply()).to.equal(5);
+    });
+
+    it("settles a batch left pending by a crash", async function () {
+      const { contract, user1, user2 } = await deployFixture();
+      const journal = path.join(dir, "journal.json");
+      const rows = rowsFor([[user1.address, 1], [user2.address, 2]]);
+
+      // Transaction was mined but the process died before recording the receipt
+      const tx = await contract.airdrop([user1.address], [1]);
+      const { chainId } = await ethers.provider.getNetwork();
+      fs.writeFileSync(
+        journal,
+        JSON.stringify({
+          contract: await contract.getAddress(),
+          chainId: Number(chainId),
+          batches: [{ txHash: tx.hash, status: "pending", recipients: [user1.address], tokenIds: ["1"] }],
+        })
+      );
+
+      const result = await runAirdrop(contract, rows, { journal, log: () => {} });
+
+      expect(result).to.deep.equal({ minted: 1, skipped: 1, chunks: 1 });
+      expect(await contract.ownerOf(2)).to.equal(user2.address);
+    });
+
+    it("waits for a batch unknown to the node until its nonce is used", async function () {
+      const { contract, owner, user1, user2 } = await deployFixture();
+      const journal = path.join(dir, "journal.json");
+      const rows = rowsFor([[user1.address, 1], [user2.address, 2]]);
+      const { chainId } = await ethers.provider.getNetwork();
+      const nonce = await ethers.provider.getTransactionCount(owner.address);
+
+      // The transaction went out through another node and has not reached this one
+      const writeLostBatch = (batchNonce) =>
+        fs.writeFileSync(
+          journal,
+          JSON.stringify({
+            contract: contract.target,
+            chainId: Number(chainId),
+            batches: [
+              {
+                txHash: ethers.id("lost"),
+                from: owner.address,
+                nonce: batchNonce,
+                status: "pending",
+                recipients: [user1.address],
+                tokenIds: ["1"],
+              },
+            ],
+          })
+        );
+
+      writeLostBatch(nonce);
+      await expectRejection(runAirdrop(contract, rows, { journal, log: () => {} }), `nonce ${nonce}`);
+      expect(await contract.totalSupply()).to.equal(0);
+
+      writeLostBatch(nonce - 1);
+      const result = await runAirdrop(contract, rows, { journal, log: () => {} });
+
+      expect(result).to.deep.equal({ minted: 2, skipped: 0, chunks: 1 });
+      const saved = JSON.parse(fs.readFileSync(journal, "utf8"));
+      expect(saved.batches.map((b) => b.status)).to.deep.equal(["failed", "confirmed"]);
+      expect(saved.batches[1]).to.include({ from: owner.address, nonce });
+    });
+
+    it("counts rows of a failed batch that were minted after all", async function () {
+      const { contract, user1, user2 } = await deployFixture();
+      const journal = path.join(dir, "journal.json");
+      const rows = rowsFor([[user1.address, 1], [user2.address, 2]]);
+
+      // The run gave up waiting, but the transaction was mined later
+      const tx = await contract.airdrop([user1.address], [1]);
+      const { chainId } = await ethers.provider.getNetwork();
+      fs.writeFileSync(
+        journal,
+        JSON.stringify({
+          contract: contract.target,
+          chainId: Number(chainId),
+          batches: [{ txHash: tx.hash, status: "failed", recipients: [user1.address], tokenIds: ["1"] }],
+        })
+      );
+
+      const result = await runAirdrop(contract, rows, { journal, log: () => {} });
+
+      expect(result).to.deep.equal({ minted: 1, skipped: 1, chunks: 1 });
+      expect(await contract.ownerOf(2)).to.equal(user2.address);
+    });
+
+    it("refuses a journal written for another contract", async function () {
+      const first = await deployFixture();
+      const second = await deployFixture();
+      const journal = path.join(dir, "journal.json");
+      const rows = rowsFor([[first.user1.address, 1]]);
+
+      await runAirdrop(first.contract, rows, { journal, log: () => {} });
+
+      await expectRejection(
+        runAirdrop(second.contract, rows, { journal, log: () => {} }),
+        "use a different --journal"
+      );
+    });
+  });
+});
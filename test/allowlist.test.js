@@ -0,0 +1,128 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { StandardMerkleTree } = require("@openzeppelin/merkle-tree");
+
+const { buildAllowlist, claimFor, loadAllowlist, readAllowlist } = require("../lib/allowlist");
+const { getCollectionFactory } = require("./fixtures");
+
+const { ethers } = hre;
+
+describe("Allowlist", function () {
+  let dir;
+  let log;
+
+  const A = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+  const B = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+
+  function writeCsv(content) {
+    const file = path.join(dir, "allowlist.csv");
+    fs.writeFileSync(file, content);
+    return file;
+  }
+
+  function readError(content) {
+    try {
+      readAllowlist(writeCsv(content));
+    } catch (e) {
+      return e.message;
+    }
+    return undefined;
+  }
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "allowlist-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("reads entries, skipping the header and comments", function () {
+    const file = writeCsv(`address,allocation\n# team\n${A.toLowerCase()},3\n${B},1\n`);
+
+    expect(readAllowlist(file)).to.deep.equal([
+      [A, "3"],
+      [B, "1"],
+    ]);
+  });
+
+  it("reports invalid, zero and duplicate addresses and bad allocations by line", function () {
+    const message = readError(
+      `${A},2\n0x1234,1\n${ethers.ZeroAddress},1\n${B},0\n${B},abc\n${A.toLowerCase()},1\n`
+    );
+
+    expect(message).to.contain('line 2: invalid address "0x1234"');
+    expect(message).to.contain(`line 3: invalid address "${ethers.ZeroAddress}"`);
+    expect(message).to.contain("line 4: allocation must be a positive integer");
+    expect(message).to.contain("line 5: allocation must be a positive integer");
+    expect(message).to.contain(`line 6: duplicate address ${A} (first on line 1)`);
+  });
+
+  it("rejects an empty allowlist", function () {
+    expect(readError("address,allocation\n")).to.contain("allowlist is empty");
+  });
+
+  it("builds proofs that verify against the root", function () {
+    const allowlist = buildAllowlist([
+      [A, "3"],
+      [B, "1"],
+    ]);
+
+    for (const [account, allocation] of [[A, "3"], [B, "1"]]) {
+      const claim = claimFor(allowlist, account.toLowerCase());
+      expect(claim.allocation).to.equal(allocation);
+      expect(
+        StandardMerkleTree.verify(allowlist.root, ["address", "uint256"], [account, allocation], claim.proof)
+      ).to.be.true;
+    }
+    expect(claimFor(allowlist, ethers.ZeroAddress)).to.be.null;
+  });
+
+  describe("tasks", function () {
+    beforeEach(function () {
+      log = console.log;
+      console.log = () => {};
+    });
+
+    afterEach(function () {
+      console.log = log;
+    });
+
+    it("builds the allowlist file and applies the root", async function () {
+      const [, user1] = await ethers.getSigners();
+      const NftCollection = await getCollectionFactory();
+      const contract = await NftCollection.deploy("MyNFT", "MNFT", 10, "https://metadata.example.com/");
+      const address = await contract.getAddress();
+
+      const out = path.join(dir, "out", "allowlist.json");
+      await hre.run("nft:allowlist-build", {
+        csv: writeCsv(`${user1.address},2\n${B},1\n`),
+        out,
+        address,
+        apply: true,
+      });
+
+      const allowlist = loadAllowlist(out);
+      expect(await contract.merkleRoot()).to.equal(allowlist.root);
+
+      const { allocation, proof } = claimFor(allowlist, user1.address);
+      await contract.setSaleState(1);
+      await contract.connect(user1).presaleMint(2, allocation, proof);
+      expect(await contract.balanceOf(user1.address)).to.equal(2);
+    });
+
+    it("sets the root from a file", async function () {
+      const NftCollection = await getCollectionFactory();
+      const contract = await NftCollection.deploy("MyNFT", "MNFT", 10, "https://metadata.example.com/");
+      const out = path.join(dir, "allowlist.json");
+      const { root } = await hre.run("nft:allowlist-build", { csv: writeCsv(`${A},1\n`), out });
+
+      const { events } = await hre.run("nft:set-merkle-root", { address: await contract.getAddress(), file: out });
+
+      expect(events).to.deep.equal([{ name: "MerkleRootUpdated", args: { newRoot: root } }]);
+    });
+  });
+});
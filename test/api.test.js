@@ -0,0 +1,155 @@
+const { expect } = require("chai");
+const request = require("supertest");
+const { ethers } = require("hardhat");
+
+const { createApiServer, openApiSpec } = require("../lib/api");
+const { getCollectionFactory } = require("./fixtures");
+
+describe("REST API", function () {
+  async function deployFixture() {
+    const [owner, user1, user2] = await ethers.getSigners();
+
+    const NftCollection = await getCollectionFactory();
+    const contract = await NftCollection.deploy(
+      "MyNFT",
+      "MNFT",
+      10,
+      "https://metadata.example.com/"
+    );
+    const api = request(createApiServer(contract));
+
+    return { contract, api, owner, user1, user2 };
+  }
+
+  // ==================== COLLECTION TESTS ====================
+  describe("GET /collection", function () {
+    it("returns configuration and supply", async function () {
+      const { contract, api, owner, user1 } = await deployFixture();
+      await contract.batchMint(user1.address, [1, 2, 3]);
+
+      const res = await api.get("/collection").expect(200).expect("Content-Type", /json/);
+
+      expect(res.body).to.deep.equal({
+        address: await contract.getAddress(),
+        name: "MyNFT",
+        symbol: "MNFT",
+        maxSupply: "10",
+        totalSupply: "3",
+        remainingSupply: "7",
+        owner: owner.address,
+      });
+    });
+  });
+
+  // ==================== TOKEN TESTS ====================
+  describe("GET /tokens/:id", function () {
+    it("returns owner, approval and token URI", async function () {
+      const { contract, api, user1, user2 } = await deployFixture();
+      await contract.safeMint(user1.address, 1);
+      await contract.connect(user1).approve(user2.address, 1);
+
+      const res = await api.get("/tokens/1").expect(200);
+
+      expect(res.body).to.deep.equal({
+        tokenId: "1",
+        exists: true,
+        owner: user1.address,
+        approved: user2.address,
+        tokenURI: "https://metadata.example.com/1",
+      });
+    });
+
+    it("returns null when no address is approved", async function () {
+      const { contract, api, user1 } = await deployFixture();
+      await contract.safeMint(user1.address, 1);
+
+      const res = await api.get("/tokens/1").expect(200);
+      expect(res.body.approved).to.be.null;
+    });
+
+    it("maps \"Token does not exist\" to 404", async function () {
+      const { api } = await deployFixture();
+
+      const res = await api.get("/tokens/999").expect(404);
+      expect(res.body).to.deep.equal({ error: "Token does not exist" });
+    });
+
+    it("returns 404 for a burned token", async function () {
+      const { contract, api, user1 } = await deployFixture();
+      await contract.safeMint(user1.address, 1);
+      await contract.connect(user1).burn(1);
+
+      await api.get("/tokens/1").expect(404);
+    });
+
+    it("rejects malformed IDs and ID 0 with 400", async function () {
+      const { api } = await deployFixture();
+
+      expect((await api.get("/tokens/abc").expect(400)).body.error).to.equal("Invalid token ID");
+      expect((await api.get("/tokens/0").expect(400)).body.error).to.equal(
+        "Token ID must be greater than 0"
+      );
+    });
+
+    it("rejects IDs beyond uint256 with 400", async function () {
+      const { api } = await deployFixture();
+
+      const res = await api.get(`/tokens/${2n ** 256n}`).expect(400);
+      expect(res.body.error).to.equal("Invalid token ID");
+    });
+
+    it("rejects malformed percent-encoding with 400", async function () {
+      const { api } = await deployFixture();
+
+      const res = await api.get("/tokens/%ZZ").expect(400);
+      expect(res.body.error).to.equal("Malformed URL encoding");
+    });
+  });
+
+  // ==================== BALANCE TESTS ====================
+  describe("GET /owners/:address/balance", function () {
+    it("returns the balance of an address", async function () {
+      const { contract, api, user1 } = await deployFixture();
+      await contract.batchMint(user1.address, [1, 2]);
+
+      const res = await api.get(`/owners/${user1.address.toLowerCase()}/balance`).expect(200);
+      expect(res.body).to.deep.equal({ address: user1.address, balance: "2" });
+    });
+
+    it("rejects malformed addresses with 400", async function () {
+      const { api } = await deployFixture();
+
+      const res = await api.get("/owners/0x1234/balance").expect(400);
+      expect(res.body.error).to.equal("Invalid address");
+    });
+
+    it("maps the zero-address revert to 400", async function () {
+      const { api } = await deployFixture();
+
+      const res = await api.get(`/owners/${ethers.ZeroAddress}/balance`).expect(400);
+      expect(res.body.error).to.equal("Invalid owner address");
+    });
+  });
+
+  // ==================== MISC TESTS ====================
+  describe("Routing and OpenAPI", function () {
+    it("serves the OpenAPI document", async function () {
+      const { api } = await deployFixture();
+
+      const res = await api.get("/openapi.json").expect(200);
+      expect(res.body).to.deep.equal(openApiSpec);
+      expect(Object.keys(res.body.paths)).to.deep.equal([
+        "/collection",
+        "/tokens/{id}",
+        "/owners/{address}/balance",
+      ]);
+    });
+
+    it("returns 404 for unknown routes and 405 for writes", async function () {
+      const { api } = await deployFixture();
+
+      await api.get("/nope").expect(404);
+      await api.post("/collection").expect(405);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+
+const { resolveCollectionConfig } = require("../lib/config");
+const { deployCollection, readDeployment, readLiveDeployment, writeDeployment } = require("../lib/deployments");
+
+describe("Deployment records", function () {
+  const args = {
+    name: "MyNFT",
+    symbol: "MNFT",
+    maxSupply: 10n,
+    baseURI: "https://metadata.example.com/",
+  };
+
+  let dir;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "nft-deployments-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // ==================== CONFIG TESTS ====================
+  describe("Config resolution", function () {
+    it("prefers CLI options over env vars over the config file", function () {
+      const file = path.join(dir, "collection.json");
+      fs.writeFileSync(
+        file,
+        JSON.stringify({ name: "FileNFT", symbol: "FILE", maxSupply: 5, baseURI: "ipfs://file/" })
+      );
+
+      const config = resolveCollectionConfig(
+        { name: "CliNFT", config: file },
+        { NFT_SYMBOL: "ENV" }
+      );
+
+      expect(config).to.deep.equal({
+        name: "CliNFT",
+        symbol: "ENV",
+        maxSupply: 5n,
+        baseURI: "ipfs://file/",
+      });
+    });
+
+    it("rejects missing and invalid values", function () {
+      expect(() => resolveCollectionConfig({ name: "MyNFT" }, {})).to.throw("Missing symbol");
+      expect(() =>
+        resolveCollectionConfig({ ...args, maxSupply: "0" }, {})
+      ).to.throw("Max supply must be greater than 0");
+    });
+  });
+
+  // ==================== RECORD TESTS ====================
+  describe("Deploy and reuse", function () {
+    it("writes a record for a new deployment", async function () {
+      const { contract, record, reused } = await deployCollection(hre, args, { dir });
+
+      expect(reused).to.be.false;
+      expect(record.address).to.equal(await contract.getAddress());
+      expect(record.args.maxSupply).to.equal("10");
+      expect(record.abiHash).to.match(/^0x[0-9a-f]{64}$/);
+      expect(readDeployment(hre, "NftCollection", { dir })).to.deep.equal(record);
+      expect(await contract.maxSupply()).to.equal(10);
+    });
+
+    it("reuses the recorded deployment on re-run", async function () {
+      const first = await deployCollection(hre, args, { dir });
+      const second = await deployCollection(hre, args, { dir });
+
+      expect(second.reused).to.be.true;
+      expect(second.record.address).to.equal(first.record.address);
+    });
+
+    it("refuses to reuse a deployment with different args", async function () {
+      await deployCollection(hre, args, { dir });
+
+      let error;
+      try {
+        await deployCollection(hre, { ...args, symbol: "OTHER" }, { dir });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.contain("different constructor args");
+    });
+
+    it("deploys a new contract when asked to redeploy", async function () {
+      const first = await deployCollection(hre, args, { dir });
+      const second = await deployCollection(hre, args, { dir, redeploy: true });
+
+      expect(second.reused).to.be.false;
+      expect(second.record.address).to.not.equal(first.record.address);
+    });
+
+    it("warns and deploys a new contract when the recorded address has no code", async function () {
+      const [, user1] = await hre.ethers.getSigners();
+      const { record } = await deployCollection(hre, args, { dir });
+      writeDeployment(hre, { ...record, address: user1.address }, { dir });
+
+      const warnings = [];
+      const warn = console.warn;
+      console.warn = (message) => warnings.push(message);
+      let live;
+      let deployed;
+      try {
+        live = await readLiveDeployment(hre, "NftCollection", { dir });
+        deployed = await deployCollection(hre, args, { dir });
+      } finally {
+        console.warn = warn;
+      }
+
+      expect(live).to.be.null;
+      expect(warnings).to.have.length(2);
+      expect(warnings[0]).to.contain(`Recorded NftCollection at ${user1.address} has no code`);
+      expect(deployed.reused).to.be.false;
+      expect(await readLiveDeployment(hre, "NftCollection", { dir })).to.deep.equal(deployed.record);
+    });
+  });
+});
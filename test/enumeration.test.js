@@ -0,0 +1,80 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { listTokens, pageTokens } = require("../lib/enumeration");
+const { getCollectionFactory } = require("./fixtures");
+
+describe("Token enumeration helper", function () {
+  async function deployFixture() {
+    const [owner, user1, user2] = await ethers.getSigners();
+
+    const NftCollection = await getCollectionFactory();
+    const contract = await NftCollection.deploy(
+      "MyNFT",
+      "MNFT",
+      10,
+      "https://metadata.example.com/"
+    );
+
+    return { contract, owner, user1, user2 };
+  }
+
+  async function collect(iterator) {
+    const pages = [];
+    for await (const page of iterator) {
+      pages.push(page);
+    }
+    return pages;
+  }
+
+  it("pages through every token", async function () {
+    const { contract, user1, user2 } = await deployFixture();
+    await contract.batchMint(user1.address, [1, 2, 3, 4]);
+    await contract.safeMint(user2.address, 9);
+
+    expect(await collect(pageTokens(contract, { pageSize: 2 }))).to.deep.equal([
+      [1n, 2n],
+      [3n, 4n],
+      [9n],
+    ]);
+    expect(await listTokens(contract, { pageSize: 5 })).to.deep.equal([1n, 2n, 3n, 4n, 9n]);
+  });
+
+  it("lists the tokens of an owner", async function () {
+    const { contract, user1, user2 } = await deployFixture();
+    await contract.batchMint(user1.address, [1, 2, 3]);
+    await contract.safeMint(user2.address, 4);
+
+    expect(await listTokens(contract, { owner: user1.address, pageSize: 2 })).to.deep.equal([1n, 2n, 3n]);
+    expect(await listTokens(contract, { owner: ethers.Wallet.createRandom().address })).to.deep.equal([]);
+  });
+
+  it("reads every page at the block where iteration started", async function () {
+    const { contract, user1 } = await deployFixture();
+    await contract.batchMint(user1.address, [1, 2, 3, 4]);
+
+    const pages = pageTokens(contract, { pageSize: 2 });
+    const first = await pages.next();
+    // Moves token 4 into index 0 and shrinks the list; later pages must not see it
+    await contract.connect(user1).burn(1);
+    const rest = await collect(pages);
+
+    expect([first.value, ...rest]).to.deep.equal([
+      [1n, 2n],
+      [3n, 4n],
+    ]);
+    expect(await listTokens(contract)).to.deep.equal([4n, 2n, 3n]);
+  });
+
+  it("rejects a page size of 0", async function () {
+    const { contract } = await deployFixture();
+
+    let error;
+    try {
+      await listTokens(contract, { pageSize: 0 });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.equal("Page size must be greater than 0");
+  });
+});
@@ -0,0 +1,294 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+
+const { readDeployment } = require("../lib/deployments");
+const { createCollection, deployCollectionFactory, deployFactory, getFactory } = require("../lib/factory");
+
+const { ethers } = hre;
+
+describe("Collection factory", function () {
+  const args = {
+    name: "MyNFT",
+    symbol: "MNFT",
+    maxSupply: 10n,
+    baseURI: "https://metadata.example.com/",
+  };
+
+  async function deployFixture() {
+    const [owner, user1, user2] = await ethers.getSigners();
+    const { factory, implementation } = await deployFactory(hre);
+    return { factory, implementation, owner, user1, user2 };
+  }
+
+  // ==================== CREATION TESTS ====================
+  describe("Creation", function () {
+    it("creates an initialized clone of the implementation", async function () {
+      const { factory, implementation, owner } = await deployFixture();
+
+      const { contract, address, event } = await createCollection(hre, factory, args);
+
+      // EIP-1167 runtime code embeds the implementation address
+      const code = await ethers.provider.getCode(address);
+      expect(ethers.dataLength(code)).to.equal(45);
+      expect(code.toLowerCase()).to.contain((await implementation.getAddress()).slice(2).toLowerCase());
+
+      expect(await contract.name()).to.equal("MyNFT");
+      expect(await contract.symbol()).to.equal("MNFT");
+      expect(await contract.maxSupply()).to.equal(10);
+      expect(await contract.owner()).to.equal(owner.address);
+      expect(await contract.hasRole(await contract.MINTER_ROLE(), owner.address)).to.be.true;
+      expect(event).to.deep.equal({
+        creator: owner.address,
+        collection: address,
+        initialOwner: owner.address,
+        name: "MyNFT",
+        symbol: "MNFT",
+        maxSupply: 10n,
+        baseURI: "https://metadata.example.com/",
+      });
+    });
+
+    it("registers collections by creator", async function () {
+      const { factory, owner, user1 } = await deployFixture();
+
+      const first = await createCollection(hre, factory, args);
+      const second = await createCollection(hre, factory, { ...args, name: "Other" }, { signer: user1 });
+      const third = await createCollection(hre, factory, { ...args, name: "Third" });
+
+      expect(await factory.collectionsOf(owner.address)).to.deep.equal([first.address, third.address]);
+      expect(await factory.collectionsOf(user1.address)).to.deep.equal([second.address]);
+      expect(await factory.collectionCountOf(owner.address)).to.equal(2);
+      expect(await factory.creatorOf(second.address)).to.equal(user1.address);
+      expect(await factory.creatorOf(await factory.implementation())).to.equal(ethers.ZeroAddress);
+    });
+
+    it("hands every role to an initial owner other than the creator", async function () {
+      const { factory, owner, user1 } = await deployFixture();
+
+      const { contract, event } = await createCollection(hre, factory, { ...args, initialOwner: user1.address });
+
+      expect(event.creator).to.equal(owner.address);
+      expect(await contract.owner()).to.equal(user1.address);
+      for (const role of ["MINTER_ROLE", "METADATA_ADMIN_ROLE", "BURNER_ROLE", "PAUSER_ROLE"]) {
+        expect(await contract.hasRole(await contract[role](), user1.address)).to.be.true;
+        expect(await contract.hasRole(await contract[role](), owner.address)).to.be.false;
+      }
+      await expect(contract.safeMint(owner.address, 1)).to.be.revertedWithCustomError(
+        contract,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+
+    it("applies the initializer checks", async function () {
+      const { factory, implementation } = await deployFixture();
+
+      await expect(createCollection(hre, factory, { ...args, maxSupply: 0n })).to.be.revertedWith(
+        "Max supply must be greater than 0"
+      );
+      await expect(createCollection(hre, factory, { ...args, baseURI: "" })).to.be.revertedWith(
+        "Base URI cannot be empty"
+      );
+      await expect(createCollection(hre, factory, { ...args, initialOwner: ethers.ZeroAddress }))
+        .to.be.revertedWithCustomError(implementation, "AccessControlInvalidDefaultAdmin")
+        .withArgs(ethers.ZeroAddress);
+    });
+
+    it("rejects an implementation without code", async function () {
+      const [, user1] = await ethers.getSigners();
+      const Factory = await ethers.getContractFactory("NftCollectionFactory");
+
+      await expect(Factory.deploy(user1.address)).to.be.revertedWith("Implementation is not a contract");
+    });
+  });
+
+  // ==================== INITIALIZATION TESTS ====================
+  describe("Initialization", function () {
+    it("cannot initialize a clone twice", async function () {
+      const { factory, user1 } = await deployFixture();
+      const { contract } = await createCollection(hre, factory, args);
+
+      await expect(
+        contract.connect(user1).initialize("Other", "OTH", 1, "ipfs://other/", user1.address)
+      ).to.be.revertedWithCustomError(contract, "InvalidInitialization");
+    });
+
+    it("locks the implementation", async function () {
+      const { implementation, owner } = await deployFixture();
+
+      expect(await implementation.maxSupply()).to.equal(0);
+      await expect(
+        implementation.initialize("MyNFT", "MNFT", 10, "https://metadata.example.com/", owner.address)
+      ).to.be.revertedWithCustomError(implementation, "InvalidInitialization");
+    });
+  });
+
+  // ==================== INDEPENDENCE TESTS ====================
+  describe("Independence", function () {
+    async function twoCollectionsFixture() {
+      const fixture = await deployFixture();
+      const { factory, user1 } = fixture;
+      const { contract: first } = await createCollection(hre, factory, args);
+      // second is connected to its creator and owner, user1
+      const { contract: second } = await createCollection(
+        hre,
+        factory,
+        { name: "Other", symbol: "OTH", maxSupply: 3n, baseURI: "ipfs://other/" },
+        { signer: user1 }
+      );
+      return { ...fixture, first, second };
+    }
+
+    it("keeps configuration apart", async function () {
+      const { first, second, owner, user1 } = await twoCollectionsFixture();
+
+      expect([await first.name(), await second.name()]).to.deep.equal(["MyNFT", "Other"]);
+      expect([await first.maxSupply(), await second.maxSupply()]).to.deep.equal([10n, 3n]);
+      expect([await first.owner(), await second.owner()]).to.deep.equal([owner.address, user1.address]);
+
+      const [, firstName] = await first.eip712Domain();
+      const [, secondName, , , secondContract] = await second.eip712Domain();
+      expect([firstName, secondName]).to.deep.equal(["MyNFT", "Other"]);
+      expect(secondContract).to.equal(await second.getAddress());
+    });
+
+    it("mints, transfers and burns the same token IDs separately", async function () {
+      const { first, second, owner, user1, user2 } = await twoCollectionsFixture();
+
+      await first.batchMint(user2.address, [1, 2, 3]);
+      await second.safeMint(owner.address, 1);
+      await first.connect(user2).transferFrom(user2.address, user1.address, 1);
+      await first.connect(user2).burn(2);
+
+      expect(await first.ownerOf(1)).to.equal(user1.address);
+      expect(await second.ownerOf(1)).to.equal(owner.address);
+      expect(await first.totalSupply()).to.equal(2);
+      expect(await second.totalSupply()).to.equal(1);
+      expect(await first.remainingSupply()).to.equal(8);
+      expect(await second.remainingSupply()).to.equal(2);
+      expect(await second.tokenExists(2)).to.be.false;
+      expect(await first.tokenURI(1)).to.equal("https://metadata.example.com/1");
+      expect(await second.tokenURI(1)).to.equal("ipfs://other/1");
+    });
+
+    it("keeps roles, pausing and metadata freezes apart", async function () {
+      const { first, second, owner, user1 } = await twoCollectionsFixture();
+
+      await expect(second.connect(owner).safeMint(owner.address, 1)).to.be.revertedWithCustomError(
+        second,
+        "AccessControlUnauthorizedAccount"
+      );
+
+      await first.pause();
+      await expect(second.connect(owner).pause()).to.be.revertedWithCustomError(
+        second,
+        "AccessControlUnauthorizedAccount"
+      );
+      expect(await first.paused()).to.be.true;
+      expect(await second.paused()).to.be.false;
+      await second.safeMint(user1.address, 1);
+
+      await first.freezeMetadata();
+      await second.setBaseURI("ipfs://moved/");
+      expect(await second.tokenURI(1)).to.equal("ipfs://moved/1");
+    });
+
+    it("derives different on-chain artwork per clone", async function () {
+      const { first, second, owner } = await twoCollectionsFixture();
+      await first.safeMint(owner.address, 1);
+      await second.safeMint(owner.address, 1);
+      await first.setOnChainMetadata(true);
+      await second.setOnChainMetadata(true);
+
+      expect(await first.tokenURI(1)).to.not.equal(await second.tokenURI(1));
+    });
+  });
+
+  // ==================== DEPLOYMENT TESTS ====================
+  describe("Deployment", function () {
+    let dir;
+
+    beforeEach(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "nft-factory-"));
+    });
+
+    afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("records the factory and its implementation", async function () {
+      const { factory, record } = await deployCollectionFactory(hre, { dir });
+
+      expect(readDeployment(hre, "NftCollectionFactory", { dir })).to.deep.equal(record);
+      expect(record.address).to.equal(await factory.getAddress());
+      expect(record.implementation).to.equal(await factory.implementation());
+      expect(record.implementationName).to.equal("NftCollectionUpgradeable");
+      expect(Object.keys(record.libraries)).to.have.length(3);
+
+      const found = await getFactory(hre, undefined, undefined, { dir });
+      expect(await found.getAddress()).to.equal(record.address);
+    });
+
+    it("reports a missing record or contract", async function () {
+      const [, user1] = await ethers.getSigners();
+
+      await expect(getFactory(hre, undefined, undefined, { dir })).to.be.rejectedWith(
+        "run scripts/deploy-factory.js or pass --factory"
+      );
+      await expect(getFactory(hre, user1.address)).to.be.rejectedWith("No contract deployed at");
+    });
+  });
+
+  // ==================== TASK TESTS ====================
+  describe("tasks", function () {
+    let log;
+
+    // Task output is not under test, keep the mocha report readable
+    beforeEach(function () {
+      log = console.log;
+      console.log = () => {};
+    });
+
+    afterEach(function () {
+      console.log = log;
+    });
+
+    it("creates collections and lists them by creator", async function () {
+      const { factory, owner, user1 } = await deployFixture();
+      const address = await factory.getAddress();
+
+      const created = await hre.run("nft:factory-create", {
+        factory: address,
+        name: "MyNFT",
+        symbol: "MNFT",
+        maxSupply: "10",
+        baseUri: "https://metadata.example.com/",
+      });
+      await hre.run("nft:factory-create", {
+        factory: address,
+        name: "Other",
+        symbol: "OTH",
+        maxSupply: "3",
+        baseUri: "ipfs://other/",
+        owner: user1.address,
+      });
+      await created.contract.safeMint(user1.address, 1);
+
+      const collections = await hre.run("nft:factory-list", { factory: address });
+
+      expect(collections).to.have.length(2);
+      expect(collections[0]).to.deep.equal({
+        address: created.address,
+        name: "MyNFT",
+        symbol: "MNFT",
+        owner: owner.address,
+        totalSupply: 1n,
+        maxSupply: 10n,
+      });
+      expect(collections[1].owner).to.equal(user1.address);
+      expect(await hre.run("nft:factory-list", { factory: address, creator: user1.address })).to.deep.equal([]);
+    });
+  });
+});
@@ -0,0 +1,53 @@
+const hre = require("hardhat");
+
+const { collectionFactory } = require("../lib/deployments");
+const { createCollection, deployFactory } = require("../lib/factory");
+const { deployProxy } = require("../lib/upgrades");
+
+// NftCollectionFactory shared by every suite under NFT_CLONE=true
+let cloneFactory;
+
+/**
+ * @dev Returns the shared NftCollectionFactory, deploying it on first use
+ * Redeployed when a suite reverted the chain to a snapshot taken before it existed.
+ */
+async function sharedCloneFactory() {
+  if (!cloneFactory || (await hre.ethers.provider.getCode(cloneFactory.target)) === "0x") {
+    ({ factory: cloneFactory } = await deployFactory(hre));
+  }
+  return cloneFactory;
+}
+
+/**
+ * @dev Returns a factory whose deploy(name, symbol, maxSupply, baseURI) creates a collection
+ * With NFT_PROXY=true (npm run test:proxy) it deploys NftCollectionUpgradeable behind a transparent
+ * proxy instead, so every suite also runs against the proxied instance. With NFT_CLONE=true
+ * (npm run test:clone) it creates a clone through one shared NftCollectionFactory, so every suite
+ * also runs against clones living side by side.
+ * @param signer Optional deploying account
+ */
+async function getCollectionFactory(signer) {
+  if (process.env.NFT_CLONE === "true") {
+    return {
+      deploy: async (name, symbol, maxSupply, baseURI) => {
+        const { contract } = await createCollection(
+          hre,
+          await sharedCloneFactory(),
+          { name, symbol, maxSupply, baseURI },
+          { signer: signer || (await hre.ethers.getSigners())[0] }
+        );
+        return contract;
+      },
+    };
+  }
+  if (process.env.NFT_PROXY !== "true") {
+    return collectionFactory(hre, { signer });
+  }
+  // Linking the libraries is reviewed, see PROXY_OPTIONS in lib/upgrades.js
+  hre.upgrades.silenceWarnings();
+  return {
+    deploy: (name, symbol, maxSupply, baseURI) => deployProxy(hre, { name, symbol, maxSupply, baseURI }, { signer }),
+  };
+}
+
+module.exports = { getCollectionFactory };
@@ -0,0 +1,309 @@
+const { ethers } = require("hardhat");
+
+const { revertReason } = require("../lib/collection");
+const { getCollectionFactory } = require("./fixtures");
+
+// Small spaces keep random steps colliding: the same IDs get minted, burned and reminted
+// by the same few accounts. ID 0 and a supply below the ID range exercise the mint checks.
+const MAX_SUPPLY = 5;
+const TOKEN_IDS = [0, 1, 2, 3, 4, 5, 6, 7];
+const ACCOUNT_NAMES = ["owner", "user1", "user2", "user3"];
+// Actor of a token step that stands for whoever holds the token when the step runs
+const HOLDER = "holder";
+
+/**
+ * @dev Seeded PRNG (mulberry32), so a seed reproduces a sequence exactly
+ */
+function random(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * @dev Generates a random sequence of steps
+ * Steps are plain data naming accounts by index, so they can be replayed, shrunk and printed.
+ * Minting mostly comes from the owner, who holds the minter role. Burns, transfers and approvals
+ * mostly come from the token's holder or the owner acting through the admin override; from anyone
+ * else they mostly revert.
+ */
+function generateSequence(seed, length) {
+  const next = random(seed);
+  const pick = (items) => items[Math.floor(next() * items.length)];
+  const account = () => Math.floor(next() * ACCOUNT_NAMES.length);
+  const minter = () => (next() < 0.8 ? 0 : account());
+  const operator = () => {
+    const r = next();
+    return r < 0.4 ? HOLDER : r < 0.65 ? 0 : account();
+  };
+
+  const safeMint = () => ({ action: "safeMint", actor: minter(), to: account(), tokenId: pick(TOKEN_IDS) });
+  const batchMint = () => ({
+    action: "batchMint",
+    actor: minter(),
+    to: account(),
+    tokenIds: Array.from({ length: 1 + Math.floor(next() * 3) }, () => pick(TOKEN_IDS)),
+  });
+
+  // Mints are listed twice: burns outnumbering them would leave too few tokens to act on
+  const generators = [
+    safeMint,
+    safeMint,
+    batchMint,
+    batchMint,
+    () => ({ action: "burn", actor: operator(), tokenId: pick(TOKEN_IDS) }),
+    () => ({ action: "transfer", actor: operator(), to: account(), tokenId: pick(TOKEN_IDS) }),
+    () => ({ action: "approve", actor: operator(), to: account(), tokenId: pick(TOKEN_IDS) }),
+    () => ({ action: "setApprovalForAll", actor: account(), to: account(), approved: next() < 0.7 }),
+  ];
+  return Array.from({ length }, () => pick(generators)());
+}
+
+/**
+ * @dev Describes a step as a call, e.g. "owner.batchMint(user1, [1, 2])"
+ */
+function formatStep(step) {
+  const actor = step.actor === HOLDER ? HOLDER : ACCOUNT_NAMES[step.actor];
+  const to = ACCOUNT_NAMES[step.to];
+  switch (step.action) {
+    case "safeMint":
+      return `${actor}.safeMint(${to}, ${step.tokenId})`;
+    case "batchMint":
+      return `${actor}.batchMint(${to}, [${step.tokenIds.join(", ")}])`;
+    case "burn":
+      return `${actor}.burn(${step.tokenId})`;
+    case "transfer":
+      return `${actor}.transferFrom(ownerOf(${step.tokenId}), ${to}, ${step.tokenId})`;
+    case "approve":
+      return `${actor}.approve(${to}, ${step.tokenId})`;
+    default:
+      return `${actor}.setApprovalForAll(${to}, ${step.approved})`;
+  }
+}
+
+/**
+ * @dev Sends one step, resolving to null on success or the revert reason
+ * Transfers move the token from its current owner, so they succeed whenever the actor is allowed to.
+ * The holder of a token that does not exist is the owner.
+ */
+async function applyStep(contract, accounts, step) {
+  const tokenOwner = step.tokenId === undefined ? null : await ownerOrNull(contract, step.tokenId);
+  const signer =
+    step.actor === HOLDER ? accounts.find((a) => a.address === tokenOwner) || accounts[0] : accounts[step.actor];
+  const actor = contract.connect(signer);
+  const to = accounts[step.to] && accounts[step.to].address;
+
+  let tx;
+  try {
+    switch (step.action) {
+      case "safeMint":
+        tx = await actor.safeMint(to, step.tokenId);
+        break;
+      case "batchMint":
+        tx = await actor.batchMint(to, step.tokenIds);
+        break;
+      case "burn":
+        tx = await actor.burn(step.tokenId);
+        break;
+      case "transfer":
+        tx = await actor.transferFrom(tokenOwner || signer.address, to, step.tokenId);
+        break;
+      case "approve":
+        tx = await actor.approve(to, step.tokenId);
+        break;
+      default:
+        tx = await actor.setApprovalForAll(to, step.approved);
+    }
+    await tx.wait();
+    return null;
+  } catch (error) {
+    // Anything but a revert is a harness bug and must not pass as a rejected step
+    if (!/revert/i.test(error.message)) {
+      throw error;
+    }
+    return revertReason(error, contract.interface) || error.message.split("\n")[0];
+  }
+}
+
+async function ownerOrNull(contract, tokenId) {
+  try {
+    return await contract.ownerOf(tokenId);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @dev Reads everything the invariants look at
+ */
+async function readState(contract, accounts) {
+  const tokens = [];
+  for (const tokenId of TOKEN_IDS) {
+    tokens.push({
+      tokenId,
+      exists: await contract.tokenExists(tokenId),
+      owner: await ownerOrNull(contract, tokenId),
+    });
+  }
+  const balances = [];
+  for (const account of accounts) {
+    balances.push(await contract.balanceOf(account.address));
+  }
+  return {
+    totalSupply: await contract.totalSupply(),
+    remainingSupply: await contract.remainingSupply(),
+    maxSupply: await contract.maxSupply(),
+    balances,
+    tokens,
+  };
+}
+
+// Each invariant returns a description of the violation, or null
+// Tokens only ever reach the fuzzed accounts, so their balances cover every holder.
+const INVARIANTS = [
+  (state) => {
+    const sum = state.balances.reduce((total, balance) => total + balance, 0n);
+    return sum === state.totalSupply ? null : `totalSupply ${state.totalSupply} != sum of balances ${sum}`;
+  },
+  (state) =>
+    state.remainingSupply === state.maxSupply - state.totalSupply
+      ? null
+      : `remainingSupply ${state.remainingSupply} != maxSupply ${state.maxSupply} - totalSupply ${state.totalSupply}`,
+  (state) => {
+    const token = state.tokens.find((t) => t.exists !== (t.owner !== null));
+    return token ? `tokenExists(${token.tokenId}) is ${token.exists} but ownerOf is ${token.owner}` : null;
+  },
+  (state) => {
+    const existing = state.tokens.filter((t) => t.exists).length;
+    return BigInt(existing) === state.totalSupply
+      ? null
+      : `${existing} tokens exist but totalSupply is ${state.totalSupply}`;
+  },
+];
+
+/**
+ * @dev Replays steps on a fresh collection, checking the invariants after every step
+ * @param options.invariants Checks called with (state, previous state), defaults to INVARIANTS
+ * @return { failure, outcomes } where failure is { index, message } or null, and outcomes holds
+ * the revert reason of each step that ran, or null where it succeeded
+ */
+async function runSequence(steps, options = {}) {
+  const invariants = options.invariants || INVARIANTS;
+  const accounts = (await ethers.getSigners()).slice(0, ACCOUNT_NAMES.length);
+  const contract = await (await getCollectionFactory()).deploy(
+    "Fuzz",
+    "FUZZ",
+    MAX_SUPPLY,
+    "https://metadata.example.com/"
+  );
+
+  const outcomes = [];
+  let previous = null;
+  for (let index = 0; index < steps.length; index++) {
+    outcomes.push(await applyStep(contract, accounts, steps[index]));
+    const state = await readState(contract, accounts);
+    for (const invariant of invariants) {
+      const message = invariant(state, previous);
+      if (message) {
+        return { failure: { index, message }, outcomes };
+      }
+    }
+    previous = state;
+  }
+  return { failure: null, outcomes };
+}
+
+/**
+ * @dev Shrinks a failing sequence until removing any step, or any ID of a batch, makes it pass
+ * Chunks are dropped first, halving their size down to single steps, then batches are trimmed.
+ */
+async function shrink(steps, options = {}) {
+  const fails = async (candidate) => (await runSequence(candidate, options)).failure;
+
+  let failure = await fails(steps);
+  let current = steps.slice(0, failure.index + 1);
+  let shrunk = true;
+  while (shrunk) {
+    shrunk = false;
+
+    for (let size = Math.max(1, Math.floor(current.length / 2)); size >= 1; size = Math.floor(size / 2)) {
+      for (let start = 0; start < current.length && current.length > 1; ) {
+        const candidate = [...current.slice(0, start), ...current.slice(start + size)];
+        const result = candidate.length > 0 ? await fails(candidate) : null;
+        if (result) {
+          current = candidate.slice(0, result.index + 1);
+          failure = result;
+          shrunk = true;
+        } else {
+          start += size;
+        }
+      }
+    }
+
+    for (let i = 0; i < current.length; i++) {
+      const step = current[i];
+      for (let j = 0; step.action === "batchMint" && j < step.tokenIds.length && step.tokenIds.length > 1; ) {
+        const trimmed = { ...step, tokenIds: step.tokenIds.filter((_, k) => k !== j) };
+        const candidate = [...current.slice(0, i), trimmed, ...current.slice(i + 1)];
+        const result = await fails(candidate);
+        if (result) {
+          current = candidate.slice(0, result.index + 1);
+          current[i] = trimmed;
+          failure = result;
+          shrunk = true;
+          break;
+        }
+        j++;
+      }
+    }
+  }
+
+  return { steps: current, failure };
+}
+
+/**
+ * @dev Prints a sequence with the outcome of each step, marking the step that broke an invariant
+ */
+async function formatSequence(steps, options = {}) {
+  const { failure, outcomes } = await runSequence(steps, options);
+  const lines = steps.map((step, i) => `  ${i + 1}. ${formatStep(step)}${outcomes[i] ? `  -- ${outcomes[i]}` : ""}`);
+  if (failure) {
+    lines.push(`  violated after step ${failure.index + 1}: ${failure.message}`);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * @dev Runs random sequences and returns the first failure shrunk to a minimal reproduction
+ * @param options.seed Seed of the first run, run i uses seed + i
+ * @param options.runs Number of sequences
+ * @param options.length Steps per sequence
+ * @param options.invariants Checks to run instead of INVARIANTS
+ * @return null when every run held, otherwise { seed, steps, failure, report }
+ */
+async function fuzz(options) {
+  for (let run = 0; run < options.runs; run++) {
+    const seed = options.seed + run;
+    const steps = generateSequence(seed, options.length);
+    if ((await runSequence(steps, options)).failure) {
+      const minimal = await shrink(steps, options);
+      const report = await formatSequence(minimal.steps, options);
+      return { seed, ...minimal, report };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  INVARIANTS,
+  formatStep,
+  fuzz,
+  generateSequence,
+  runSequence,
+  shrink,
+};
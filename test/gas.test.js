@@ -0,0 +1,54 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+
+const { SCENARIOS, checkBudgets, compareGas, formatGasTable, readGasReport, runGasBenchmark } = require("../lib/gas");
+
+describe("Gas benchmark", function () {
+  let results;
+
+  before(async function () {
+    results = await runGasBenchmark(hre);
+  });
+
+  it("measures every scenario", function () {
+    expect(Object.keys(results)).to.deep.equal(SCENARIOS.map((scenario) => scenario.name));
+    for (const gas of Object.values(results)) {
+      expect(gas).to.be.a("number").and.to.be.greaterThan(21000);
+    }
+  });
+
+  it("covers the scenarios of the committed baseline and budgets", function () {
+    const names = SCENARIOS.map((scenario) => scenario.name);
+    expect(Object.keys(readGasReport("benchmarks/gas-baseline.json"))).to.deep.equal(names);
+    expect(Object.keys(readGasReport("benchmarks/gas-budgets.json"))).to.deep.equal(names);
+  });
+
+  it("stays within the committed budgets", function () {
+    const over = checkBudgets(results, readGasReport("benchmarks/gas-budgets.json"));
+    expect(over).to.deep.equal([]);
+  });
+
+  it("batch mints cost less per token than single mints", function () {
+    const single = results["batchMint (1 token)"];
+    expect(results["batchMint (10 tokens)"] / 10).to.be.lessThan(single);
+    expect(results["batchMint (100 tokens)"] / 100).to.be.lessThan(single);
+  });
+
+  it("flags scenarios over or without a budget", function () {
+    expect(checkBudgets({ mint: 100, burn: 60, transfer: 30 }, { mint: 100, burn: 50 })).to.deep.equal([
+      { name: "burn", gas: 60, budget: 50 },
+      { name: "transfer", gas: 30, budget: null },
+    ]);
+  });
+
+  it("compares results against a baseline", function () {
+    const rows = compareGas({ mint: 100, burn: 50 }, { mint: 110, transfer: 30 });
+
+    expect(rows).to.deep.equal([
+      { name: "mint", before: 100, after: 110, delta: 10, percent: 10 },
+      { name: "burn", before: 50, after: null, delta: null, percent: null },
+      { name: "transfer", before: null, after: 30, delta: null, percent: null },
+    ]);
+    expect(formatGasTable(rows).split("\n")[1]).to.match(/^mint\s+100\s+110\s+\+10 \(10\.0%\)$/);
+  });
+});
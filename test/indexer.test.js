@@ -0,0 +1,223 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+
+const { createIndexer, openIndexStore } = require("../lib/indexer");
+const { getCollectionFactory } = require("./fixtures");
+
+describe("Event indexer", function () {
+  let dir;
+  let stores;
+
+  async function deployFixture() {
+    const [owner, user1, user2, user3] = await ethers.getSigners();
+
+    const NftCollection = await getCollectionFactory();
+    const contract = await NftCollection.deploy(
+      "MyNFT",
+      "MNFT",
+      10,
+      "https://metadata.example.com/"
+    );
+    const startBlock = (await contract.deploymentTransaction().wait()).blockNumber;
+
+    return { contract, startBlock, owner, user1, user2, user3 };
+  }
+
+  async function openIndexer(contract, startBlock, file = null) {
+    const store = await openIndexStore(file);
+    stores.push(store);
+    return { store, indexer: createIndexer(contract, store, { startBlock }) };
+  }
+
+  // The index must agree with the contract for every token and account it knows about
+  async function expectMatchesChain(contract, store, accounts, tokenIds) {
+    for (const tokenId of tokenIds) {
+      if (await contract.tokenExists(tokenId)) {
+        expect(store.ownerOf(tokenId), `owner of ${tokenId}`).to.equal(await contract.ownerOf(tokenId));
+        const approved = await contract.getApproved(tokenId);
+        expect(store.getApproved(tokenId) ?? ethers.ZeroAddress, `approved of ${tokenId}`).to.equal(approved);
+      } else {
+        expect(store.ownerOf(tokenId), `owner of burned ${tokenId}`).to.be.null;
+      }
+    }
+
+    let holders = 0;
+    for (const account of accounts) {
+      const balance = await contract.balanceOf(account.address);
+      expect(store.balanceOf(account.address), `balance of ${account.address}`).to.equal(Number(balance));
+      expect(store.tokensOf(account.address)).to.have.length(Number(balance));
+      if (balance > 0n) {
+        holders++;
+      }
+    }
+    expect(store.holderCount()).to.equal(holders);
+    expect(store.tokenCount()).to.equal(Number(await contract.totalSupply()));
+  }
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "nft-indexer-"));
+    stores = [];
+  });
+
+  afterEach(function () {
+    stores.forEach((store) => store.close());
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("indexes ownership, holders and token history", async function () {
+    const { contract, startBlock, owner, user1, user2 } = await deployFixture();
+    await contract.batchMint(user1.address, [1, 2, 3]);
+    await contract.connect(user1).transferFrom(user1.address, user2.address, 2);
+    await contract.connect(user2).burn(2);
+    await contract.setBaseURI("https://new.example.com/");
+
+    const { store, indexer } = await openIndexer(contract, startBlock);
+    const result = await indexer.sync();
+
+    expect(result.events).to.equal(10);
+    expect(store.tokensOf(user1.address)).to.deep.equal([1n, 3n]);
+    expect(store.tokensOf(user2.address)).to.deep.equal([]);
+    expect(store.holderCount()).to.equal(1);
+    expect(store.baseURI()).to.equal("https://new.example.com/");
+    expect(store.tokenHistory(2).map((e) => e.name)).to.deep.equal([
+      "Transfer",
+      "TokenMinted",
+      "Transfer",
+      "Transfer",
+      "TokenBurned",
+    ]);
+    await expectMatchesChain(contract, store, [owner, user1, user2], [1, 2, 3]);
+  });
+
+  it("tracks approvals and operators", async function () {
+    const { contract, startBlock, user1, user2, user3 } = await deployFixture();
+    await contract.safeMint(user1.address, 1);
+    await contract.connect(user1).approve(user2.address, 1);
+    await contract.connect(user1).setApprovalForAll(user3.address, true);
+
+    const { store, indexer } = await openIndexer(contract, startBlock);
+    await indexer.sync();
+
+    expect(store.getApproved(1)).to.equal(user2.address);
+    expect(store.isApprovedForAll(user1.address, user3.address)).to.be.true;
+
+    // Transfers clear the token approval without an Approval event
+    await contract.connect(user3).transferFrom(user1.address, user3.address, 1);
+    await contract.connect(user1).setApprovalForAll(user3.address, false);
+    await indexer.sync();
+
+    expect(store.getApproved(1)).to.be.null;
+    expect(store.isApprovedForAll(user1.address, user3.address)).to.be.false;
+  });
+
+  it("stays in sync with ownerOf and balanceOf across random activity", async function () {
+    const { contract, startBlock, owner, user1, user2, user3 } = await deployFixture();
+    const accounts = [owner, user1, user2, user3];
+    const tokenIds = [1, 2, 3, 4, 5, 6];
+    const { store, indexer } = await openIndexer(contract, startBlock);
+
+    // Deterministic pseudo-random sequence so failures reproduce
+    let seed = 42;
+    const next = (n) => {
+      seed = (seed * 1103515245 + 12345) % 2147483648;
+      return seed % n;
+    };
+
+    for (let step = 0; step < 40; step++) {
+      const tokenId = tokenIds[next(tokenIds.length)];
+      const exists = await contract.tokenExists(tokenId);
+
+      if (!exists) {
+        await contract.safeMint(accounts[next(accounts.length)].address, tokenId);
+      } else {
+        const tokenOwner = await ethers.getSigner(await contract.ownerOf(tokenId));
+        const action = next(3);
+        if (action === 0) {
+          await contract.connect(tokenOwner).burn(tokenId);
+        } else if (action === 1) {
+          const to = accounts.filter((a) => a.address !== tokenOwner.address)[next(accounts.length - 1)];
+          await contract.connect(tokenOwner).transferFrom(tokenOwner.address, to.address, tokenId);
+        } else {
+          await contract.connect(tokenOwner).approve(accounts[next(accounts.length)].address, tokenId);
+        }
+      }
+
+      await indexer.sync();
+      await expectMatchesChain(contract, store, accounts, tokenIds);
+    }
+  });
+
+  it("rolls back and re-indexes after a reorg", async function () {
+    const { contract, startBlock, user1, user2, user3 } = await deployFixture();
+    await contract.safeMint(user1.address, 1);
+
+    const { store, indexer } = await openIndexer(contract, startBlock);
+    await indexer.sync();
+
+    const snapshot = await ethers.provider.send("evm_snapshot", []);
+    await contract.connect(user1).transferFrom(user1.address, user2.address, 1);
+    await contract.safeMint(user2.address, 2);
+    await indexer.sync();
+    expect(store.ownerOf(1)).to.equal(user2.address);
+    expect(store.ownerOf(2)).to.equal(user2.address);
+
+    // Replace the last two blocks with a competing history
+    await ethers.provider.send("evm_revert", [snapshot]);
+    await contract.connect(user1).transferFrom(user1.address, user3.address, 1);
+    await ethers.provider.send("hardhat_mine", ["0x2"]);
+
+    const result = await indexer.sync();
+
+    expect(result.reorged).to.be.greaterThan(0);
+    expect(store.ownerOf(1)).to.equal(user3.address);
+    expect(store.ownerOf(2)).to.be.null;
+    expect(store.tokenHistory(1).map((e) => e.args.to)).to.deep.equal([
+      user1.address,
+      user1.address,
+      user3.address,
+    ]);
+    await expectMatchesChain(contract, store, [user1, user2, user3], [1, 2]);
+  });
+
+  it("persists to SQLite and resumes from the last indexed block", async function () {
+    const { contract, startBlock, user1, user2 } = await deployFixture();
+    const file = path.join(dir, "index.sqlite");
+    await contract.safeMint(user1.address, 1);
+
+    const first = await openIndexer(contract, startBlock, file);
+    await first.indexer.sync();
+    const indexedThrough = first.store.lastBlock();
+
+    await contract.safeMint(user2.address, 2);
+
+    const second = await openIndexer(contract, startBlock, file);
+    expect(second.store.ownerOf(1)).to.equal(user1.address);
+
+    const result = await second.indexer.sync();
+
+    expect(result.fromBlock).to.equal(indexedThrough + 1);
+    expect(second.store.ownerOf(2)).to.equal(user2.address);
+    expect(second.store.holderCount()).to.equal(2);
+  });
+
+  it("refuses a database built for another contract", async function () {
+    const first = await deployFixture();
+    const second = await deployFixture();
+    const file = path.join(dir, "index.sqlite");
+
+    const { indexer } = await openIndexer(first.contract, first.startBlock, file);
+    await indexer.sync();
+
+    const other = await openIndexer(second.contract, second.startBlock, file);
+    let error;
+    try {
+      await other.indexer.sync();
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.contain("use a different database");
+  });
+});
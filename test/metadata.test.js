@@ -0,0 +1,234 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+
+const {
+  buildMetadata,
+  computeProvenance,
+  crossCheckMetadata,
+  decodeDataURI,
+  generateMetadata,
+  metadataIdFor,
+  tokenIdForMetadata,
+  validateMetadata,
+  validateMetadataDir,
+} = require("../lib/metadata");
+const { getCollectionFactory } = require("./fixtures");
+
+describe("Metadata toolkit", function () {
+  let dir;
+
+  async function deployFixture() {
+    const [owner, user1] = await ethers.getSigners();
+
+    const NftCollection = await getCollectionFactory();
+    const contract = await NftCollection.deploy(
+      "MyNFT",
+      "MNFT",
+      10,
+      "https://metadata.example.com/"
+    );
+
+    return { contract, owner, user1 };
+  }
+
+  function writeTraits(content) {
+    const file = path.join(dir, "traits.csv");
+    fs.writeFileSync(file, content);
+    return file;
+  }
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "nft-metadata-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // ==================== GENERATION TESTS ====================
+  describe("Generation", function () {
+    it("builds metadata with traits from spreadsheet columns", function () {
+      const doc = buildMetadata(
+        { tokenId: "7", Background: "Blue", Level: "3", Hat: "" },
+        { name: "MyNFT #{id}", description: "A test piece", image: "ipfs://cid/{id}.png" }
+      );
+
+      expect(doc).to.deep.equal({
+        name: "MyNFT #7",
+        description: "A test piece",
+        image: "ipfs://cid/7.png",
+        attributes: [
+          { trait_type: "Background", value: "Blue" },
+          { trait_type: "Level", value: 3 },
+        ],
+      });
+    });
+
+    it("writes one file per token named to match baseURI + tokenId", function () {
+      const traits = writeTraits(
+        'tokenId,name,Background,Quote\n1,,Red,"Hello, world"\n2,Special One,Blue,\n'
+      );
+      const out = path.join(dir, "metadata");
+
+      const tokenIds = generateMetadata(traits, out, {
+        name: "MyNFT #{id}",
+        description: "A test collection",
+        image: "ipfs://cid/{id}.png",
+      });
+
+      expect(tokenIds).to.deep.equal([1n, 2n]);
+      expect(fs.readdirSync(out).sort()).to.deep.equal(["1", "2"]);
+
+      const first = JSON.parse(fs.readFileSync(path.join(out, "1"), "utf8"));
+      expect(first.name).to.equal("MyNFT #1");
+      expect(first.attributes).to.deep.include({ trait_type: "Quote", value: "Hello, world" });
+
+      const second = JSON.parse(fs.readFileSync(path.join(out, "2"), "utf8"));
+      expect(second.name).to.equal("Special One");
+    });
+
+    it("refuses to write invalid or duplicate rows", function () {
+      const traits = writeTraits("tokenId,Background\n1,Red\n1,Blue\n0,Green\n");
+
+      expect(() =>
+        generateMetadata(traits, path.join(dir, "metadata"), {
+          description: "A test collection",
+          image: "ipfs://cid/{id}.png",
+        })
+      ).to.throw(/line 3: duplicate tokenId 1[\s\S]*line 4: tokenId must be a positive integer/);
+      expect(fs.existsSync(path.join(dir, "metadata"))).to.be.false;
+    });
+  });
+
+  // ==================== VALIDATION TESTS ====================
+  describe("Validation", function () {
+    const valid = {
+      name: "MyNFT #1",
+      description: "A test piece",
+      image: "ipfs://cid/1.png",
+      attributes: [
+        { trait_type: "Level", value: 3, display_type: "number", max_value: 10 },
+        { value: "Untyped" },
+      ],
+    };
+
+    it("accepts OpenSea-style metadata", function () {
+      expect(validateMetadata(valid)).to.deep.equal([]);
+    });
+
+    it("reports schema violations", function () {
+      const errors = validateMetadata({
+        ...valid,
+        name: "",
+        image: "not a uri",
+        background_color: "#ffffff",
+        attributes: [{ trait_type: "Level", value: "high", display_type: "boost_number" }, null],
+      });
+
+      expect(errors).to.deep.equal([
+        "name must be a non-empty string",
+        "image must be an ipfs://, ar://, http(s):// or data: URI",
+        "background_color must be six hex digits without a leading #",
+        "attributes[0]: value must be a number for display_type boost_number",
+        "attributes[1]: must be an object",
+      ]);
+    });
+
+    it("decodes base64 and percent-encoded data URIs", function () {
+      const json = JSON.stringify(valid);
+
+      expect(decodeDataURI(`data:application/json;base64,${Buffer.from(json).toString("base64")}`)).to.deep.equal({
+        mediaType: "application/json",
+        content: json,
+      });
+      expect(decodeDataURI("data:,a%20b")).to.deep.equal({ mediaType: "text/plain", content: "a b" });
+      expect(() => decodeDataURI("ipfs://cid/1")).to.throw("Not a data: URI");
+    });
+
+    it("validates every file in a directory", function () {
+      fs.writeFileSync(path.join(dir, "1"), JSON.stringify(valid));
+      fs.writeFileSync(path.join(dir, "2"), "{ not json");
+      fs.writeFileSync(path.join(dir, "3.json"), JSON.stringify(valid));
+
+      const { tokenIds, errors } = validateMetadataDir(dir);
+
+      expect(tokenIds).to.deep.equal([1n, 2n]);
+      expect(errors).to.have.length(2);
+      expect(errors[0]).to.match(/^2: invalid JSON/);
+      expect(errors[1]).to.contain("3.json: file name must be a bare token ID");
+    });
+  });
+
+  // ==================== ON-CHAIN CROSS-CHECK TESTS ====================
+  describe("On-chain cross-check", function () {
+    it("flags minted tokens without files and files never minted", async function () {
+      const { contract, user1 } = await deployFixture();
+      const doc = { name: "x", description: "x", image: "ipfs://cid/x.png" };
+      for (const id of ["1", "2", "5"]) {
+        fs.writeFileSync(path.join(dir, id), JSON.stringify(doc));
+      }
+
+      await contract.batchMint(user1.address, [1, 2, 3, 4]);
+      await contract.connect(user1).burn(4);
+
+      const result = await crossCheckMetadata(contract, dir);
+
+      expect(result.missing).to.deep.equal([3n]);
+      expect(result.unminted).to.deep.equal([5n]);
+    });
+  });
+
+  describe("Provenance", function () {
+    function writeFiles(ids) {
+      for (const id of ids) {
+        fs.writeFileSync(path.join(dir, String(id)), JSON.stringify({ name: `#${id}` }));
+      }
+    }
+
+    it("hashes the concatenated file hashes in token ID order", function () {
+      writeFiles([1, 2, 10, 3, 4, 5, 6, 7, 8, 9]);
+      fs.writeFileSync(path.join(dir, "README.md"), "ignored");
+
+      const { provenanceHash, hashes } = computeProvenance(dir);
+
+      const expected = [];
+      for (let id = 1; id <= 10; id++) {
+        expected.push(ethers.keccak256(fs.readFileSync(path.join(dir, String(id)))));
+      }
+      expect(hashes).to.deep.equal(expected);
+      expect(provenanceHash).to.equal(ethers.keccak256(ethers.concat(expected)));
+    });
+
+    it("changes when any file changes", function () {
+      writeFiles([1, 2, 3]);
+      const before = computeProvenance(dir).provenanceHash;
+
+      fs.writeFileSync(path.join(dir, "2"), JSON.stringify({ name: "#2 edited" }));
+
+      expect(computeProvenance(dir).provenanceHash).to.not.equal(before);
+    });
+
+    it("requires files numbered 1..N without gaps", function () {
+      writeFiles([1, 2, 4]);
+
+      expect(() => computeProvenance(dir)).to.throw("without gaps, missing 3");
+      fs.rmSync(dir, { recursive: true, force: true });
+      fs.mkdirSync(dir);
+      expect(() => computeProvenance(dir)).to.throw("no metadata files found");
+    });
+
+    it("maps token IDs to metadata files and back", function () {
+      expect(metadataIdFor(1, 0, 10)).to.equal(1n);
+      expect(metadataIdFor(1, 3, 10)).to.equal(4n);
+      expect(metadataIdFor(8, 3, 10)).to.equal(1n);
+      expect(metadataIdFor(11, 3, 10)).to.equal(11n);
+
+      for (let id = 1n; id <= 12n; id++) {
+        expect(tokenIdForMetadata(metadataIdFor(id, 7, 10), 7, 10)).to.equal(id);
+      }
+    });
+  });
+});
@@ -0,0 +1,164 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+
+const { createMetadataServer } = require("../lib/metadataServer");
+const { getCollectionFactory } = require("./fixtures");
+
+describe("Metadata server", function () {
+  let server;
+  let baseUrl;
+  let dir;
+
+  async function deployFixture() {
+    const [owner, user1, user2] = await ethers.getSigners();
+
+    const NftCollection = await getCollectionFactory();
+    const contract = await NftCollection.deploy(
+      "MyNFT",
+      "MNFT",
+      10,
+      "https://metadata.example.com/"
+    );
+
+    server = createMetadataServer(contract, { dir });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    return { contract, owner, user1, user2 };
+  }
+
+  async function get(pathname) {
+    const res = await fetch(`${baseUrl}${pathname}`);
+    return { status: res.status, headers: res.headers, body: await res.json() };
+  }
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "nft-metadata-server-"));
+  });
+
+  afterEach(async function () {
+    if (server) {
+      await new Promise((resolve) => server.close(resolve));
+      server = undefined;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("returns 404 for unminted tokens", async function () {
+    await deployFixture();
+
+    const res = await get("/1");
+
+    expect(res.status).to.equal(404);
+    expect(res.body).to.deep.equal({ error: "Token does not exist" });
+  });
+
+  it("returns 404 for paths that are not token IDs", async function () {
+    await deployFixture();
+
+    expect((await get("/0")).status).to.equal(404);
+    expect((await get("/abc")).status).to.equal(404);
+  });
+
+  it("returns 404 for token IDs beyond uint256", async function () {
+    await deployFixture();
+
+    const res = await get(`/${ethers.MaxUint256 + 1n}`);
+
+    expect(res.status).to.equal(404);
+    expect(res.body).to.deep.equal({ error: "Token does not exist" });
+    expect((await get(`/${ethers.MaxUint256}`)).status).to.equal(404);
+  });
+
+  it("serves placeholder metadata once a token is minted", async function () {
+    const { contract, user1 } = await deployFixture();
+
+    await contract.safeMint(user1.address, 1);
+    const res = await get("/1");
+
+    expect(res.status).to.equal(200);
+    expect(res.body.name).to.equal("MyNFT #1");
+    expect(res.body.image).to.match(/^data:image\/svg\+xml;base64,/);
+  });
+
+  it("serves the metadata file for a minted token", async function () {
+    const { contract, user1 } = await deployFixture();
+    const doc = { name: "Special", description: "One of one", image: "ipfs://cid/2.png" };
+    fs.writeFileSync(path.join(dir, "2"), JSON.stringify(doc));
+
+    expect((await get("/2")).status).to.equal(404);
+
+    await contract.safeMint(user1.address, 2);
+    const res = await get("/2");
+
+    expect(res.status).to.equal(200);
+    expect(res.body).to.deep.equal(doc);
+  });
+
+  it("returns 404 again after a burn", async function () {
+    const { contract, user1 } = await deployFixture();
+
+    await contract.safeMint(user1.address, 1);
+    expect((await get("/1")).status).to.equal(200);
+
+    await contract.connect(user1).burn(1);
+    expect((await get("/1")).status).to.equal(404);
+  });
+
+  it("serves a reminted token after a burn", async function () {
+    const { contract, user1, user2 } = await deployFixture();
+
+    await contract.safeMint(user1.address, 1);
+    await contract.connect(user1).burn(1);
+    await contract.safeMint(user2.address, 1);
+
+    expect((await get("/1")).status).to.equal(200);
+  });
+
+  it("reflects base URI updates", async function () {
+    const { contract, user1 } = await deployFixture();
+    await contract.safeMint(user1.address, 1);
+
+    let res = await get("/1");
+    expect(res.headers.get("x-token-uri")).to.equal("https://metadata.example.com/1");
+
+    await contract.setBaseURI(`${baseUrl}/`);
+    res = await get("/1");
+
+    expect(res.headers.get("x-token-uri")).to.equal(`${baseUrl}/1`);
+    expect(res.body.external_url).to.equal(`${baseUrl}/1`);
+
+    // The on-chain tokenURI now resolves to this server
+    const viaTokenURI = await fetch(await contract.tokenURI(1));
+    expect(viaTokenURI.status).to.equal(200);
+  });
+
+  it("maps metadata file IDs back to tokens after a shifted reveal", async function () {
+    const { contract, user1 } = await deployFixture();
+    for (let id = 1; id <= 10; id++) {
+      fs.writeFileSync(path.join(dir, String(id)), JSON.stringify({ name: `File ${id}` }));
+    }
+    await contract.safeMint(user1.address, 3);
+
+    await contract.reveal(`${baseUrl}/`, true);
+    const tokenURI = await contract.tokenURI(3);
+    const res = await get(new URL(tokenURI).pathname);
+
+    expect(res.status).to.equal(200);
+    expect(res.headers.get("x-token-uri")).to.equal(tokenURI);
+    expect(res.body.name).to.equal(`File ${tokenURI.split("/").pop()}`);
+  });
+
+  it("reports health and rejects writes", async function () {
+    const { contract } = await deployFixture();
+
+    const health = await get("/health");
+    expect(health.body).to.deep.equal({ status: "ok", contract: await contract.getAddress() });
+
+    const res = await fetch(`${baseUrl}/1`, { method: "POST" });
+    expect(res.status).to.equal(405);
+  });
+});
@@ -0,0 +1,62 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { DEFAULT_PERMIT_TTL, buildPermit, signPermit } = require("../lib/permit");
+const { getCollectionFactory } = require("./fixtures");
+
+describe("Permit helper", function () {
+  async function deployFixture() {
+    const [owner, user1, user2] = await ethers.getSigners();
+
+    const NftCollection = await getCollectionFactory();
+    const contract = await NftCollection.deploy(
+      "MyNFT",
+      "MNFT",
+      10,
+      "https://metadata.example.com/"
+    );
+    await contract.safeMint(user1.address, 1);
+
+    return { contract, owner, user1, user2 };
+  }
+
+  it("builds typed data under the contract's EIP-712 domain", async function () {
+    const { contract, user2 } = await deployFixture();
+
+    const { domain, message } = await buildPermit(contract, { spender: user2.address, tokenId: 1 });
+
+    expect(domain).to.deep.equal({
+      name: "MyNFT",
+      version: "1",
+      chainId: (await ethers.provider.getNetwork()).chainId,
+      verifyingContract: await contract.getAddress(),
+    });
+    expect(ethers.TypedDataEncoder.hashDomain(domain)).to.equal(await contract.DOMAIN_SEPARATOR());
+
+    const latest = await ethers.provider.getBlock("latest");
+    expect(message).to.deep.equal({
+      spender: user2.address,
+      tokenId: 1n,
+      nonce: 0n,
+      deadline: BigInt(latest.timestamp + DEFAULT_PERMIT_TTL),
+    });
+  });
+
+  it("signs permits that recover to the signer", async function () {
+    const { contract, user1, user2 } = await deployFixture();
+
+    const permit = await signPermit(contract, user1, { spender: user2.address, tokenId: 1, deadline: 2000000000 });
+    const { domain, types, message } = await buildPermit(contract, { spender: user2.address, tokenId: 1, deadline: 2000000000 });
+
+    expect(ethers.verifyTypedData(domain, types, message, permit.signature)).to.equal(user1.address);
+    expect(permit).to.include({ spender: user2.address, tokenId: 1n, deadline: 2000000000n });
+  });
+
+  it("uses the current nonce of the token", async function () {
+    const { contract, user1, user2 } = await deployFixture();
+    await contract.connect(user1).transferFrom(user1.address, user2.address, 1);
+
+    const { message } = await buildPermit(contract, { spender: user1.address, tokenId: 1 });
+    expect(message.nonce).to.equal(1n);
+  });
+});
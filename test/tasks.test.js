@@ -0,0 +1,321 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+
+const { computeProvenance } = require("../lib/metadata");
+const { getCollectionFactory } = require("./fixtures");
+
+const { ethers } = hre;
+
+describe("nft:* tasks", function () {
+  let log;
+
+  async function deployFixture() {
+    const [owner, user1, user2] = await ethers.getSigners();
+
+    const NftCollection = await getCollectionFactory();
+    const contract = await NftCollection.deploy(
+      "MyNFT",
+      "MNFT",
+      10,
+      "https://metadata.example.com/"
+    );
+    const address = await contract.getAddress();
+
+    return { contract, address, owner, user1, user2 };
+  }
+
+  // Task output is not under test, keep the mocha report readable
+  beforeEach(function () {
+    log = console.log;
+    console.log = () => {};
+  });
+
+  afterEach(function () {
+    console.log = log;
+  });
+
+  it("mints a token and decodes TokenMinted", async function () {
+    const { contract, address, user1 } = await deployFixture();
+
+    const { events } = await hre.run("nft:mint", { address, to: user1.address, tokenId: "1" });
+
+    expect(await contract.ownerOf(1)).to.equal(user1.address);
+    const minted = events.find((e) => e.name === "TokenMinted");
+    expect(minted.args).to.deep.equal({ to: user1.address, tokenId: 1n });
+  });
+
+  it("batch mints a comma separated list of IDs", async function () {
+    const { contract, address, user1 } = await deployFixture();
+
+    const { events } = await hre.run("nft:batch-mint", {
+      address,
+      to: user1.address,
+      tokenIds: "1, 2,3",
+    });
+
+    expect(await contract.balanceOf(user1.address)).to.equal(3);
+    expect(events.filter((e) => e.name === "TokenMinted")).to.have.length(3);
+  });
+
+  it("burns a token and decodes TokenBurned", async function () {
+    const { contract, address, owner } = await deployFixture();
+    await contract.safeMint(owner.address, 1);
+
+    const { events } = await hre.run("nft:burn", { address, tokenId: "1" });
+
+    expect(await contract.tokenExists(1)).to.be.false;
+    expect(events.map((e) => e.name)).to.include("TokenBurned");
+  });
+
+  it("updates the base URI and decodes BaseURIUpdated with its ERC-4906 event", async function () {
+    const { address } = await deployFixture();
+
+    const { events } = await hre.run("nft:set-base-uri", {
+      address,
+      uri: "https://new.example.com/",
+    });
+
+    expect(events).to.deep.equal([
+      { name: "BaseURIUpdated", args: { newBaseURI: "https://new.example.com/" } },
+      { name: "BatchMetadataUpdate", args: { _fromTokenId: 1n, _toTokenId: ethers.MaxUint256 } },
+    ]);
+  });
+
+  it("sets a token URI and freezes metadata", async function () {
+    const { contract, address, user1 } = await deployFixture();
+    await contract.safeMint(user1.address, 1);
+
+    await hre.run("nft:set-token-uri", { address, tokenId: "1", uri: "ipfs://one-of-one" });
+    expect(await contract.tokenURI(1)).to.equal("ipfs://one-of-one");
+    await hre.run("nft:set-token-uri", { address, tokenId: "1", clear: true });
+    expect(await contract.tokenURI(1)).to.equal("https://metadata.example.com/1");
+
+    let error;
+    try {
+      await hre.run("nft:freeze-metadata", { address });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.contain("pass --confirm");
+
+    const { events } = await hre.run("nft:freeze-metadata", { address, confirm: true });
+    expect(events.map((e) => e.name)).to.deep.equal(["MetadataFrozen", "BatchMetadataUpdate"]);
+    expect((await hre.run("nft:info", { address })).metadataFrozen).to.be.true;
+  });
+
+  it("switches between on-chain and base URI metadata", async function () {
+    const { contract, address, user1 } = await deployFixture();
+    await contract.safeMint(user1.address, 1);
+
+    const { events } = await hre.run("nft:metadata-mode", { address, onChain: true });
+    expect(events.map((e) => e.name)).to.deep.equal(["MetadataModeUpdated", "BatchMetadataUpdate"]);
+    expect((await hre.run("nft:info", { address })).onChainMetadata).to.be.true;
+    expect(await contract.tokenURI(1)).to.match(/^data:application\/json;base64,/);
+
+    await hre.run("nft:metadata-mode", { address, baseUri: true });
+    expect(await contract.tokenURI(1)).to.equal("https://metadata.example.com/1");
+
+    let error;
+    try {
+      await hre.run("nft:metadata-mode", { address });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.contain("Pass either --on-chain or --base-uri");
+  });
+
+  it("commits provenance, hides tokens and reveals", async function () {
+    const { contract, address, user1 } = await deployFixture();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "nft-provenance-"));
+    try {
+      for (let id = 1; id <= 3; id++) {
+        fs.writeFileSync(path.join(dir, String(id)), JSON.stringify({ name: `#${id}` }));
+      }
+
+      await hre.run("nft:set-provenance", { address, dir });
+      expect(await contract.provenanceHash()).to.equal(computeProvenance(dir).provenanceHash);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    await hre.run("nft:set-placeholder", { address, uri: "ipfs://placeholder.json" });
+    await contract.safeMint(user1.address, 1);
+    expect(await contract.tokenURI(1)).to.equal("ipfs://placeholder.json");
+
+    await hre.run("nft:reveal", { address, baseUri: "ipfs://revealed/", shift: false });
+    const info = await hre.run("nft:info", { address });
+    expect(info.revealed).to.be.true;
+    expect(info.startingIndex).to.equal(0n);
+    expect(await contract.tokenURI(1)).to.equal("ipfs://revealed/1");
+  });
+
+  it("configures the sale and withdraws proceeds", async function () {
+    const { contract, address, user1, user2 } = await deployFixture();
+
+    await hre.run("nft:set-sale", { address, state: "public", price: "0.01", maxPerTx: "2" });
+
+    expect(await contract.saleState()).to.equal(2);
+    expect(await contract.mintPrice()).to.equal(ethers.parseEther("0.01"));
+    expect(await contract.maxPerTransaction()).to.equal(2);
+    expect(await contract.maxPerWallet()).to.equal(0);
+
+    await contract.connect(user1).publicMint(2, { value: ethers.parseEther("0.02") });
+    const { events } = await hre.run("nft:withdraw", { address, to: user2.address });
+
+    expect(events.find((e) => e.name === "Withdrawn").args.amount).to.equal(ethers.parseEther("0.02"));
+  });
+
+  it("updates and reports royalties", async function () {
+    const { contract, address, owner, user1 } = await deployFixture();
+    await contract.safeMint(user1.address, 1);
+
+    await hre.run("nft:set-royalty", { address, receiver: owner.address, bps: "500" });
+    await hre.run("nft:set-royalty", { address, tokenId: "1", receiver: user1.address, bps: "1000" });
+
+    const defaults = await hre.run("nft:royalty", { address });
+    expect(defaults).to.deep.equal({ tokenId: null, receiver: owner.address, feeNumerator: 500n });
+
+    const token = await hre.run("nft:royalty", { address, tokenId: "1", price: "2" });
+    expect(token.receiver).to.equal(user1.address);
+    expect(token.amount).to.equal(ethers.parseEther("0.2"));
+
+    await hre.run("nft:set-royalty", { address, tokenId: "1", clear: true });
+    expect((await contract.royaltyInfo(1, 10000))[0]).to.equal(owner.address);
+  });
+
+  it("lists tokens of the collection and of an owner", async function () {
+    const { contract, address, user1, user2 } = await deployFixture();
+    await contract.batchMint(user1.address, [1, 2, 3]);
+    await contract.safeMint(user2.address, 4);
+
+    expect(await hre.run("nft:tokens", { address, pageSize: "2" })).to.deep.equal([1n, 2n, 3n, 4n]);
+    expect(await hre.run("nft:tokens", { address, owner: user2.address })).to.deep.equal([4n]);
+  });
+
+  it("grants roles and hands the admin role over", async function () {
+    const { contract, address, owner, user1, user2 } = await deployFixture();
+
+    await hre.run("nft:grant-role", { address, role: "minter", account: user1.address });
+    await hre.run("nft:grant-role", { address, role: "burner", account: user1.address });
+    await hre.run("nft:revoke-role", { address, role: "burner", account: user1.address });
+    expect((await hre.run("nft:roles", { address, account: user1.address })).roles).to.deep.equal(["minter"]);
+
+    await hre.run("nft:admin-transfer", { address, to: user2.address });
+    expect((await hre.run("nft:roles", { address })).pendingAdmin).to.equal(user2.address);
+    await hre.run("nft:admin-accept", { address, from: user2.address });
+
+    const info = await hre.run("nft:roles", { address, account: owner.address });
+    expect(info.defaultAdmin).to.equal(user2.address);
+    expect(info.pendingAdmin).to.be.null;
+    expect(info.roles).to.deep.equal(["minter", "metadata-admin", "burner", "pauser"]);
+    expect(await contract.owner()).to.equal(user2.address);
+  });
+
+  it("disables and renounces the admin override", async function () {
+    const { contract, address } = await deployFixture();
+
+    expect((await hre.run("nft:roles", { address })).override).to.equal("enabled");
+    await hre.run("nft:override", { address, disable: true });
+    expect((await hre.run("nft:roles", { address })).override).to.equal("disabled");
+
+    const { events } = await hre.run("nft:override", { address, renounce: true });
+    expect(events.map((e) => e.name)).to.deep.equal(["OverrideUpdated", "OverrideRenounced"]);
+    expect((await hre.run("nft:roles", { address })).override).to.equal("renounced");
+    expect(await contract.overrideEnabled()).to.be.false;
+  });
+
+  it("pauses and unpauses with an exempt rescue account", async function () {
+    const { contract, address, user1, user2 } = await deployFixture();
+    await contract.safeMint(user1.address, 1);
+
+    await hre.run("nft:pause-exempt", { address, account: user1.address });
+    await hre.run("nft:pause", { address });
+    expect((await hre.run("nft:info", { address })).paused).to.be.true;
+
+    await contract.connect(user1).transferFrom(user1.address, user2.address, 1);
+    await expect(
+      contract.connect(user2).transferFrom(user2.address, user1.address, 1)
+    ).to.be.revertedWithCustomError(contract, "EnforcedPause");
+
+    await hre.run("nft:pause-exempt", { address, account: user1.address, remove: true });
+    expect(await contract.pauseExempt(user1.address)).to.be.false;
+    await hre.run("nft:unpause", { address });
+    expect(await contract.paused()).to.be.false;
+  });
+
+  it("signs vouchers and redeems one from another account", async function () {
+    const { contract, address, owner, user1 } = await deployFixture();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "nft-vouchers-"));
+    const out = path.join(dir, "vouchers.json");
+    try {
+      let error;
+      try {
+        await hre.run("nft:sign-vouchers", { address, tokenIds: "1,2", price: "0.05", out });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.contain("does not hold voucher-signer");
+
+      await hre.run("nft:grant-role", { address, role: "voucher-signer", account: owner.address });
+      await hre.run("nft:sign-vouchers", { address, tokenIds: "1,2", price: "0.05", out });
+
+      const { events } = await hre.run("nft:redeem-voucher", { file: out, tokenId: "2", from: user1.address });
+      expect(events.map((e) => e.name)).to.include("VoucherRedeemed");
+      expect(await contract.ownerOf(2)).to.equal(user1.address);
+      expect(await ethers.provider.getBalance(address)).to.equal(ethers.parseEther("0.05"));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("rejects unknown role names", async function () {
+    const { address, user1 } = await deployFixture();
+
+    let error;
+    try {
+      await hre.run("nft:grant-role", { address, role: "owner", account: user1.address });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.contain('Unknown role "owner"');
+  });
+
+  it("reports collection info", async function () {
+    const { contract, address, owner, user1 } = await deployFixture();
+    await contract.safeMint(user1.address, 1);
+
+    const info = await hre.run("nft:info", { address });
+
+    expect(info.name).to.equal("MyNFT");
+    expect(info.owner).to.equal(owner.address);
+    expect(info.totalSupply).to.equal(1n);
+    expect(info.remainingSupply).to.equal(9n);
+  });
+
+  it("reports token owner and existence", async function () {
+    const { contract, address, user1 } = await deployFixture();
+    await contract.safeMint(user1.address, 1);
+
+    const minted = await hre.run("nft:owner-of", { address, tokenId: "1" });
+    expect(minted.owner).to.equal(user1.address);
+    expect(minted.tokenURI).to.equal("https://metadata.example.com/1");
+
+    const missing = await hre.run("nft:owner-of", { address, tokenId: "2" });
+    expect(missing.exists).to.be.false;
+  });
+
+  it("rejects an address without a contract", async function () {
+    const { user2 } = await deployFixture();
+
+    let error;
+    try {
+      await hre.run("nft:info", { address: user2.address });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.contain("No contract deployed");
+  });
+});
@@ -0,0 +1,196 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+
+const { deployCollection, readDeployment } = require("../lib/deployments");
+const { deployCollectionProxy, deployProxy, upgradeCollection } = require("../lib/upgrades");
+
+const { ethers, upgrades } = hre;
+
+describe("Upgradeable collection", function () {
+  const args = {
+    name: "MyNFT",
+    symbol: "MNFT",
+    maxSupply: 10n,
+    baseURI: "https://metadata.example.com/",
+  };
+
+  let dir;
+
+  before(function () {
+    // Linking the libraries is reviewed, see PROXY_OPTIONS in lib/upgrades.js
+    upgrades.silenceWarnings();
+  });
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "nft-upgrades-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // ==================== INITIALIZER TESTS ====================
+  describe("Initializer", function () {
+    it("initializes the proxy like the constructor", async function () {
+      const [owner] = await ethers.getSigners();
+      const contract = await deployProxy(hre, args);
+
+      expect(await contract.name()).to.equal("MyNFT");
+      expect(await contract.maxSupply()).to.equal(10);
+      expect(await contract.owner()).to.equal(owner.address);
+      expect(await contract.hasRole(await contract.MINTER_ROLE(), owner.address)).to.be.true;
+      expect(await contract.overrideEnabled()).to.be.true;
+      const [, name, version] = await contract.eip712Domain();
+      expect([name, version]).to.deep.equal(["MyNFT", "1"]);
+    });
+
+    it("applies the constructor checks", async function () {
+      await expect(deployProxy(hre, { ...args, maxSupply: 0 })).to.be.revertedWith(
+        "Max supply must be greater than 0"
+      );
+      await expect(deployProxy(hre, { ...args, baseURI: "" })).to.be.revertedWith("Base URI cannot be empty");
+    });
+
+    it("cannot be initialized twice", async function () {
+      const [, user1] = await ethers.getSigners();
+      const contract = await deployProxy(hre, args);
+
+      await expect(
+        contract.connect(user1).initialize("Other", "OTH", 1, "ipfs://other/", user1.address)
+      ).to.be.revertedWithCustomError(contract, "InvalidInitialization");
+    });
+
+    it("hands every role to an initial owner other than the deployer", async function () {
+      const [owner, user1] = await ethers.getSigners();
+      const contract = await deployProxy(hre, { ...args, initialOwner: user1.address });
+
+      expect(await contract.owner()).to.equal(user1.address);
+      for (const role of ["MINTER_ROLE", "METADATA_ADMIN_ROLE", "BURNER_ROLE", "PAUSER_ROLE"]) {
+        expect(await contract.hasRole(await contract[role](), user1.address)).to.be.true;
+        expect(await contract.hasRole(await contract[role](), owner.address)).to.be.false;
+      }
+      await expect(deployProxy(hre, { ...args, initialOwner: ethers.ZeroAddress }))
+        .to.be.revertedWithCustomError(contract, "AccessControlInvalidDefaultAdmin")
+        .withArgs(ethers.ZeroAddress);
+    });
+
+    it("locks the implementation behind the proxy", async function () {
+      const [owner] = await ethers.getSigners();
+      const contract = await deployProxy(hre, args);
+      const implementation = await ethers.getContractAt(
+        "NftCollectionUpgradeable",
+        await upgrades.erc1967.getImplementationAddress(await contract.getAddress())
+      );
+
+      expect(await implementation.maxSupply()).to.equal(0);
+      await expect(
+        implementation.initialize("MyNFT", "MNFT", 10, "https://metadata.example.com/", owner.address)
+      ).to.be.revertedWithCustomError(implementation, "InvalidInitialization");
+    });
+  });
+
+  // ==================== UPGRADE TESTS ====================
+  describe("Upgrades", function () {
+    it("records the proxy, its implementation and admin", async function () {
+      const { contract, record } = await deployCollectionProxy(hre, args, { dir });
+
+      expect(readDeployment(hre, "NftCollection", { dir })).to.deep.equal(record);
+      expect(record.implementationName).to.equal("NftCollectionUpgradeable");
+      expect(record.address).to.equal(await contract.getAddress());
+      expect(record.proxy.implementation).to.equal(
+        await upgrades.erc1967.getImplementationAddress(record.address)
+      );
+      expect(record.proxy.admin).to.equal(await upgrades.erc1967.getAdminAddress(record.address));
+      expect(Object.keys(record.libraries)).to.have.length(3);
+    });
+
+    it("validates the implementation before deploying its libraries", async function () {
+      const [deployer] = await ethers.getSigners();
+      const nonce = await ethers.provider.getTransactionCount(deployer.address);
+      const { validateImplementation } = upgrades;
+      upgrades.validateImplementation = async () => {
+        throw new Error("Contract is not upgrade safe");
+      };
+
+      try {
+        await expect(deployCollectionProxy(hre, args, { dir })).to.be.rejectedWith("Contract is not upgrade safe");
+      } finally {
+        upgrades.validateImplementation = validateImplementation;
+      }
+
+      expect(await ethers.provider.getTransactionCount(deployer.address)).to.equal(nonce);
+      expect(readDeployment(hre, "NftCollection", { dir })).to.be.null;
+    });
+
+    it("keeps balances, totalSupply and configuration across an upgrade", async function () {
+      const [, user1, user2] = await ethers.getSigners();
+      const { contract, record } = await deployCollectionProxy(hre, args, { dir });
+      await contract.batchMint(user1.address, [1, 2, 3]);
+      await contract.safeMint(user2.address, 4);
+      await contract.connect(user1).burn(2);
+      await contract.setMintPrice(ethers.parseEther("0.01"));
+      await contract.setTokenURI(4, "ipfs://one-of-one");
+
+      const { contract: upgraded, record: updated } = await upgradeCollection(hre, {
+        contractName: "NftCollectionV2Mock",
+        dir,
+      });
+
+      expect(await upgraded.getAddress()).to.equal(record.address);
+      expect(updated.proxy.implementation).to.not.equal(record.proxy.implementation);
+      expect(updated.implementationName).to.equal("NftCollectionV2Mock");
+      expect(await upgraded.version()).to.equal("2");
+
+      expect(await upgraded.totalSupply()).to.equal(3);
+      expect(await upgraded.balanceOf(user1.address)).to.equal(2);
+      expect(await upgraded.balanceOf(user2.address)).to.equal(1);
+      expect(await upgraded.ownerOf(3)).to.equal(user1.address);
+      expect(await upgraded.tokenExists(2)).to.be.false;
+      expect(await upgraded.tokenURI(1)).to.equal("https://metadata.example.com/1");
+      expect(await upgraded.tokenURI(4)).to.equal("ipfs://one-of-one");
+      expect(await upgraded.mintPrice()).to.equal(ethers.parseEther("0.01"));
+
+      // Appended state starts empty and the collection keeps working
+      expect(await upgraded.upgradeCounter()).to.equal(0);
+      await upgraded.bumpUpgradeCounter();
+      expect(await upgraded.upgradeCounter()).to.equal(1);
+      await upgraded.safeMint(user2.address, 5);
+      expect(await upgraded.totalSupply()).to.equal(4);
+    });
+
+    it("validates without upgrading", async function () {
+      const { record } = await deployCollectionProxy(hre, args, { dir });
+
+      const result = await upgradeCollection(hre, { contractName: "NftCollectionV2Mock", validateOnly: true, dir });
+
+      expect(result.upgraded).to.be.false;
+      expect(await upgrades.erc1967.getImplementationAddress(record.address)).to.equal(
+        record.proxy.implementation
+      );
+    });
+
+    it("rejects an implementation with an incompatible storage layout", async function () {
+      const { record } = await deployCollectionProxy(hre, args, { dir });
+
+      await expect(
+        upgradeCollection(hre, { contractName: "NftCollectionBadV2Mock", validateOnly: true, dir })
+      ).to.be.rejectedWith("New storage layout is incompatible");
+      await expect(
+        upgradeCollection(hre, { contractName: "NftCollectionBadV2Mock", dir })
+      ).to.be.rejectedWith("New storage layout is incompatible");
+
+      expect(await upgrades.erc1967.getImplementationAddress(record.address)).to.equal(
+        record.proxy.implementation
+      );
+    });
+
+    it("refuses to upgrade a deployment without a proxy", async function () {
+      await deployCollection(hre, args, { dir });
+
+      await expect(upgradeCollection(hre, { dir })).to.be.rejectedWith("was not deployed behind a proxy");
+    });
+  });
+});
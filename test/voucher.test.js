@@ -0,0 +1,71 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+
+const { buildVoucher, loadVouchers, signVoucher, voucherFor, writeVouchers } = require("../lib/voucher");
+const { getCollectionFactory } = require("./fixtures");
+
+describe("Voucher helper", function () {
+  let dir;
+
+  async function deployFixture() {
+    const [owner, user1] = await ethers.getSigners();
+
+    const NftCollection = await getCollectionFactory();
+    const contract = await NftCollection.deploy(
+      "MyNFT",
+      "MNFT",
+      10,
+      "https://metadata.example.com/"
+    );
+
+    return { contract, owner, user1 };
+  }
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "nft-vouchers-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("signs vouchers that recover to the signer under the contract's domain", async function () {
+    const { contract, owner } = await deployFixture();
+
+    const voucher = await signVoucher(contract, owner, { tokenId: 3, price: 100 });
+    const { domain, types, message } = await buildVoucher(contract, voucher);
+
+    expect(domain.verifyingContract).to.equal(await contract.getAddress());
+    expect(ethers.TypedDataEncoder.hashDomain(domain)).to.equal(await contract.DOMAIN_SEPARATOR());
+    expect(message).to.deep.equal({ tokenId: 3n, price: 100n });
+    expect(ethers.verifyTypedData(domain, types, message, voucher.signature)).to.equal(owner.address);
+  });
+
+  it("round-trips vouchers through a file", async function () {
+    const { contract, owner } = await deployFixture();
+    const vouchers = [
+      await signVoucher(contract, owner, { tokenId: 1, price: ethers.parseEther("0.05") }),
+      await signVoucher(contract, owner, { tokenId: 2, price: ethers.parseEther("0.05") }),
+    ];
+    const file = path.join(dir, "out", "vouchers.json");
+
+    writeVouchers(file, { address: contract.target, chainId: 31337n }, vouchers);
+    const loaded = loadVouchers(file);
+
+    expect(loaded.address).to.equal(await contract.getAddress());
+    expect(loaded.chainId).to.equal(31337n);
+    expect(loaded.vouchers).to.deep.equal(vouchers);
+    expect(voucherFor(loaded, "2")).to.deep.equal(vouchers[1]);
+    expect(voucherFor(loaded, 3)).to.be.null;
+  });
+
+  it("rejects files that hold no vouchers", function () {
+    const file = path.join(dir, "vouchers.json");
+    fs.writeFileSync(file, JSON.stringify({ root: "0x" }));
+
+    expect(() => loadVouchers(file)).to.throw("not a voucher file");
+  });
+});